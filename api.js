@@ -17,14 +17,24 @@ function _readSettings(s) {
     cooldownSeconds:      s.get('cooldownSeconds')      ?? 30,
     errorMarginPercent:   s.get('errorMarginPercent')   ?? 0,
     missingPowerTimeoutS: s.get('missingPowerTimeoutS') ?? 120,
+    forecastLeadMin:      s.get('forecastLeadMin')      ?? 2,
+    dutyCycleSlotMin:     s.get('dutyCycleSlotMin')     ?? 15,
     dynamicRestoreGuard:  s.get('dynamicRestoreGuard')  ?? true,
     voltageSystem:        s.get('voltageSystem')        ?? 'auto',
+    gridType:             s.get('gridType')             ?? 'auto',
     phaseDistribution:    s.get('phaseDistribution')    ?? 'balanced',
     mainCircuitA:         s.get('mainCircuitA')         ?? 25,
+    fuseCurve:            s.get('fuseCurve')            ?? 'off',
+    circuitGroups:        s.get('circuitGroups')        ?? [],
+    limitSchedule:        s.get('limitSchedule')        ?? { enabled: false, periods: [] },
     classFilters:         s.get('classFilters')         ?? {},
     powerExcluded:        s.get('powerExcluded')        ?? {},
     dynamicHourlyBudget:  s.get('dynamicHourlyBudget')  ?? false,
     evHeadroomW:          s.get('evHeadroomW')          ?? 0,
+    tierGuardEnabled:     s.get('tierGuardEnabled')     ?? false,
+    tierGuardTargetKW:    s.get('tierGuardTargetKW')    ?? 5,
+    solarMinSurplusW:     s.get('solarMinSurplusW')     ?? 500,
+    solarMaxImportW:      s.get('solarMaxImportW')      ?? 300,
     priorityList:         s.get('priorityList')         ?? [],
     selectedMeterDeviceId: s.get('selectedMeterDeviceId') ?? 'auto',
   };
@@ -122,9 +132,10 @@ module.exports = {
       'enabled', 'profile', 'powerLimitW',
       'phase1LimitA', 'phase2LimitA', 'phase3LimitA',
       'smoothingWindow', 'spikeMultiplier', 'hysteresisCount', 'cooldownSeconds',
-      'errorMarginPercent', 'missingPowerTimeoutS', 'dynamicRestoreGuard',
-      'voltageSystem', 'phaseDistribution', 'mainCircuitA', 'classFilters', 'powerExcluded',
-      'dynamicHourlyBudget', 'evHeadroomW',
+      'errorMarginPercent', 'missingPowerTimeoutS', 'forecastLeadMin', 'dutyCycleSlotMin', 'dynamicRestoreGuard',
+      'voltageSystem', 'gridType', 'phaseDistribution', 'mainCircuitA', 'fuseCurve', 'circuitGroups', 'limitSchedule', 'classFilters', 'powerExcluded',
+      'dynamicHourlyBudget', 'evHeadroomW', 'tierGuardEnabled', 'tierGuardTargetKW',
+      'solarMinSurplusW', 'solarMaxImportW',
     ];
     const changed = [];
     for (const key of allowed) {
@@ -138,7 +149,7 @@ module.exports = {
       homey.app._loadSettings();
     }
     // If power limit or profile changed, force immediate charger re-evaluation
-    const limitKeys = ['powerLimitW', 'profile', 'enabled', 'phase1LimitA', 'phase2LimitA', 'phase3LimitA'];
+    const limitKeys = ['powerLimitW', 'profile', 'enabled', 'phase1LimitA', 'phase2LimitA', 'phase3LimitA', 'circuitGroups', 'limitSchedule', 'tierGuardEnabled', 'tierGuardTargetKW', 'solarMinSurplusW', 'solarMaxImportW'];
     if (changed.some(k => limitKeys.includes(k)) && homey.app._forceChargerRecheck) {
       homey.app._forceChargerRecheck().catch(() => {});
     }
@@ -278,6 +289,16 @@ module.exports = {
     return homey.app.getMeterDevices();
   },
 
+  async getMeterTopology({ homey }) {
+    return homey.app.getMeterTopology();
+  },
+
+  /** Combine several meters into the site signal — body: { enabled, sources: [...] } */
+  async setMeterTopology({ homey, body }) {
+    if (!body || typeof body !== 'object') return { ok: false, error: 'Invalid request' };
+    return homey.app.saveMeterTopology(body);
+  },
+
   async getHanDiagnostic({ homey }) {
     return homey.app.getHanDiagnostic();
   },
@@ -430,6 +451,60 @@ module.exports = {
     return { ok: true };
   },
 
+  /** Return the grid tariff (nettleie) model */
+  async getGridTariff({ homey }) {
+    return homey.app.getGridTariff();
+  },
+
+  /** Save the grid tariff model — validated, then prices are re-evaluated */
+  async setGridTariff({ homey, body }) {
+    if (!body || typeof body !== 'object') return { ok: false, error: 'Invalid body' };
+    return homey.app.saveGridTariff(body);
+  },
+
+  /** Return the capacity tariff scheme selection, presets and current status */
+  async getCapacityTariff({ homey }) {
+    return homey.app.getCapacityTariff();
+  },
+
+  /** Select a capacity tariff scheme — body: { schemeId, custom? } */
+  async setCapacityTariff({ homey, body }) {
+    if (!body || typeof body !== 'object') return { ok: false, error: 'Invalid body' };
+    return homey.app.saveCapacityTariff(body);
+  },
+
+  /**
+   * Long-term energy history for a date range.
+   * Query: from, to (YYYY-MM-DD, inclusive), resolution (hour | day | month, default day)
+   */
+  async getEnergyHistory({ homey, query }) {
+    return homey.app.getEnergyHistory({
+      from: query?.from,
+      to: query?.to,
+      resolution: query?.resolution || 'day',
+    });
+  },
+
+  /**
+   * Export history / logs.
+   * Query: dataset (hourly | daily | peaks | mitigation | applog | ev-sessions),
+   *        format (json | csv, default json), from, to (YYYY-MM-DD, inclusive)
+   */
+  async exportData({ homey, query }) {
+    return homey.app.exportData({
+      dataset: query?.dataset,
+      format: query?.format || 'json',
+      from: query?.from || null,
+      to: query?.to || null,
+    });
+  },
+
+  /** Import an Elhub / DSO meter-data CSV — body: { csv, overwrite? } */
+  async importMeterData({ homey, body }) {
+    if (!body || typeof body.csv !== 'string') return { ok: false, error: 'Body must contain csv text' };
+    return homey.app.importMeterData({ csv: body.csv, overwrite: body.overwrite === true });
+  },
+
   // ─── Section 14 — EV Smart Charging ──────────────────────────────────────
 
   /** Read car charging status + schedule settings from app state (no external Logic variables required) */
@@ -482,6 +557,7 @@ module.exports = {
           inGrace:     !!(c.isConnected && inGrace && !displayCharging),
           detectedPhases: c.detectedPhases || null,
           wattsPerAmp:    c.wattsPerAmp || null,
+          plan:        (priceState && priceState.chargePlans && priceState.chargePlans[deviceId]) || null,
         };
       });
 
@@ -495,8 +571,15 @@ module.exports = {
       let nesteBilligeTime = null;
       if (priceState && Array.isArray(priceState.entries)) {
         const isFlat = priceState.stats && priceState.stats.spread === 0;
+        // Per-charger plans — the first planned window still ahead
+        const planStarts = Object.values((priceState && priceState.chargePlans) || {})
+          .flatMap(pl => pl.windows.map(w => new Date(w.start).getTime()))
+          .filter(ts => ts > now)
+          .sort((a, b) => a - b);
         if (isFlat) {
           nesteBilligeTime = 'flat_rate';
+        } else if (planStarts.length) {
+          nesteBilligeTime = new Date(planStarts[0]).toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit', timeZone: homey.app._getSiteTimeZone() });
         } else {
           const ferdigKl = homey.settings.get('ev_ferdig_ladet_kl');
           if (ferdigKl && typeof ferdigKl === 'string' && ferdigKl.includes(':') && chargeMode === 'av') {
@@ -506,42 +589,36 @@ module.exports = {
             const deadline = new Date(now);
             deadline.setHours(dhh, dmm || 0, 0, 0);
             if (deadline.getTime() <= now) deadline.setDate(deadline.getDate() + 1);
-            // Mirror app.js logic: prefer runtime battery state over manual setting
+            // Mirror app.js shared-mode logic: hours from the manual setting
             let hoursNeededRaw = null;
-            const evBatteryState = homey.app._evBatteryState || {};
-            const priceChargerEntries = (homey.settings.get('priorityList') || []).filter(e => e.batteryCapacityKwh || e.carDeviceId);
-            let maxEvHours = 0; let anyEvValid = false;
-            for (const pce of priceChargerEntries) {
-              const bst = evBatteryState[pce.deviceId];
-              if (!bst || Date.now() - bst.updatedAt > 24 * 3_600_000) continue;
-              if (typeof bst.hoursNeeded === 'number') { anyEvValid = true; maxEvHours = Math.max(maxEvHours, bst.hoursNeeded); }
-            }
-            if (anyEvValid) hoursNeededRaw = maxEvHours;
-            if (!hoursNeededRaw) {
-              const manual = homey.settings.get('ev_ladebehov_timer');
-              if (typeof manual === 'number' && manual > 0) hoursNeededRaw = manual;
-            }
+            const manual = homey.settings.get('ev_ladebehov_timer');
+            if (typeof manual === 'number' && manual > 0) hoursNeededRaw = manual;
+            // Entries are price slots (60 or 15 min) — older cached states only carry `hour`
             const windowEntries = priceState.entries
-              .filter(e => { const t = new Date(e.hour).getTime(); return t > now && t < deadline.getTime(); })
-              .map(e => ({ ...e, ts: new Date(e.hour).getTime() }));
-            const effectiveN = hoursNeededRaw !== null ? Math.ceil(hoursNeededRaw) : windowEntries.length;
+              .map(e => {
+                const start = new Date(e.start || e.hour);
+                const end   = e.end ? new Date(e.end) : new Date(start.getTime() + 3_600_000);
+                return { start, end, adjustedOre: e.adjustedOre ?? e.ore, ts: start.getTime() };
+              })
+              .filter(e => e.ts > now && e.ts < deadline.getTime());
+            const effectiveHours = hoursNeededRaw !== null
+              ? hoursNeededRaw
+              : homey.app._priceDurationH(windowEntries);
             if (windowEntries.length > 0) {
-              const selectedTs = new Set(
-                [...windowEntries].sort((a, b) => (a.adjustedOre ?? a.ore) - (b.adjustedOre ?? b.ore)).slice(0, effectiveN).map(e => e.ts)
-              );
+              const selectedTs = homey.app._priceCheapestSlots(windowEntries, effectiveHours);
               const next = windowEntries.find(e => selectedTs.has(e.ts));
               if (next) {
-                const d = new Date(next.hour);
-                nesteBilligeTime = d.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Oslo' });
+                const d = next.start;
+                nesteBilligeTime = d.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit', timeZone: homey.app._getSiteTimeZone() });
               }
             }
           }
           if (!nesteBilligeTime) {
             // Standard mode — next globally cheap hour
-            const cheap = priceState.entries.find(e => new Date(e.hour).getTime() > now && e.level === 'billig');
+            const cheap = priceState.entries.find(e => new Date(e.start || e.hour).getTime() > now && e.level === 'billig');
             if (cheap) {
-              const d = new Date(cheap.hour);
-              nesteBilligeTime = d.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit', timeZone: 'Europe/Oslo' });
+              const d = new Date(cheap.start || cheap.hour);
+              nesteBilligeTime = d.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit', timeZone: homey.app._getSiteTimeZone() });
             }
           }
         }
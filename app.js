@@ -6,15 +6,47 @@ const { Mutex } = require('async-mutex');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
-const https = require('https');
 const { movingAverage, isSpike, timestamp } = require('./common/tools');
 const { applyAction, restoreDevice } = require('./common/devices');
-const { PROFILES, PROFILE_LIMIT_FACTOR, DEFAULT_SETTINGS, MITIGATION_LOG_MAX, CHARGER_DEFAULTS, EFFEKT_TIERS, PRICE_DEFAULTS, MODES, MODES_DEFAULTS } = require('./common/constants');
+const { resolveChain, fetchDayWithFallback, toDateParts, listProviders, getProvider } = require('./common/price-providers');
+const { priceBreakdown, validateTariff, localParts } = require('./common/grid-tariff');
+const { evaluateScheme, guardCeilingKW, inPeakWindow, validateScheme } = require('./common/capacity-tariff');
+const { EnergyHistoryStore } = require('./common/energy-history');
+const { toCsv, filterByDate, parseMeterCsv } = require('./common/data-export');
+const { MeterRegister, REGISTER_CAPABILITIES, MAX_BRIDGE_MS } = require('./common/meter-register');
+const { combineReadings, readPhaseCurrents, validateTopology, staleAfterMs, PHASE_CURRENT_CAPS } = require('./common/meter-topology');
+const { surplusLoads, planSurplusStep, evSurplusBudget, boostTargetTemp, DEFAULT_LOAD_W } = require('./common/solar-surplus');
+const { findSetpointCap, isHomeBattery, batteryConfig, hoursToFill, inCheapWindow, planBatteries, MIN_SETPOINT_W } = require('./common/home-battery');
+const { forecastPower, forecastAt, forecastBreach, projectHourKWh, trimSamples } = require('./common/load-forecast');
+const { emptyProfile, observe, isConfident, restoreDrawW, expectedReliefW, summarize, ON_MIN_W, LOW_RELIEF_W } = require('./common/load-profile');
+const { planShed, pendingReliefW, SHED_MARGIN_W } = require('./common/shed-solver');
+const { comfortConfig, floorTemp, nextSetpoint, allowOff, releaseReason, restMs, reducedMsInWindow, rotationScore, rotateThermostats } = require('./common/comfort');
+const { isDutyAction, dueForRelease, slotCandidates, planSwap } = require('./common/duty-cycle');
+const { waterHeaterConfig, hoiaxPowerCap, planWaterHeater, modeAt, peakRisk, peakHoldAllowed, trackMode } = require('./common/water-heater');
+const { flexConfig, remainingH, planFlexLoad, inPlan } = require('./common/flex-load');
+const { planChargers, inChargePlan } = require('./common/ev-plan');
+const { nextDeadline } = require('./common/slot-plan');
+const { phasesOf, recordSample, judgeStep, tally, inference, STEP_MIN_W, AFTER_MS, QUIET_MS } = require('./common/phase-infer');
+const { resolveLimit } = require('./common/limit-schedule');
+const { normalizeGroups, groupLoads, groupOverloads, groupRoomW, restoreFitsGroups } = require('./common/circuit-groups');
+const { fuseEnabled, updateHeat, fuseState, tolerateOverload } = require('./common/fuse-model');
+const { phaseLimits, anyPhaseLimit, phaseOverloads, phaseRoomA, phaseDrawA, phaseShareW, restoreFitsPhases, phaseNeedW, phaseCandidates, PHASES, PHASE_VOLTAGE, PHASE_RESTORE_MARGIN_A } = require('./common/phase-guard');
+const { PROFILES, PROFILE_LIMIT_FACTOR, DEFAULT_SETTINGS, MITIGATION_LOG_MAX, CHARGER_DEFAULTS, CAPACITY_TARIFF_SCHEMES, CAPACITY_TARIFF_DEFAULTS, METER_TOPOLOGY_DEFAULTS, PRICE_ZONES, PRICE_CURRENCIES, PRICE_DEFAULTS, GRID_TARIFF_DEFAULTS, MODES, MODES_DEFAULTS, HOIAX_POWER_STEPS } = require('./common/constants');
 
 // Minimum time to wait after any mitigation before restoring any device.
 // Acts as a safety net for cases where the headroom snapshot is unreliable (e.g. 0W at snapshot time).
 const RESTORE_COOLDOWN_MS = 240 * 1000; // 240 seconds
 
+// How long a completed hour / 15-minute period waits for the meter register's
+// next reading before falling back to the integrated measure_power value.
+const REGISTER_SETTLE_MS = 120 * 1000;
+
+// Multi-meter topology: wait at most this long for the other meters before a combined reading goes out.
+const TOPOLOGY_COLLECT_MS = 3000;
+
+// Price engine: re-fetch from the providers at most this often (slot boundaries re-evaluate in between).
+const PRICE_REFETCH_MS = 30 * 60 * 1000;
+
 /**cd "C:\Github\Powermanagment" ; homey app run
  * Promise wrapper with timeout — prevents hung API calls from blocking the mitigation cycle.
  * @param {Promise} promise - The promise to wrap
@@ -58,6 +90,30 @@ class PowerGuardApp extends Homey.App {
     this._spikeConsecutiveCount = 0;  // how many consecutive readings were spike-filtered
     this._spikeLastFilteredValue = null; // last value that was spike-filtered
     this._overLimitCount = 0;
+    this._powerSamples = [];         // { t, w, knownW } — accepted readings for the load forecast
+    this._forecast = null;           // latest forecast (see _updateLoadForecast)
+    this._forecastOverCount = 0;     // consecutive readings forecast to cross the limit
+    this._forecastHoldLogAt = 0;     // throttles the "restore held" log line
+    this._forecastEarlyLogAt = 0;    // throttles the "mitigating early" log line
+    this._phaseOverloads = [];       // phases over phaseNLimitA on the last reading (common/phase-guard.js)
+    this._phaseOverCount = 0;        // consecutive readings with a phase over its limit
+    this._limitCache = null;         // { minute, value } — resolveLimit(); dropped when settings or the mode change
+    this._lastResolvedLimitW = null; // limit in force on the last check (power_limit_changed)
+    this._groupLoads = [];           // live load per circuit group (common/circuit-groups.js)
+    this._groupOverloads = [];       // groups over their limit on the last reading
+    this._groupOverCount = 0;        // consecutive readings with a group over its limit
+    this._fuseHeat = { 1: 0, 2: 0, 3: 0 }; // main-fuse heat per phase, 1 = trip (common/fuse-model.js)
+    this._fuseAt = 0;                // time of the last fuse-model update
+    this._fuseState = null;          // latest fuseState(); null with the fuse model off
+    this._fuseEstimated = false;     // currents split from the total (no HAN phase currents)
+    this._overLimitSince = null;     // start of the current overshoot of the power limit
+    this._overloadTolerated = false; // overshoot waiting on a cool fuse
+    this._pendingShed = {};          // deviceId → { reliefW, appliedAt, slow } — shed but not yet on the meter
+    this._comfortLedger = {};        // deviceId → [{ from, to|null }] — thermostat reduced intervals (rotation)
+    this._comfortRestUntil = {};     // deviceId → ms — released by a comfort bound, not mitigated before this
+    this._roomTemps = {};            // deviceId → measure_temperature (°C), refreshed by _comfortTick
+    this._restoredAt = {};           // deviceId → ms — last handed back by Power Guard (minRuntimeSeconds, duty slots)
+    this._lastDutySwapAt = 0;
     this._mitigatedDevices = [];
     this._lastMitigationTime = 0;
     this._lastDeviceOffTime = 0;   // timestamp of last successful device-off (for dynamic restore guard)
@@ -80,6 +136,13 @@ class PowerGuardApp extends Homey.App {
     } catch (_) {}
     this._api = null;
     this._hanCapabilityInstance = null;
+    this._hanRegisterInstance = null;  // meter_power subscription (cumulative kWh), when the meter has one
+    // Multi-meter topology (common/meter-topology.js) — several meters summed into the site signal
+    this._meterTopology = Object.assign({}, METER_TOPOLOGY_DEFAULTS, this.homey.settings.get('meterTopology') || {});
+    this._topologySources = {};   // deviceId → { device, powerW, time, phases: {1,2,3}, instances[] }
+    this._topologyLast = null;    // last combineReadings() result, for diagnostics
+    this._topologyStaleKey = '';  // stale source ids at the last reading — logged on change
+    this._topologyCollectTimer = null;  // pending combined reading while other meters have not reported yet
     this._hanDevice = null;
     this._hanDeviceName = null;
     this._hanDeviceManufacturer = null;
@@ -106,6 +169,12 @@ class PowerGuardApp extends Homey.App {
     this._adaxCapabilityInstances = {};  // Adax temp/onoff capability instances keyed by deviceId
     this._adaxRawPower = {};             // Raw (unestimated) measure_power value for Adax devices
     this._adaxState = {};               // {deviceId: {measT, targT, onoff}} for Adax estimation
+    this._loadProfiles = this.homey.settings.get('_loadProfiles') || {};  // deviceId → learned profile (common/load-profile.js)
+    this._loadProfilesSavedAt = Date.now();
+    this._phaseInference = this.homey.settings.get('_phaseInference') || {};  // deviceId → phase votes (common/phase-infer.js)
+    this._phaseInferenceSavedAt = Date.now();
+    this._phaseSamples = [];             // recent HAN phase-current snapshots { t, a: {1,2,3} }
+    this._phaseSteps = [];               // recent device power steps { deviceId, t, deltaW, judged }
     this.log('[Power Consumption] Data object initialized');
     this._lastEVAdjustTime = 0;
     this._lastProactiveSheddingTime = 0;
@@ -124,22 +193,64 @@ class PowerGuardApp extends Homey.App {
     // Price engine state (SECTION 12)
     // Set _priceState = null to disable entirely, or remove _startPriceEngine() call below.
     this._priceState    = null;   // null = no data yet; populated by _fetchAndEvaluatePrices()
-    this._priceSettings = Object.assign({}, PRICE_DEFAULTS);
-    this._priceEngineInterval = null;
+    // Saved price settings are merged in here (not only in _startPriceEngine) because the
+    // bidding zone decides the site timezone used by energy tracking before the engine starts.
+    const savedPriceSettings = this.homey.settings.get('priceSettings');
+    this._priceSettings = Object.assign({}, PRICE_DEFAULTS, savedPriceSettings && typeof savedPriceSettings === 'object' ? savedPriceSettings : {});
+    this._priceProviderStatus = null; // { active, chain, errors, updatedAt } from the last fetch
+    this._priceEntries  = [];     // Parsed price slots from the last fetch (all-in adjustedOre)
+    const savedGridTariff = this.homey.settings.get('gridTariff');
+    this._gridTariff    = Object.assign({}, GRID_TARIFF_DEFAULTS, savedGridTariff && typeof savedGridTariff === 'object' ? savedGridTariff : {});
+    this._priceEngineTimer = null;   // next evaluation, at the next price-slot boundary
+    this._priceFetchedAt = 0;        // last successful provider fetch (ms)
 
     // Mode engine state (SECTION 13)
     this._modeSettings = JSON.parse(JSON.stringify(MODES_DEFAULTS));
     this._nightSetBySchedule = false;  // true only when scheduler activated Night — prevents reverting a manual Night press
     this._modeSchedulerInterval = null;
 
+    // Solar surplus state (SECTION 14)
+    const savedSurplus = this.homey.settings.get('_surplusActive');
+    this._surplusActive = savedSurplus && typeof savedSurplus === 'object' ? savedSurplus : {};  // {deviceId: {since, previousState}}
+    this._surplusOffAt  = {};     // deviceId → ms switched back (min off-time)
+    this._surplusState  = {};     // planSurplusStep timers
+    this._surplusPlan   = null;   // latest plan: loads, gridW, reservedFor — read by the EV engine
+    this._surplusBusy   = false;  // a switch action is in flight
+
+    // Home battery state (SECTION 15)
+    this._batteryState     = {};     // deviceId → { soc, powerW, setpointCap, setpointW, reason, sentAt, controlled, previousSetpoint }
+    this._batteryInstances = {};     // deviceId → capability instances
+    this._batterySyncing   = false;
+    this._batterySyncAt    = 0;      // last subscription sync — retried at most once a minute
+
+    // Water heater scheduler state (SECTION 17)
+    const savedWaterHeaters = this.homey.settings.get('_waterHeaterState');
+    this._waterHeaterState = {};     // deviceId → { action, name, lastLegionellaAt, ownLevel, mode, reason, plan, … }
+    for (const [id, w] of Object.entries(savedWaterHeaters && typeof savedWaterHeaters === 'object' ? savedWaterHeaters : {})) {
+      this._waterHeaterState[id] = { action: w.action, name: w.name, lastLegionellaAt: w.lastLegionellaAt ?? null, ownLevel: w.ownLevel ?? null };
+    }
+    this._waterHeaterInterval = null;
+
+    // Flexible load state (SECTION 18)
+    const savedFlex = this.homey.settings.get('_flexLoadState');
+    this._flexState = {};            // deviceId → { deadline, ranMs, doneWh, on, state, plan, lastTickAt }
+    for (const [id, f] of Object.entries(savedFlex && typeof savedFlex === 'object' ? savedFlex : {})) {
+      this._flexState[id] = { deadline: f.deadline ?? null, ranMs: f.ranMs || 0, doneWh: f.doneWh || 0, on: !!f.on, name: f.name };
+    }
+    this._flexLoadInterval = null;
+
     // Hourly energy tracking
     this._hourlyEnergy = {
       currentHour: new Date().getHours(),
       accumulatedWh: 0,        // Watt-hours accumulated this hour
       lastReadingW: 0,         // Last power reading in watts
       lastReadingTime: null,   // Timestamp of last reading
-      history: [],             // Last 24 hours: [{hour, date, kWh}]
+      history: [],             // Last 24 hours: [{hour, date, kWh, controlledKWh}]
       hourStartKnown: false,   // True only after a full hour rollover since app start
+      peakW: 0,                // Highest reading this hour (long-term history)
+      mitigationMs: 0,         // Time this hour with at least one device mitigated
+      controlledWh: 0,         // Of accumulatedWh: drawn by loads Power Guard plans itself (_controlledDrawW)
+      lastControlledW: 0,
     };
     // Restore hourly energy history from persistent storage
     try {
@@ -154,11 +265,27 @@ class PowerGuardApp extends Homey.App {
       if (savedState && savedState.currentHour === this._hourlyEnergy.currentHour) {
         this._hourlyEnergy.accumulatedWh = savedState.accumulatedWh || 0;
         this._hourlyEnergy.lastReadingW  = savedState.lastReadingW  || 0;
+        this._hourlyEnergy.peakW         = savedState.peakW         || 0;
+        this._hourlyEnergy.mitigationMs  = savedState.mitigationMs  || 0;
+        this._hourlyEnergy.controlledWh  = savedState.controlledWh  || 0;
         // Leave lastReadingTime = null so the first post-restart reading creates a clean baseline
         // (the 60s gap sanity check would skip accumulation for the restart gap anyway)
       }
     } catch (_) {}
 
+    // Meter register reconciliation — hourly kWh from the meter's own cumulative register
+    // (meter_power) when the HAN device reports one; integration is the fallback.
+    this._meterRegisterCap = null;  // capability in use on the connected meter, null if none
+    const savedRegister = this.homey.settings.get('_meterRegisterState') || {};
+    this._meterRegister = MeterRegister.fromJSON(savedRegister);
+    this._meterRegisterDeviceId = savedRegister.deviceId || null;
+    this._pendingPeriods = [];       // completed periods waiting for the register's end boundary
+    this._registerReconcile = [];    // last 48 hours: {date, hour, source, registerKWh, integratedKWh, driftKWh}
+    try {
+      const savedReconcile = this.homey.settings.get('_registerReconcile');
+      if (Array.isArray(savedReconcile)) this._registerReconcile = savedReconcile.slice(-48);
+    } catch (_) {}
+
     // Effekttariff (capacity tariff) tracking — daily peak kW per day, persisted across restarts
     // Format: { "2026-02-24": 8.5, "2026-02-23": 6.1, ... }
     this._dailyPeaks = {};
@@ -171,6 +298,28 @@ class PowerGuardApp extends Homey.App {
     // Clean out entries older than current month on startup
     this._cleanOldDailyPeaks();
 
+    // Long-term energy history (file store under /userdata/history) — null when no writable dir
+    this._history = null;
+    const historyDir = this._getHistoryDir();
+    if (historyDir) {
+      this._history = new EnergyHistoryStore(historyDir, { log: (msg) => this.log(msg) });
+      this._historyMonth = this._getLocalDateKey().slice(0, 7);  // closed months are compacted on rollover
+      this._history.init(this._historyMonth)
+        .catch(err => this.error('[History] Init failed:', err.message));
+    }
+
+    // Capacity tariff scheme selection: { schemeId, custom } — see CAPACITY_TARIFF_SCHEMES
+    this._capacityTariff = Object.assign({}, CAPACITY_TARIFF_DEFAULTS, this.homey.settings.get('capacityTariff') || {});
+    // Sub-hour measurement period for 15-minute schemes (hourly schemes use _hourlyEnergy)
+    this._peakInterval = { start: null, accumulatedWh: 0, lastReadingW: 0, lastReadingTime: null };
+
+    // Completed EV charging sessions (for export): [{ deviceId, name, start, end, kWh, avgKw }]
+    this._evSessionLog = [];
+    try {
+      const savedSessions = this.homey.settings.get('_evSessionLog');
+      if (Array.isArray(savedSessions)) this._evSessionLog = savedSessions;
+    } catch (_) {}
+
     // Restore learned EV session average kW from persistent storage
     try {
       const savedAvgKw = this.homey.settings.get('_evSessionAvgKw');
@@ -223,6 +372,7 @@ class PowerGuardApp extends Homey.App {
     // Also re-broadcast priorityList so other open settings pages stay in sync.
     this.homey.settings.on('set', (key) => {
       this._loadSettings();
+      if (key === 'powerLimitW' || key === 'limitSchedule') this._limitCache = null;
       // Debounced file backup — only for user-facing keys, ignores internal keys
       this._scheduleSettingsFileSave(key);
       if (key === 'priorityList') {
@@ -232,7 +382,7 @@ class PowerGuardApp extends Homey.App {
         this._cleanStaleMitigatedEntries();
       }
       // When power limit or profile changes, immediately re-evaluate chargers
-      if (['powerLimitW', 'profile', 'enabled', 'phase1LimitA', 'phase2LimitA', 'phase3LimitA'].includes(key)) {
+      if (['powerLimitW', 'profile', 'enabled', 'phase1LimitA', 'phase2LimitA', 'phase3LimitA', 'circuitGroups', 'limitSchedule'].includes(key)) {
         this.log(`[Settings] ${key} changed, forcing charger re-evaluation`);
         this._appLogEntry('system', `Settings changed: ${key}`);
         this._forceChargerRecheck().catch(err => this.error('Force re-check error:', err));
@@ -287,6 +437,7 @@ class PowerGuardApp extends Homey.App {
     this._cacheRefreshInterval = setInterval(() => this._cacheDevices().catch(err => this.error('[Cache] Refresh error:', err)), 300000);
     this._queueProcessorInterval = setInterval(async () => { const _t = Date.now(); await this._processSaveQueue().catch(err => this.error('[Queue] Save error:', err)); this._trackCallTime('saveQueue', Date.now() - _t); }, 3000);
     this._resourceMonitorInterval = setInterval(() => this._resourceMonitor(), 5 * 60 * 1000);
+    this._comfortInterval = setInterval(async () => { const _t = Date.now(); await this._comfortTick().catch(err => this.error('[Comfort] Tick error:', err)); this._trackCallTime('comfort', Date.now() - _t); }, 60 * 1000);
 
     // Start spot price engine — non-fatal, charger control still works without it
     // To remove price feature entirely: delete this block + SECTION 12 at bottom of file
@@ -310,6 +461,20 @@ class PowerGuardApp extends Homey.App {
       this.error('Thermostat scheduler start error (non-fatal):', err);
     }
 
+    // Start water heater scheduler — non-fatal, needs the price engine for a plan
+    try {
+      this._startWaterHeaterScheduler();
+    } catch (err) {
+      this.error('Water heater scheduler start error (non-fatal):', err);
+    }
+
+    // Start flexible load scheduler — non-fatal; without prices jobs run as soon as they fit
+    try {
+      this._startFlexLoadScheduler();
+    } catch (err) {
+      this.error('Flexible load scheduler start error (non-fatal):', err);
+    }
+
     // Initialize power consumption tracking after API is ready (don't call on startup, it fails)
     // It will populate when HAN readings arrive or when the tab is first opened
     this._writeDebugLog('===== APP STARTED =====' );
@@ -454,7 +619,9 @@ class PowerGuardApp extends Homey.App {
       this._adaxRawPower[devId] = rawW || 0;
       this._recomputeAdaxCurrent(devId);
     } else {
+      const prevW = this._powerConsumptionData[devId].current || 0;
       this._powerConsumptionData[devId].current = rawW || 0;
+      this._notePowerStep(devId, prevW, rawW || 0);
     }
   }
 
@@ -585,7 +752,9 @@ class PowerGuardApp extends Homey.App {
       'enabled', 'profile', 'powerLimitW',
       'phase1LimitA', 'phase2LimitA', 'phase3LimitA',
       'smoothingWindow', 'spikeMultiplier', 'hysteresisCount', 'cooldownSeconds',
-      'priorityList', 'voltageSystem', 'mainCircuitA', 'selectedMeterDeviceId',
+      'priorityList', 'voltageSystem', 'gridType', 'mainCircuitA', 'fuseCurve', 'circuitGroups', 'limitSchedule', 'selectedMeterDeviceId',
+      'tierGuardEnabled', 'tierGuardTargetKW', 'solarMinSurplusW', 'solarMaxImportW',
+      'forecastLeadMin', 'dutyCycleSlotMin',
     ]);
     if (!publicKeys.has(key)) return;
     clearTimeout(this._settingsFileSaveTimer);
@@ -624,12 +793,22 @@ class PowerGuardApp extends Homey.App {
       cooldownSeconds:   s.get('cooldownSeconds')   ?? DEFAULT_SETTINGS.cooldownSeconds,
       errorMarginPercent: s.get('errorMarginPercent') ?? DEFAULT_SETTINGS.errorMarginPercent,
       missingPowerTimeoutS: s.get('missingPowerTimeoutS') ?? DEFAULT_SETTINGS.missingPowerTimeoutS,
+      forecastLeadMin:   s.get('forecastLeadMin')   ?? DEFAULT_SETTINGS.forecastLeadMin,
+      dutyCycleSlotMin:  s.get('dutyCycleSlotMin')  ?? DEFAULT_SETTINGS.dutyCycleSlotMin,
       dynamicRestoreGuard: s.get('dynamicRestoreGuard') ?? DEFAULT_SETTINGS.dynamicRestoreGuard,
       dynamicHourlyBudget: false, // Always disabled — budget is informational only, not a control source
       evHeadroomW:       s.get('evHeadroomW')       ?? DEFAULT_SETTINGS.evHeadroomW,
+      tierGuardEnabled:  s.get('tierGuardEnabled')  ?? DEFAULT_SETTINGS.tierGuardEnabled,
+      tierGuardTargetKW: s.get('tierGuardTargetKW') ?? DEFAULT_SETTINGS.tierGuardTargetKW,
+      solarMinSurplusW:  s.get('solarMinSurplusW')  ?? DEFAULT_SETTINGS.solarMinSurplusW,
+      solarMaxImportW:   s.get('solarMaxImportW')   ?? DEFAULT_SETTINGS.solarMaxImportW,
       voltageSystem:     s.get('voltageSystem')     ?? DEFAULT_SETTINGS.voltageSystem,
+      gridType:          s.get('gridType')          ?? DEFAULT_SETTINGS.gridType,
       phaseDistribution: s.get('phaseDistribution') ?? DEFAULT_SETTINGS.phaseDistribution,
       mainCircuitA:      s.get('mainCircuitA')      ?? DEFAULT_SETTINGS.mainCircuitA,
+      circuitGroups:     s.get('circuitGroups')     ?? DEFAULT_SETTINGS.circuitGroups,
+      limitSchedule:     s.get('limitSchedule')     ?? DEFAULT_SETTINGS.limitSchedule,
+      fuseCurve:         s.get('fuseCurve')         ?? DEFAULT_SETTINGS.fuseCurve,
       priorityList:      s.get('priorityList')      ?? DEFAULT_SETTINGS.priorityList,
     };
   }
@@ -641,12 +820,57 @@ class PowerGuardApp extends Homey.App {
     } catch (_) {}
   }
 
+  /**
+   * The limit in force at `at` before profile and margin (common/limit-schedule.js): the
+   * active mode's override, else the time-of-day schedule, else powerLimitW. The current
+   * minute's answer is cached; changes to powerLimitW, limitSchedule or the mode drop it.
+   */
+  _resolveLimit(at = Date.now()) {
+    const minute = Math.floor(at / 60000);
+    const current = minute === Math.floor(Date.now() / 60000);
+    if (current && this._limitCache && this._limitCache.minute === minute) return this._limitCache.value;
+    const mode = this._modeSettings ? this._modeSettings.activeMode : null;
+    const modeLimits = this._modeSettings ? this._modeSettings.modeLimits : null;
+    const schedule = this._settings.limitSchedule;
+    let local = { weekday: 0, minutes: 0 };
+    if (schedule && schedule.enabled) {
+      try {
+        local = localParts(new Date(at), this._getSiteTimeZone());
+      } catch (_) {}
+    }
+    const value = resolveLimit({
+      powerLimitW: this._settings.powerLimitW, schedule, mode, modeLimits,
+      weekday: local.weekday, minutes: local.minutes,
+    });
+    if (current) this._limitCache = { minute, value };
+    return value;
+  }
+
   _getEffectiveLimit() {
     const factor = PROFILE_LIMIT_FACTOR[this._settings.profile] || 1.0;
     const margin = 1 - ((this._settings.errorMarginPercent || 0) / 100);
-    const base = this._settings.powerLimitW * factor * margin;
+    const base = this._resolveLimit().limitW * factor * margin;
     // Dynamic hourly budget is informational only — always use fixed limit for control.
     // Hourly energy tracking and budget charts still work normally via _hourlyEnergy (Section 3).
+    // Tier guard (Section 3) may only lower the limit — the scheduled limit stays the hard ceiling.
+    const guard = this._getTierGuard();
+    if (guard && guard.active) return Math.min(base, guard.limitW * margin);
+    return base;
+  }
+
+  /**
+   * The limit a price slot starting at `startMs` runs under (W), for the slot planners:
+   * the mode or scheduled limit at its start with profile and safety buffer, capped by
+   * the tier guard's daily ceiling while the guard is active. The slot in progress gets
+   * the live limit.
+   */
+  _slotLimitW(startMs, now = Date.now()) {
+    if (startMs <= now) return this._getEffectiveLimit();
+    const factor = PROFILE_LIMIT_FACTOR[this._settings.profile] || 1.0;
+    const margin = 1 - ((this._settings.errorMarginPercent || 0) / 100);
+    const base = this._resolveLimit(startMs).limitW * factor * margin;
+    const guard = this._getTierGuard(now);
+    if (guard && guard.active) return Math.min(base, guard.ceilingKW * 1000 * margin);
     return base;
   }
 
@@ -740,6 +964,20 @@ class PowerGuardApp extends Homey.App {
     }
   }
 
+  /** Fire power_limit_changed and re-check the chargers when the schedule or a mode moves the limit. */
+  _checkLimitChange() {
+    const { limitW, source } = this._resolveLimit();
+    const previous = this._lastResolvedLimitW;
+    this._lastResolvedLimitW = limitW;
+    if (previous == null || previous === limitW) return;
+    const mode = this._modeSettings ? this._modeSettings.activeMode : '';
+    const by = source === 'mode' ? `mode ${mode}` : source;
+    this.log(`[Limit] ${Math.round(previous)}W → ${Math.round(limitW)}W (${by})`);
+    this._appLogEntry('system', `Power limit ${Math.round(previous)}W → ${Math.round(limitW)}W (${by})`);
+    this._fireTrigger('power_limit_changed', { limit: Math.round(limitW), previous: Math.round(previous), source });
+    this._forceChargerRecheck().catch(err => this.error('Force re-check error:', err));
+  }
+
   /**
    * Force an immediate re-evaluation of all chargers against current power usage and limits.
    * Called when powerLimitW or profile changes — bypasses cooldowns.
@@ -840,6 +1078,50 @@ class PowerGuardApp extends Homey.App {
       }),
       powerBuffer: this._powerBuffer.slice(-10),
       phaseCurrents: this._phaseCurrents || {},
+      meterRegister: this._getMeterRegisterDiagnostic(),
+      topology: this._getTopologyDiagnostic(),
+    };
+  }
+
+  /** Per-source state of the meter topology (getHanDiagnostic), null when a single meter is used. */
+  _getTopologyDiagnostic() {
+    if (!this._topologyActive()) return null;
+    const now = Date.now();
+    const result = combineReadings(this._meterTopology, this._topologySources, now);
+    return {
+      ok: result.ok,
+      siteW: result.powerW !== null ? Math.round(result.powerW) : null,
+      phaseCurrents: result.phaseCurrents,
+      sources: result.contributions.map(c => {
+        const st = this._topologySources[c.deviceId];
+        return Object.assign({}, c, {
+          connected: !!st,
+          ageSeconds: st && st.time ? Math.round((now - st.time) / 1000) : null,
+          phases: st ? st.phases : null,
+        });
+      }),
+    };
+  }
+
+  /** Register vs. integration drift over the reconciled hours (getHanDiagnostic). */
+  _getMeterRegisterDiagnostic() {
+    const reg = this._meterRegister;
+    const reconciled = this._registerReconcile.filter(r => r.source === 'register');
+    const sumReg = reconciled.reduce((sum, r) => sum + r.registerKWh, 0);
+    const sumDrift = reconciled.reduce((sum, r) => sum + r.driftKWh, 0);
+    return {
+      capability: this._meterRegisterCap,
+      lastKWh: reg.last ? reg.last.kWh : null,
+      lastReadingAgeSeconds: reg.last ? Math.round((Date.now() - reg.last.time) / 1000) : null,
+      resets: reg.resets,
+      pendingPeriods: this._pendingPeriods.length,
+      hoursFromRegister: reconciled.length,
+      hoursIntegrated: this._registerReconcile.length - reconciled.length,
+      // Positive drift = integration under-counted (missed readings, restarts)
+      totalDriftKWh: Math.round(sumDrift * 1000) / 1000,
+      driftPercent: sumReg > 0 ? Math.round((sumDrift / sumReg) * 1000) / 10 : null,
+      maxAbsDriftKWh: reconciled.length ? Math.max(...reconciled.map(r => Math.abs(r.driftKWh))) : null,
+      hours: this._registerReconcile.slice(-24),
     };
   }
 
@@ -861,10 +1143,58 @@ class PowerGuardApp extends Homey.App {
       }));
   }
 
+  /** Called by api.js getMeterTopology. */
+  getMeterTopology() {
+    return JSON.parse(JSON.stringify(this._meterTopology));
+  }
+
+  /**
+   * Called by api.js setMeterTopology — validate, persist and reconnect.
+   * @param {object} topology - see common/meter-topology.js
+   */
+  async saveMeterTopology(topology) {
+    const check = validateTopology(topology);
+    if (!check.ok) return check;
+    this._meterTopology = {
+      enabled: !!topology.enabled,
+      sources: topology.sources.map(src => {
+        const clean = { deviceId: src.deviceId, name: String(src.name || '').slice(0, 60), op: src.op === 'subtract' ? 'subtract' : 'add' };
+        if (src.phaseMap) clean.phaseMap = src.phaseMap.map(Number);
+        if (src.staleAfterS != null) clean.staleAfterS = Number(src.staleAfterS);
+        if (src.onStale) clean.onStale = src.onStale;
+        return clean;
+      }),
+    };
+    this.homey.settings.set('meterTopology', this._meterTopology);
+    this.log(`[HAN] Meter topology ${this._meterTopology.enabled ? 'enabled' : 'disabled'} (${this._meterTopology.sources.length} meters)`);
+    this._appLogEntry('han', `Meter topology ${this._meterTopology.enabled ? 'enabled' : 'disabled'}: ${this._meterTopology.sources.map(x => (x.op === 'subtract' ? '−' : '+') + (x.name || x.deviceId)).join(' ')}`);
+
+    if (this._hanCapabilityInstance) {
+      try { this._hanCapabilityInstance.destroy(); } catch (_) {}
+      this._hanCapabilityInstance = null;
+    }
+    if (this._hanPollInterval) {
+      clearInterval(this._hanPollInterval);
+      this._hanPollInterval = null;
+    }
+    this._hanDevice = null;
+    this._hanDeviceName = null;
+    this._hanDeviceManufacturer = null;
+    this._hanDeviceId = null;
+    if (this._api) await this._connectToHAN();
+    return { ok: true, hanConnected: !!this._hanDeviceId, hanDeviceName: this._hanDeviceName };
+  }
+
   async _connectToHAN() {
+    this._teardownTopology();
     const allDevices = await this._api.devices.getDevices();
     const allDeviceList = Object.values(allDevices);
 
+    if (this._meterTopology.enabled && this._meterTopology.sources.length > 0) {
+      await this._connectTopology(allDeviceList);
+      return;
+    }
+
     // Check if user has manually selected a specific meter device
     const selectedId = this.homey.settings.get('selectedMeterDeviceId') || null;
     let hanDevice = null;
@@ -985,6 +1315,9 @@ class PowerGuardApp extends Homey.App {
       }
     }
 
+    // Cumulative import register (optional) — hourly kWh is taken from its delta when available
+    this._connectMeterRegister(hanDevice);
+
     // Active polling fallback — critical for cloud-based meters (Easee Equalizer, etc.)
     // that may not reliably fire capability change events through Homey's API.
     // Poll every 10s, and do an immediate first poll after 2s to get data quickly.
@@ -994,8 +1327,221 @@ class PowerGuardApp extends Homey.App {
     this.log('HAN active polling started (10s interval, first poll in 2s)');
   }
 
+  /**
+   * Subscribe to the meter's cumulative kWh register, if it has one.
+   * Register state survives restarts but is discarded when the meter changes.
+   */
+  _connectMeterRegister(hanDevice) {
+    if (this._hanRegisterInstance) {
+      try { this._hanRegisterInstance.destroy(); } catch (_) {}
+      this._hanRegisterInstance = null;
+    }
+    const caps = Array.isArray(hanDevice.capabilities) ? hanDevice.capabilities : [];
+    this._meterRegisterCap = REGISTER_CAPABILITIES.find(c => caps.includes(c)) || null;
+    if (!this._meterRegisterCap) {
+      this.log('[HAN] No meter_power register — hourly energy from integrated measure_power');
+      return;
+    }
+    if (this._meterRegisterDeviceId !== hanDevice.id) {
+      this._meterRegister = new MeterRegister();
+      this._meterRegisterDeviceId = hanDevice.id;
+    }
+    this._hanRegisterInstance = hanDevice.makeCapabilityInstance(this._meterRegisterCap, (value) => this._onMeterRegisterReading(value));
+    const initial = hanDevice.capabilitiesObj?.[this._meterRegisterCap]?.value;
+    if (initial != null) this._onMeterRegisterReading(initial);
+    this.log(`[HAN] Using ${this._meterRegisterCap} register for hourly energy (current ${initial != null ? initial + ' kWh' : 'unknown'})`);
+  }
+
+  _onMeterRegisterReading(value) {
+    const kWh = Number(value);
+    if (!Number.isFinite(kWh) || kWh <= 0) return;
+    const now = Date.now();
+    // Events and polls both report the same value — only a change is a new reading
+    if (this._meterRegister.last && this._meterRegister.last.kWh === kWh && now - this._meterRegister.last.time < MAX_BRIDGE_MS) return;
+    const resetsBefore = this._meterRegister.resets;
+    const recorded = this._meterRegister.update(kWh, now);
+    if (this._meterRegister.resets !== resetsBefore) {
+      this._appLogEntry('han', `Meter register jumped to ${kWh} kWh — register baseline reset`);
+    }
+    try {
+      this.homey.settings.set('_meterRegisterState', Object.assign({ deviceId: this._meterRegisterDeviceId }, this._meterRegister.toJSON()));
+    } catch (_) {}
+    if (recorded.length) this._settlePendingPeriods(now);
+  }
+
+  // ─── Multi-meter topology ─────────────────────────────────────────────────
+
+  _topologyActive() {
+    return Object.keys(this._topologySources).length > 0;
+  }
+
+  _teardownTopology() {
+    for (const st of Object.values(this._topologySources)) {
+      for (const inst of st.instances) {
+        try { inst.destroy(); } catch (_) {}
+      }
+    }
+    clearTimeout(this._topologyCollectTimer);
+    this._topologyCollectTimer = null;
+    this._topologySources = {};
+    this._topologyLast = null;
+    this._topologyStaleKey = '';
+    this._phaseCurrents = {};  // the previous meter(s)' phase readings no longer apply
+  }
+
+  /**
+   * Connect every meter in the topology. The first added meter found becomes
+   * _hanDevice (brand, phase detection); the combined reading is what reaches
+   * _onPowerReading. The meter_power register is not used — it covers one meter only.
+   */
+  async _connectTopology(allDeviceList) {
+    const found = [];
+    for (const src of this._meterTopology.sources) {
+      const device = allDeviceList.find(d => d.id === src.deviceId &&
+        Array.isArray(d.capabilities) && d.capabilities.includes('measure_power'));
+      if (!device) {
+        this.log(`[HAN] Topology meter "${src.name || src.deviceId}" not found or missing measure_power`);
+        this._appLogEntry('han', `Topology meter "${src.name || src.deviceId}" not found`);
+        continue;
+      }
+      const capObj = device.capabilitiesObj || {};
+      const initial = capObj.measure_power;
+      const state = {
+        device,
+        powerW: initial && initial.value != null ? Number(initial.value) : null,
+        time: initial && initial.value != null ? (Date.parse(initial.lastUpdated) || Date.now()) : null,
+        phases: readPhaseCurrents(cap => (capObj[cap] ? capObj[cap].value : null)),
+        instances: [],
+      };
+      this._topologySources[src.deviceId] = state;
+      state.instances.push(device.makeCapabilityInstance('measure_power', (value) => {
+        this._hanEventCount++;
+        state.powerW = Number(value);
+        state.time = Date.now();
+        state.fresh = true;
+        this._collectTopologyReading();
+      }));
+      for (const [phase, caps] of Object.entries(PHASE_CURRENT_CAPS)) {
+        const cap = caps.find(c => device.capabilities.includes(c));
+        if (cap) state.instances.push(device.makeCapabilityInstance(cap, (value) => { state.phases[phase] = Number(value); }));
+      }
+      found.push({ src, device });
+    }
+
+    if (!found.length) {
+      this.log('[HAN] No topology meter found. Power Guard will not receive live data until a meter is available.');
+      this._hanDeviceId = null;
+      this._hanDevice = null;
+      this._hanDeviceName = null;
+      this._hanDeviceManufacturer = null;
+      return;
+    }
+
+    const primary = (found.find(f => f.src.op !== 'subtract') || found[0]).device;
+    this._hanDeviceId = primary.id;
+    this._hanDevice = primary;
+    this._hanDeviceName = found.map((f, i) => `${i === 0 && f.src.op !== 'subtract' ? '' : (f.src.op === 'subtract' ? '− ' : '+ ')}${f.src.name || f.device.name}`).join(' ');
+    this._hanDeviceManufacturer = primary.owner?.name || primary.driverId || null;
+    this._hanEventCount = 0;
+    this._hanPollCount = 0;
+    this._hanSpikeCount = 0;
+    this._hanRawLog = [];
+    this._meterRegisterCap = null;
+    if (this._hanRegisterInstance) {
+      try { this._hanRegisterInstance.destroy(); } catch (_) {}
+      this._hanRegisterInstance = null;
+    }
+    this.log(`[HAN] Meter topology: ${this._hanDeviceName} (${found.length}/${this._meterTopology.sources.length} meters)`);
+    this._appLogEntry('han', `Meter topology connected: ${this._hanDeviceName}`);
+    this._onTopologyReading('initial');
+
+    if (this._hanPollInterval) clearInterval(this._hanPollInterval);
+    this._hanPollInterval = setInterval(async () => { const _t = Date.now(); await this._pollHANPower().catch(err => this.error('[HAN] Poll error:', err)); this._trackCallTime('hanPoll', Date.now() - _t); }, 10000);
+  }
+
+  /**
+   * One combined reading per update, not one per meter event: the reading goes out once
+   * every reporting meter has sent a new value, or TOPOLOGY_COLLECT_MS after the first one —
+   * so smoothing, spike and hysteresis counters advance once per real sample.
+   */
+  _collectTopologyReading() {
+    const now = Date.now();
+    const waiting = this._meterTopology.sources.some(src => {
+      const st = this._topologySources[src.deviceId];
+      return st && !st.fresh && st.time != null && now - st.time <= staleAfterMs(src);
+    });
+    if (waiting) {
+      if (!this._topologyCollectTimer) {
+        this._topologyCollectTimer = setTimeout(() => this._onTopologyReading('event'), TOPOLOGY_COLLECT_MS);
+      }
+      return;
+    }
+    this._onTopologyReading('event');
+  }
+
+  /** Combine the sources and feed the site reading into the normal power pipeline. */
+  _onTopologyReading(source) {
+    clearTimeout(this._topologyCollectTimer);
+    this._topologyCollectTimer = null;
+    for (const st of Object.values(this._topologySources)) st.fresh = false;
+    const result = combineReadings(this._meterTopology, this._topologySources, Date.now());
+    this._topologyLast = result;
+
+    const staleKey = result.stale.join(',');
+    if (staleKey !== this._topologyStaleKey) {
+      const names = result.contributions.filter(c => c.stale).map(c => c.name).join(', ');
+      if (names) this._appLogEntry('han', `Topology meter(s) stale: ${names}${result.failed.length ? ' — site power unavailable' : ''}`);
+      else this._appLogEntry('han', 'Topology: all meters reporting');
+      this._topologyStaleKey = staleKey;
+    }
+    if (!result.ok) return;  // missing power guard takes over if this persists
+
+    if (result.phaseCurrents) {
+      this._onPhaseReading('measure_current.L1', result.phaseCurrents[1]);
+      this._onPhaseReading('measure_current.L2', result.phaseCurrents[2]);
+      this._onPhaseReading('measure_current.L3', result.phaseCurrents[3]);
+    } else {
+      this._phaseCurrents = {};  // incomplete phases — no per-phase decisions on old values
+    }
+    this._pushHanRawLog(Math.round(result.powerW), source);
+    this._onPowerReading(result.powerW);
+  }
+
+  /**
+   * Poll every topology meter. A source counts as updated when Homey's
+   * lastUpdated moved on — a repeated poll of an unchanged cache is not a
+   * fresh reading, so per-source staleness still applies.
+   */
+  async _pollTopology() {
+    for (const [deviceId, state] of Object.entries(this._topologySources)) {
+      try {
+        const device = await this._api.devices.getDevice({ id: deviceId });
+        const capObj = device && device.capabilitiesObj;
+        if (!capObj || !capObj.measure_power || capObj.measure_power.value == null) continue;
+        const at = Date.parse(capObj.measure_power.lastUpdated) || 0;
+        Object.assign(state.phases, readPhaseCurrents(cap => (capObj[cap] ? capObj[cap].value : null)));
+        if (at > (state.time || 0)) {
+          state.powerW = Number(capObj.measure_power.value);
+          state.time = at;
+        }
+      } catch (err) {
+        this.log(`[HAN Poll] Topology meter ${deviceId}: ${err.message || err}`);
+      }
+    }
+    this._hanPollCount++;
+    // Events normally drive readings; the poll only fills in when they have stopped
+    // (and re-evaluates staleness, so a silent 'fail' source is noticed)
+    const sinceLast = this._lastHanReading ? Date.now() - this._lastHanReading : Infinity;
+    if (sinceLast > 15000) this._onTopologyReading('poll');
+  }
+
   async _pollHANPower() {
     if (!this._hanDevice) return;
+    if (this._topologyActive()) {
+      await this._pollTopology();
+      this._checkMissingPower();
+      return;
+    }
     try {
       // Re-fetch the device to get the latest capability values
       const device = await this._api.devices.getDevice({ id: this._hanDeviceId });
@@ -1058,6 +1604,9 @@ class PowerGuardApp extends Homey.App {
             this._onPhaseReading(cap, Number(capObj[cap].value));
           }
         }
+        if (this._meterRegisterCap && capObj[this._meterRegisterCap] && capObj[this._meterRegisterCap].value != null) {
+          this._onMeterRegisterReading(capObj[this._meterRegisterCap].value);
+        }
       } else {
         this.log('[HAN Poll] measure_power value is null or missing');
       }
@@ -1065,10 +1614,16 @@ class PowerGuardApp extends Homey.App {
       this.log('[HAN Poll] Error: ' + (err.message || err));
     }
 
-    // ── Missing power guard ──────────────────────────────────────────────────
-    // If no real reading has arrived for longer than missingPowerTimeoutS, and the
-    // feature is enabled, force a synthetic reading at the effective limit so that
-    // mitigation kicks in and we don't accidentally overshoot the capacity tariff.
+    this._checkMissingPower();
+  }
+
+  /**
+   * Missing power guard — if no real reading has arrived for longer than
+   * missingPowerTimeoutS, and the feature is enabled, force a synthetic reading
+   * at the effective limit so that mitigation kicks in and we don't accidentally
+   * overshoot the capacity tariff.
+   */
+  _checkMissingPower() {
     const timeoutS = this._settings.missingPowerTimeoutS || 0;
     if (timeoutS > 0 && this._settings.enabled) {
       const ageSec = this._lastHanReading ? (Date.now() - this._lastHanReading) / 1000 : Infinity;
@@ -1177,6 +1732,7 @@ class PowerGuardApp extends Homey.App {
           this.log(`[HAN] Spike filter reset: ${this._spikeConsecutiveCount} consecutive filtered readings at ~${rawValue}W — accepting as new baseline (was avg ${avg.toFixed(0)}W)`);
           this._appLogEntry('han', `Spike filter reset after ${this._spikeConsecutiveCount} consecutive readings: new baseline ~${rawValue}W (was ${avg.toFixed(0)}W)`);
           this._powerBuffer = [rawValue, rawValue];
+          this._powerSamples = [];  // a new baseline is a step, not a trend
           this._spikeConsecutiveCount = 0;
           this._spikeLastFilteredValue = null;
           // Fall through to normal processing below
@@ -1188,6 +1744,9 @@ class PowerGuardApp extends Homey.App {
 
     this._powerBuffer.push(rawValue);
     if (this._powerBuffer.length > 60) this._powerBuffer.shift();
+    this._powerSamples.push({ t: Date.now(), w: rawValue, knownW: this._knownDeviceDrawW() });
+    trimSamples(this._powerSamples, Date.now());
+    this._updateFuseModel(rawValue);
     this._spikeConsecutiveCount = 0;  // reset on every accepted reading
     this._spikeLastFilteredValue = null;
 
@@ -1215,23 +1774,33 @@ class PowerGuardApp extends Homey.App {
     if (typeof value !== 'number') return;
     if (!this._phaseCurrents) this._phaseCurrents = {};
     this._phaseCurrents[capId] = value;
+    // Phase inference: one snapshot per second (L1–L3 arrive as separate events)
+    const now = Date.now();
+    const last = this._phaseSamples[this._phaseSamples.length - 1];
+    if (last && now - last.t < 1000) this._phaseSamples.pop();
+    recordSample(this._phaseSamples, now, this._getPhaseCurrents());
+    this._judgePhaseSteps(now);
   }
 
   /**
-   * Returns per-phase currents {a, b, c} in amps if available from the HAN device.
+   * Returns per-phase currents {1, 2, 3} in amps from the HAN device, null for a
+   * phase without a (valid) reading — single-phase meters only report L1.
    * Supports Futurehome HAN (measure_current.phase_a/b/c) and
    * Easee Equalizer / other meters (measure_current.L1/L2/L3).
-   * Returns null if phase data is not available.
+   * Returns null if no phase data is available.
    */
   _getPhaseCurrents() {
-    if (!this._phaseCurrents) return null;
-    const p = this._phaseCurrents;
-    const a = p['measure_current.phase_a'] ?? p['measure_current.L1'] ?? null;
-    const b = p['measure_current.phase_b'] ?? p['measure_current.L2'] ?? null;
-    const c = p['measure_current.phase_c'] ?? p['measure_current.L3'] ?? null;
-    if (a === null || b === null || c === null) return null;
-    if (a < 0 || b < 0 || c < 0) return null;
-    return { a, b, c };
+    const p = this._phaseCurrents || {};
+    const read = (a, b) => {
+      const v = p[a] ?? p[b];
+      return Number.isFinite(v) && v >= 0 ? v : null;
+    };
+    const amps = {
+      1: read('measure_current.phase_a', 'measure_current.L1'),
+      2: read('measure_current.phase_b', 'measure_current.L2'),
+      3: read('measure_current.phase_c', 'measure_current.L3'),
+    };
+    return PHASES.some(k => amps[k] != null) ? amps : null;
   }
 
   /**
@@ -1271,23 +1840,51 @@ class PowerGuardApp extends Homey.App {
     return 1;
   }
 
+  /**
+   * Grid type for per-line current math (common/phase-guard.js): 'tn' (230 V to
+   * neutral, 400 V between lines) or 'it' (230 V between lines, no neutral).
+   * The gridType setting, else a 3-phase charger's learned W/A ratio —
+   * ≈690 on TN, ≈400 on IT — else TN.
+   */
+  _gridType() {
+    const set = this._settings.gridType;
+    if (set === 'tn' || set === 'it') return set;
+    const wpa = Object.values(this._evPowerData || {})
+      .filter(d => d.detectedPhases === 3 && d.wattsPerAmp > 0)
+      .map(d => d.wattsPerAmp);
+    return wpa.length && Math.max(...wpa) < 550 ? 'it' : 'tn';
+  }
+
   // ══════════════════════════════════════════════════════════════════
   // █ SECTION 3 — ENERGY TRACKING & CAPACITY TARIFF                           █
   // ══════════════════════════════════════════════════════════════════
   //  Included: hourly energy accumulation (kWh), effekttariff (capacity
-  //            tariff) — tracks monthly peak-hours for Norwegian grid tariff
+  //            tariff) — tracks monthly peaks per the selected scheme
+  //            (common/capacity-tariff.js: tiers, aggregation, 60/15 min)
+  //            and the tier guard that limits power to stay in a target tier
   //
   //  ✅ STABLE — DO NOT TOUCH unless absolutely necessary
   // ══════════════════════════════════════════════════════════════════
 
   /**
-   * Get a YYYY-MM-DD date key in Europe/Oslo timezone.
-   * Fixes critical bug: toISOString() returns UTC which is wrong around midnight in Norway.
+   * IANA timezone of the installation — explicit priceSettings.timeZone, otherwise
+   * the timezone of the configured bidding zone (Europe/Oslo for NO1–NO5).
+   */
+  _getSiteTimeZone() {
+    const cfg = this._priceSettings || PRICE_DEFAULTS;
+    if (cfg.timeZone) return cfg.timeZone;
+    const zone = PRICE_ZONES[cfg.priceArea];
+    return zone ? zone.timeZone : 'Europe/Oslo';
+  }
+
+  /**
+   * Get a YYYY-MM-DD date key in the site timezone (see _getSiteTimeZone).
+   * Fixes critical bug: toISOString() returns UTC which is wrong around local midnight.
    * Used for hourly energy, daily peaks, and 7-day calendar.
    */
-  _getOsloDateKey(ts = Date.now()) {
+  _getLocalDateKey(ts = Date.now()) {
     const parts = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'Europe/Oslo',
+      timeZone: this._getSiteTimeZone(),
       year: 'numeric',
       month: '2-digit',
       day: '2-digit',
@@ -1303,34 +1900,29 @@ class PowerGuardApp extends Homey.App {
   /**
    * Accumulate energy usage using trapezoidal integration of power readings.
    * Rolls over to a new hour when the clock ticks, persisting the completed hour.
+   * The integrated value is a fallback — see _completePeriod for the meter register.
    */
   _accumulateHourlyEnergy(powerW) {
     const now = Date.now();
     const currentHour = new Date().getHours();
+    this._accumulatePeakInterval(powerW, now);
 
-    // Hour rollover — save completed hour and start fresh
+    // Hour rollover — complete the hour (kWh settled against the meter register) and start fresh
     if (currentHour !== this._hourlyEnergy.currentHour) {
-      const completedKWh = Math.round(this._hourlyEnergy.accumulatedWh) / 1000;
-      const entry = {
+      // Start of the completed hour — readings may resume well after the boundary
+      let hourStartMs = Math.floor((now - 1) / 3600000) * 3600000;
+      for (let i = 0; i < 24 && new Date(hourStartMs).getHours() !== this._hourlyEnergy.currentHour; i++) hourStartMs -= 3600000;
+      this._completePeriod({
+        kind: 'hour',
+        startMs: hourStartMs,
+        endMs: hourStartMs + 3600000,
+        integratedKWh: Math.round(this._hourlyEnergy.accumulatedWh) / 1000,
+        controlledKWh: Math.round(this._hourlyEnergy.controlledWh) / 1000,
         hour: this._hourlyEnergy.currentHour,
-        date: this._getOsloDateKey(now - 1),  // Date of the completed hour (Oslo timezone)
-        kWh: Math.round(completedKWh * 1000) / 1000,         // 3 decimal places
-      };
-      this._hourlyEnergy.history.push(entry);
-      // Keep last 24 entries only
-      if (this._hourlyEnergy.history.length > 24) {
-        this._hourlyEnergy.history = this._hourlyEnergy.history.slice(-24);
-      }
-      // Persist to settings
-      try {
-        this.homey.settings.set('_hourlyEnergyHistory', this._hourlyEnergy.history);
-      } catch (_) {}
-      this.log(`[Energy] Hour ${entry.hour}:00 completed: ${entry.kWh} kWh`);
-      this._appLogEntry('energy', `Hour ${entry.hour}:00 completed: ${entry.kWh} kWh`);
-
-      // Update effekttariff daily peak: kWh in one hour = average kW for that hour
-      // The hourly kWh value IS the average power in kW for that hour
-      this._updateDailyPeak(entry.date, entry.kWh);
+        date: this._getLocalDateKey(hourStartMs),  // Date of the completed hour (site timezone)
+        peakW: this._hourlyEnergy.peakW,
+        mitigationMs: this._hourlyEnergy.mitigationMs,
+      });
 
       // Reset for new hour
       this._hourlyEnergy.currentHour = currentHour;
@@ -1338,18 +1930,26 @@ class PowerGuardApp extends Homey.App {
       this._hourlyEnergy.lastReadingW = powerW;
       this._hourlyEnergy.lastReadingTime = now;
       this._hourlyEnergy.hourStartKnown = true;  // From here on we know exactly where the hour started
+      this._hourlyEnergy.peakW = powerW;
+      this._hourlyEnergy.mitigationMs = 0;
+      this._hourlyEnergy.controlledWh = 0;
+      this._hourlyEnergy.lastControlledW = this._controlledDrawW();
       // Persist fresh state for new hour
       try {
         this.homey.settings.set('_hourlyEnergyState', {
           currentHour,
           accumulatedWh: 0,
           lastReadingW: powerW,
+          peakW: powerW,
+          mitigationMs: 0,
+          controlledWh: 0,
         });
       } catch (_) {}
       return;
     }
 
     // Normal accumulation: trapezoidal integration (average of last and current reading × elapsed time)
+    const controlledW = this._controlledDrawW();
     if (this._hourlyEnergy.lastReadingTime !== null) {
       const elapsedMs = now - this._hourlyEnergy.lastReadingTime;
       // Sanity: ignore gaps > 60s (likely a restart or missed readings)
@@ -1357,11 +1957,16 @@ class PowerGuardApp extends Homey.App {
         const avgPowerW = (this._hourlyEnergy.lastReadingW + powerW) / 2;
         const elapsedH = elapsedMs / 3600000;  // Convert ms to hours
         this._hourlyEnergy.accumulatedWh += avgPowerW * elapsedH;
+        if (this._mitigatedDevices.length > 0) this._hourlyEnergy.mitigationMs += elapsedMs;
+        this._hourlyEnergy.controlledWh += (this._hourlyEnergy.lastControlledW + controlledW) / 2 * elapsedH;
       }
     }
 
+    this._hourlyEnergy.lastControlledW = controlledW;
     this._hourlyEnergy.lastReadingW = powerW;
     this._hourlyEnergy.lastReadingTime = now;
+    if (powerW > this._hourlyEnergy.peakW) this._hourlyEnergy.peakW = powerW;
+    if (this._pendingPeriods.length) this._settlePendingPeriods(now);
 
     // Persist in-progress state so accumulation survives app restarts
     try {
@@ -1369,119 +1974,506 @@ class PowerGuardApp extends Homey.App {
         currentHour: this._hourlyEnergy.currentHour,
         accumulatedWh: this._hourlyEnergy.accumulatedWh,
         lastReadingW: this._hourlyEnergy.lastReadingW,
+        peakW: this._hourlyEnergy.peakW,
+        mitigationMs: this._hourlyEnergy.mitigationMs,
+        controlledWh: this._hourlyEnergy.controlledWh,
       });
     } catch (_) {}
   }
 
-  // ─── Effekttariff (Capacity Tariff) Tracking ──────────────────────────────
-
   /**
-   * Update the daily peak kW for a given date.
-   * kWh consumed in 1 hour == average kW for that hour.
-   * We keep only the highest hour per day.
+   * Live draw of the loads Power Guard plans into price slots itself (chargers and flexible
+   * loads the scheduler has switched on). Kept apart per hour so planning baselines leave
+   * out the planners' own earlier runs.
    */
-  _updateDailyPeak(dateStr, avgKW) {
-    const old = this._dailyPeaks[dateStr] || 0;
-    if (avgKW > old) {
-      this._dailyPeaks[dateStr] = Math.round(avgKW * 1000) / 1000;
-      this.log(`[Effekttariff] New daily peak for ${dateStr}: ${avgKW.toFixed(3)} kW (was ${old.toFixed(3)} kW)`);
-      this._appLogEntry('energy', `New daily peak for ${dateStr}: ${avgKW.toFixed(3)} kW (was ${old.toFixed(3)} kW)`);
-      this._persistDailyPeaks();
-      // Push updated tier label to the virtual device capability
-      const status = this._getEffekttariffStatus();
-      this._updateVirtualDevice({ effektledd: status.tierLabel }).catch(() => {});
-    }
+  _controlledDrawW() {
+    const ids = new Set(Object.keys(this._evPowerData || {}));
+    for (const [id, st] of Object.entries(this._flexState || {})) if (st.on) ids.add(id);
+    let w = 0;
+    for (const id of ids) w += Math.max(0, this._deviceDrawW(id));
+    return w;
   }
 
+  // ─── Meter Register Reconciliation ────────────────────────────────────────
+
   /**
-   * Clean out daily peak entries that are not in the current month.
-   * Called on startup and on month rollover.
+   * A measurement period ended. With a meter register connected it waits
+   * (up to REGISTER_SETTLE_MS) for the register reading past its end boundary,
+   * so its kWh can come from the register delta; otherwise it completes now
+   * with the integrated value.
+   * @param {object} period - { kind: 'hour'|'interval', startMs, endMs, integratedKWh, ... }
    */
-  _cleanOldDailyPeaks() {
-    const now = new Date();
-    // Keep last 13 months (current + 12 previous) for historical chart navigation
-    const cutoff = new Date(now.getFullYear(), now.getMonth() - 12, 1);
-    const cutoffMonth = cutoff.getFullYear() + '-' + String(cutoff.getMonth() + 1).padStart(2, '0');
-    const keys = Object.keys(this._dailyPeaks);
-    let removed = 0;
-    for (const key of keys) {
-      if (key.slice(0, 7) < cutoffMonth) {
-        delete this._dailyPeaks[key];
-        removed++;
-      }
+  _completePeriod(period) {
+    if (!this._meterRegisterCap) {
+      this._finalizePeriod(period, period.integratedKWh, 'integrated');
+      return;
     }
-    if (removed > 0) {
-      this.log(`[Effekttariff] Cleaned ${removed} old daily peak(s), keeping last 13 months (${Object.keys(this._dailyPeaks).length} days)`);
-      this._persistDailyPeaks();
+    this._pendingPeriods.push(period);
+    this._settlePendingPeriods(Date.now());
+  }
+
+  /** Finalize pending periods whose end boundary is known or whose wait has expired. */
+  _settlePendingPeriods(now) {
+    const waiting = [];
+    for (const p of this._pendingPeriods) {
+      // 15-minute periods need a register that updates often; hourly ones accept list-3 meters
+      const maxGapMs = p.kind === 'hour' ? MAX_BRIDGE_MS : (p.endMs - p.startMs) / 3;
+      const registerKWh = this._meterRegister.deltaKWh(p.startMs, p.endMs, maxGapMs);
+      if (registerKWh !== null) {
+        this._finalizePeriod(p, registerKWh, 'register');
+      } else if (!this._meterRegisterCap || now - p.endMs > REGISTER_SETTLE_MS) {
+        this._finalizePeriod(p, p.integratedKWh, 'integrated');
+      } else {
+        waiting.push(p);
+      }
     }
+    this._pendingPeriods = waiting;
   }
 
-  _persistDailyPeaks() {
+  /** Record a completed period: hour history / long-term store / peaks, or a 15-minute peak candidate. */
+  _finalizePeriod(period, kWh, source) {
+    kWh = Math.round(kWh * 1000) / 1000;  // 3 decimal places
+    if (period.kind === 'interval') {
+      this._recordPeakPeriod(period.startMs, kWh / ((period.endMs - period.startMs) / 3600000));
+      return;
+    }
+
+    const entry = { hour: period.hour, date: period.date, kWh };
+    // Energy of planned loads, capped at the hour's total (register and integration can disagree)
+    if (Number.isFinite(period.controlledKWh)) entry.controlledKWh = Math.min(kWh, period.controlledKWh);
+    this._hourlyEnergy.history.push(entry);
+    // Keep last 24 entries only
+    if (this._hourlyEnergy.history.length > 24) {
+      this._hourlyEnergy.history = this._hourlyEnergy.history.slice(-24);
+    }
+    // Persist to settings
     try {
-      this.homey.settings.set('_dailyPeaks', this._dailyPeaks);
+      this.homey.settings.set('_hourlyEnergyHistory', this._hourlyEnergy.history);
     } catch (_) {}
-  }
 
-  /**
-   * Calculate the monthly capacity metric (TOP3_AVG):
-   * Average of the 3 highest daily peaks this month.
-   * Returns { monthlyKW, tier, dailyPeaks, top3 }
-   */
-  _getEffekttariffStatus() {
-    // Clean if we crossed into a new month
-    const now = new Date();
-    const currentMonth = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
-    // Trigger a cleanup pass whenever there's data older than 13 months
-    if (Object.keys(this._dailyPeaks).some(k => k.slice(0, 7) < currentMonth.slice(0, 7).replace(/\d{2}$/, m => String(Number(m) - 12).padStart(2, '0')))) {
-      this._cleanOldDailyPeaks();
+    const integratedKWh = Math.round(period.integratedKWh * 1000) / 1000;
+    const drift = source === 'register' ? ` (integrated ${integratedKWh} kWh, drift ${(kWh - integratedKWh).toFixed(3)})` : '';
+    this.log(`[Energy] Hour ${entry.hour}:00 completed: ${entry.kWh} kWh from ${source}${drift}`);
+    this._appLogEntry('energy', `Hour ${entry.hour}:00 completed: ${entry.kWh} kWh${drift}`);
+    if (this._meterRegisterCap || source === 'register') {
+      this._registerReconcile.push({
+        date: entry.date,
+        hour: entry.hour,
+        source,
+        registerKWh: source === 'register' ? kWh : null,
+        integratedKWh,
+        driftKWh: source === 'register' ? Math.round((kWh - integratedKWh) * 1000) / 1000 : null,
+      });
+      if (this._registerReconcile.length > 48) this._registerReconcile = this._registerReconcile.slice(-48);
+      try {
+        this.homey.settings.set('_registerReconcile', this._registerReconcile);
+      } catch (_) {}
     }
+    this._recordHistoryHour(Object.assign({ peakW: period.peakW, mitigationMs: period.mitigationMs, source }, entry), period.startMs);
 
-    // Current month's peaks only — used for TOP3 / tier calculation
-    const allPeaks = Object.entries(this._dailyPeaks)
-      .map(([date, kw]) => ({ date, kw: Number(kw) }))
-      .filter(p => Number.isFinite(p.kw) && p.kw >= 0 && p.date.startsWith(currentMonth))
-      .sort((a, b) => b.kw - a.kw);
-
-    // Full lookup (all stored months) for historical chart navigation
-    const dailyPeaksLookup = Object.fromEntries(
-      Object.entries(this._dailyPeaks)
-        .filter(([, kw]) => Number.isFinite(Number(kw)) && Number(kw) >= 0)
-        .map(([date, kw]) => [date, Math.round(Number(kw) * 1000) / 1000])
-    );
+    // Update effekttariff daily peak: kWh in one hour = average kW for that hour
+    if (this._getCapacityScheme().intervalMinutes >= 60) {
+      this._recordPeakPeriod(period.startMs, entry.kWh);
+    }
+  }
 
-    // TOP3 average
-    const top3 = allPeaks.slice(0, 3);
-    const monthlyKW = top3.length > 0
-      ? top3.reduce((sum, p) => sum + p.kw, 0) / top3.length
-      : 0;
+  // ─── Long-term Energy History ─────────────────────────────────────────────
 
-    // Find current tier
-    let tier = EFFEKT_TIERS[EFFEKT_TIERS.length - 1];  // Default to highest
-    for (const t of EFFEKT_TIERS) {
-      if (monthlyKW < t.maxKW) {
-        tier = t;
-        break;
-      }
+  /** Writable directory for the history store — /userdata on Homey, app dir in development. */
+  _getHistoryDir() {
+    for (const dir of ['/userdata', __dirname]) {
+      try {
+        fs.accessSync(dir, fs.constants.W_OK);
+        return path.join(dir, 'history');
+      } catch (_) { /* not writable */ }
     }
+    return null;
+  }
 
-    // Current hour: accumulated kWh so far, and projected end-of-hour kW
-    const currentHourKWh = Math.round(this._hourlyEnergy.accumulatedWh) / 1000;
-    const msIntoHour     = now.getTime() % 3600000;
-    const fractionOfHour = msIntoHour / 3600000;
-    // Projected = what the hourly kWh would be if the rest of the hour continues at the same avg rate
-    const projectedKWh   = fractionOfHour > 0.01
-      ? Math.round((currentHourKWh / fractionOfHour) * 1000) / 1000
-      : 0;
-    const todayStr = this._getOsloDateKey(now.getTime());
+  /**
+   * Append a completed hour to the long-term history store, with the hour's
+   * average spot / all-in price from the price engine and the resulting cost.
+   * Compacts the previous month when the first hour of a new month arrives.
+   */
+  _recordHistoryHour(entry, hourStartMs) {
+    if (!this._history) return;
+    const hourEndMs = hourStartMs + 3600000;
+    let spotSum = 0, priceSum = 0, coveredMs = 0;
+    for (const e of this._priceEntries || []) {
+      const overlap = Math.min(e.end.getTime(), hourEndMs) - Math.max(e.start.getTime(), hourStartMs);
+      if (overlap <= 0) continue;
+      spotSum += e.spotOre * overlap;
+      priceSum += e.adjustedOre * overlap;
+      coveredMs += overlap;
+    }
+    const locale = this._priceLocale();
+    const r2 = (v) => Math.round(v * 100) / 100;
+    const priceOre = coveredMs > 0 ? priceSum / coveredMs : null;
+    const rec = {
+      ts: new Date(hourStartMs).toISOString(),
+      date: entry.date,
+      hour: entry.hour,
+      kWh: entry.kWh,
+      peakW: Math.round(entry.peakW || 0),
+      spotOre: coveredMs > 0 ? r2(spotSum / coveredMs) : null,
+      priceOre: priceOre !== null ? r2(priceOre) : null,
+      cost: priceOre !== null ? Math.round(entry.kWh * priceOre / locale.perUnit * 10000) / 10000 : null,
+      currency: locale.currency,
+      mitigationMin: Math.round((entry.mitigationMs || 0) / 6000) / 10,
+      source: entry.source,
+    };
+    const month = entry.date.slice(0, 7);
+    const newMonth = month > this._historyMonth;
+    if (newMonth) this._historyMonth = month;
+    this._history.appendHour(rec)
+      .then(() => (newMonth ? this._history.compact(month) : null))
+      .catch(err => this.error('[History] Append failed:', err.message));
+  }
+
+  /**
+   * Called by api.js getEnergyHistory — rows for an arbitrary date range.
+   * @param {object} q - { from, to, resolution: 'hour' | 'day' | 'month' }
+   */
+  async getEnergyHistory(q) {
+    if (!this._history) return { ok: false, error: 'History store not available' };
+    try {
+      const result = await this._history.query(q);
+      return Object.assign({ ok: true, range: this._history.range() }, result);
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  // ─── Data Export / Import ─────────────────────────────────────────────────
+
+  /** Append a finished EV session to the export log (kept to the last 500 sessions). */
+  _recordEvSession(entry, trk) {
+    if (!(trk.totalWh > 0)) return;
+    const endMs = Date.now();
+    const elapsedH = (endMs - trk.startMs) / 3600000;
+    this._evSessionLog.push({
+      deviceId: entry.deviceId,
+      name: entry.name,
+      start: timestamp(new Date(trk.startMs)),
+      end: timestamp(new Date(endMs)),
+      kWh: Math.round(trk.totalWh) / 1000,
+      avgKw: elapsedH > 0 ? Math.round((trk.totalWh / 1000 / elapsedH) * 10) / 10 : null,
+    });
+    if (this._evSessionLog.length > 500) this._evSessionLog = this._evSessionLog.slice(-500);
+    try { this.homey.settings.set('_evSessionLog', this._evSessionLog); } catch (_) {}
+  }
+
+  /**
+   * Called by api.js exportData.
+   * @param {object} q - { dataset, format: 'json' | 'csv', from?, to? } (YYYY-MM-DD, inclusive)
+   *   datasets: hourly, daily (history store), peaks (effekttariff daily peaks),
+   *             mitigation, applog, ev-sessions
+   * @returns {Promise<object>} { ok, dataset, format, filename, rows | csv }
+   */
+  async exportData({ dataset, format = 'json', from, to }) {
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateRe.test(from)) || (to && !dateRe.test(to))) return { ok: false, error: 'from and to must be YYYY-MM-DD' };
+    if (!['json', 'csv'].includes(format)) return { ok: false, error: 'format must be json or csv' };
+
+    let rows, columns;
+    switch (dataset) {
+      case 'hourly':
+      case 'daily': {
+        const today = this._getLocalDateKey();
+        const range = {
+          from: from || this._getLocalDateKey(Date.now() - 30 * 86400000),
+          to: to || today,
+          resolution: dataset === 'hourly' ? 'hour' : 'day',
+        };
+        if (this._history) {
+          const res = await this.getEnergyHistory(range);
+          if (!res.ok) return res;
+          rows = res.rows;
+        } else {
+          // No file store — fall back to the 24 h in-memory history
+          rows = filterByDate(this._hourlyEnergy.history, 'date', range.from, range.to);
+        }
+        columns = dataset === 'hourly'
+          ? ['ts', 'date', 'hour', 'kWh', 'peakW', 'spotOre', 'priceOre', 'cost', 'currency', 'mitigationMin']
+          : ['key', 'kWh', 'peakW', 'maxHourKWh', 'cost', 'mitigationMin', 'hours', 'spotOre', 'priceOre'];
+        break;
+      }
+      case 'peaks':
+        rows = filterByDate(
+          Object.entries(this._dailyPeaks).sort(([a], [b]) => a.localeCompare(b)).map(([date, kw]) => ({ date, kw })),
+          'date', from, to);
+        columns = ['date', 'kw'];
+        break;
+      case 'mitigation':
+        rows = filterByDate(this._mitigationLog.slice(), 'time', from, to);
+        columns = ['time', 'message'];
+        break;
+      case 'applog':
+        rows = filterByDate(this._appLog.slice(), 'time', from, to);
+        columns = ['time', 'category', 'message'];
+        break;
+      case 'ev-sessions':
+        rows = filterByDate(this._evSessionLog.slice(), 'start', from, to);
+        columns = ['deviceId', 'name', 'start', 'end', 'kWh', 'avgKw'];
+        break;
+      default:
+        return { ok: false, error: 'dataset must be one of hourly, daily, peaks, mitigation, applog, ev-sessions' };
+    }
+
+    const filename = `powerguard-${dataset}${from ? `-${from}` : ''}${to ? `-${to}` : ''}.${format}`;
+    return format === 'csv'
+      ? { ok: true, dataset, format, filename, count: rows.length, csv: toCsv(rows, columns) }
+      : { ok: true, dataset, format, filename, count: rows.length, rows };
+  }
+
+  /**
+   * Called by api.js importMeterData — backfills the history store and the
+   * effekttariff daily peaks from an Elhub / DSO meter-data CSV export.
+   * Daily peaks follow the active capacity scheme (interval and peak window);
+   * with overwrite=false an imported peak only raises an existing day's peak.
+   * @param {object} body - { csv: string, overwrite?: boolean }
+   */
+  async importMeterData({ csv, overwrite = false }) {
+    const tz = this._getSiteTimeZone();
+    let parsed;
+    try {
+      parsed = parseMeterCsv(csv, { timeZone: tz });
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+    if (!parsed.intervals.length) return { ok: false, error: 'No readable rows', skipped: parsed.skipped };
+
+    // Aggregate to hours (15-minute files) for the history store
+    const hours = new Map();
+    for (const iv of parsed.intervals) {
+      const hourStart = Math.floor(iv.start / 3600000) * 3600000;
+      hours.set(hourStart, (hours.get(hourStart) || 0) + iv.kWh);
+    }
+    const records = [...hours.entries()].map(([start, kWh]) => {
+      const parts = localParts(new Date(start), tz);
+      return {
+        ts: new Date(start).toISOString(), date: parts.dateKey, hour: Math.floor(parts.minutes / 60),
+        kWh: Math.round(kWh * 1000) / 1000, peakW: null, spotOre: null, priceOre: null,
+        cost: null, currency: null, mitigationMin: null, source: 'import',
+      };
+    });
+    let stored = { added: 0, skipped: 0 };
+    if (this._history) stored = await this._history.importHours(records, { overwrite });
+
+    // Daily peaks per the active scheme: 15-minute data keeps its resolution when the scheme measures 15 min
+    const scheme = this._getCapacityScheme();
+    const periods = scheme.intervalMinutes === 15 && parsed.intervalMinutes === 15
+      ? parsed.intervals.map(iv => ({ start: iv.start, kw: iv.kWh * 4 }))
+      : [...hours.entries()].map(([start, kWh]) => ({ start, kw: kWh }));
+    const peaks = {};
+    for (const p of periods) {
+      if (!inPeakWindow(scheme, new Date(p.start), tz)) continue;
+      const date = this._getLocalDateKey(p.start);
+      peaks[date] = Math.max(peaks[date] || 0, p.kw);
+    }
+    let peakDays = 0;
+    for (const [date, kw] of Object.entries(peaks)) {
+      const rounded = Math.round(kw * 1000) / 1000;
+      if (overwrite || rounded > (this._dailyPeaks[date] || 0)) {
+        this._dailyPeaks[date] = rounded;
+        peakDays++;
+      }
+    }
+    this._cleanOldDailyPeaks();
+    this._persistDailyPeaks();
+    this._tierGuardCache = null;
+
+    const dates = records.map(r => r.date).sort();
+    const msg = `Imported meter data ${dates[0]} → ${dates[dates.length - 1]}: ${records.length} h `
+      + `(${stored.added} new, ${parsed.skipped} unreadable rows), ${peakDays} daily peak(s) updated`;
+    this.log(`[History] ${msg}`);
+    this._appLogEntry('energy', msg);
+    const status = this._getEffekttariffStatus();
+    this._updateVirtualDevice({ effektledd: status.tierLabel }).catch(() => {});
+    return {
+      ok: true,
+      from: dates[0],
+      to: dates[dates.length - 1],
+      intervalMinutes: parsed.intervalMinutes,
+      hours: records.length,
+      added: stored.added,
+      skippedExisting: stored.skipped,
+      skippedRows: parsed.skipped,
+      peakDaysUpdated: peakDays,
+    };
+  }
+
+  /**
+   * Accumulate energy for sub-hour measurement periods (15-minute capacity schemes).
+   * Same trapezoidal integration as the hourly tracker; each completed period's
+   * average kW is recorded as a peak candidate. No-op for hourly schemes.
+   */
+  _accumulatePeakInterval(powerW, now) {
+    const intervalMs = this._getCapacityScheme().intervalMinutes * 60000;
+    if (intervalMs >= 3600000) return;
+    const iv = this._peakInterval;
+    const start = Math.floor(now / intervalMs) * intervalMs;
+
+    if (iv.start !== start) {
+      if (iv.start !== null) {
+        this._completePeriod({ kind: 'interval', startMs: iv.start, endMs: iv.start + intervalMs, integratedKWh: iv.accumulatedWh / 1000 });
+      }
+      // startKnown: false for the first (partial) period after startup or a scheme change
+      this._peakInterval = { start, accumulatedWh: 0, lastReadingW: powerW, lastReadingTime: now, startKnown: iv.start !== null };
+      return;
+    }
+
+    if (iv.lastReadingTime !== null) {
+      const elapsedMs = now - iv.lastReadingTime;
+      if (elapsedMs > 0 && elapsedMs < 60000) {
+        iv.accumulatedWh += ((iv.lastReadingW + powerW) / 2) * (elapsedMs / 3600000);
+      }
+    }
+    iv.lastReadingW = powerW;
+    iv.lastReadingTime = now;
+  }
+
+  // ─── Effekttariff (Capacity Tariff) Tracking ──────────────────────────────
+
+  /** Active capacity tariff scheme — a preset from CAPACITY_TARIFF_SCHEMES or the custom one. */
+  _getCapacityScheme() {
+    const cfg = this._capacityTariff || CAPACITY_TARIFF_DEFAULTS;
+    if (cfg.schemeId === 'custom' && cfg.custom) return Object.assign({ id: 'custom' }, cfg.custom);
+    const id = CAPACITY_TARIFF_SCHEMES[cfg.schemeId] ? cfg.schemeId : CAPACITY_TARIFF_DEFAULTS.schemeId;
+    return Object.assign({ id }, CAPACITY_TARIFF_SCHEMES[id]);
+  }
+
+  /**
+   * Record a completed measurement period as a daily peak candidate,
+   * unless the scheme's peak window excludes it (e.g. nights or weekends).
+   */
+  _recordPeakPeriod(startMs, avgKW) {
+    const scheme = this._getCapacityScheme();
+    const tz = this._getSiteTimeZone();
+    if (!inPeakWindow(scheme, new Date(startMs), tz)) return;
+    this._updateDailyPeak(this._getLocalDateKey(startMs), avgKW);
+  }
+
+  /**
+   * Update the daily peak kW for a given date.
+   * kWh consumed in 1 hour == average kW for that hour (15-minute schemes pass
+   * the period's average kW). We keep only the highest period per day.
+   */
+  _updateDailyPeak(dateStr, avgKW) {
+    const old = this._dailyPeaks[dateStr] || 0;
+    if (avgKW > old) {
+      this._dailyPeaks[dateStr] = Math.round(avgKW * 1000) / 1000;
+      this._tierGuardCache = null;
+      this.log(`[Effekttariff] New daily peak for ${dateStr}: ${avgKW.toFixed(3)} kW (was ${old.toFixed(3)} kW)`);
+      this._appLogEntry('energy', `New daily peak for ${dateStr}: ${avgKW.toFixed(3)} kW (was ${old.toFixed(3)} kW)`);
+      this._persistDailyPeaks();
+      // Push updated tier label to the virtual device capability
+      const status = this._getEffekttariffStatus();
+      this._updateVirtualDevice({ effektledd: status.tierLabel }).catch(() => {});
+    }
+  }
+
+  /**
+   * Clean out daily peak entries that are not in the current month.
+   * Called on startup and on month rollover.
+   */
+  _cleanOldDailyPeaks() {
+    const now = new Date();
+    // Keep last 13 months (current + 12 previous) for historical chart navigation
+    const cutoff = new Date(now.getFullYear(), now.getMonth() - 12, 1);
+    const cutoffMonth = cutoff.getFullYear() + '-' + String(cutoff.getMonth() + 1).padStart(2, '0');
+    const keys = Object.keys(this._dailyPeaks);
+    let removed = 0;
+    for (const key of keys) {
+      if (key.slice(0, 7) < cutoffMonth) {
+        delete this._dailyPeaks[key];
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.log(`[Effekttariff] Cleaned ${removed} old daily peak(s), keeping last 13 months (${Object.keys(this._dailyPeaks).length} days)`);
+      this._persistDailyPeaks();
+    }
+  }
+
+  _persistDailyPeaks() {
+    try {
+      this.homey.settings.set('_dailyPeaks', this._dailyPeaks);
+    } catch (_) {}
+  }
+
+  /**
+   * Calculate the monthly capacity metric for the active scheme
+   * (default: average of the 3 highest daily peaks this month) and its charge.
+   * Returns { monthlyKW, tier, monthlyCharge, dailyPeaks, top3 }
+   */
+  _getEffekttariffStatus() {
+    // Clean if we crossed into a new month
+    const now = new Date();
+    const currentMonth = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0');
+    // Trigger a cleanup pass whenever there's data older than 13 months
+    if (Object.keys(this._dailyPeaks).some(k => k.slice(0, 7) < currentMonth.slice(0, 7).replace(/\d{2}$/, m => String(Number(m) - 12).padStart(2, '0')))) {
+      this._cleanOldDailyPeaks();
+    }
+
+    // Current month's peaks only — used for TOP3 / tier calculation
+    const allPeaks = Object.entries(this._dailyPeaks)
+      .map(([date, kw]) => ({ date, kw: Number(kw) }))
+      .filter(p => Number.isFinite(p.kw) && p.kw >= 0 && p.date.startsWith(currentMonth))
+      .sort((a, b) => b.kw - a.kw);
+
+    // Full lookup (all stored months) for historical chart navigation
+    const dailyPeaksLookup = Object.fromEntries(
+      Object.entries(this._dailyPeaks)
+        .filter(([, kw]) => Number.isFinite(Number(kw)) && Number(kw) >= 0)
+        .map(([date, kw]) => [date, Math.round(Number(kw) * 1000) / 1000])
+    );
+
+    // Monthly metric per scheme rule (TOP3 average, single max, ...) and tier
+    const scheme = this._getCapacityScheme();
+    const result = evaluateScheme(scheme, allPeaks, now.getMonth() + 1);
+    const top3 = result.counted;
+    const monthlyKW = result.monthlyKW;
+    const tier = result.tier;
+
+    // Current hour: accumulated kWh so far, and projected end-of-hour kW
+    const currentHourKWh = Math.round(this._hourlyEnergy.accumulatedWh) / 1000;
+    const msIntoHour     = now.getTime() % 3600000;
+    const fractionOfHour = msIntoHour / 3600000;
+    // Projected = what the hourly kWh would be if the rest of the hour continues at the same avg rate
+    const projectedKWh   = fractionOfHour > 0.01
+      ? Math.round((currentHourKWh / fractionOfHour) * 1000) / 1000
+      : 0;
+    const todayStr = this._getLocalDateKey(now.getTime());
     const todayPeak = this._dailyPeaks[todayStr] || 0;
-    // Warn when the projected end-of-hour value would beat today's best completed hour
-    const wouldBeNewDailyPeak = projectedKWh > todayPeak && fractionOfHour > 0.05;
+    // Current measurement period for 15-minute schemes: projected average kW
+    const intervalMs = scheme.intervalMinutes * 60000;
+    let projectedIntervalKW = null;
+    if (intervalMs < 3600000 && this._peakInterval.start !== null) {
+      const fraction = (now.getTime() - this._peakInterval.start) / intervalMs;
+      projectedIntervalKW = fraction > 0.01
+        ? this._peakInterval.accumulatedWh / fraction / (intervalMs / 3600000) / 1000
+        : 0;
+    }
+    // Warn when the projected end-of-period value would beat today's best completed period
+    const wouldBeNewDailyPeak = projectedIntervalKW !== null
+      ? projectedIntervalKW > todayPeak && inPeakWindow(scheme, now, this._getSiteTimeZone())
+      : projectedKWh > todayPeak && fractionOfHour > 0.05;
 
     return {
       monthlyKW: Math.round(monthlyKW * 1000) / 1000,
       tierLabel: tier.label,
       tierIndex: tier.index,
-      tierMaxKW: tier.maxKW === Infinity ? null : tier.maxKW,
+      tierMaxKW: tier.maxKW == null ? null : tier.maxKW,
+      monthlyCharge: Math.round(result.monthlyCharge * 100) / 100,
+      chargeCurrency: scheme.currency || 'NOK',
+      schemeId: scheme.id,
+      schemeLabel: scheme.label,
+      aggregation: scheme.aggregation,
+      intervalMinutes: scheme.intervalMinutes,
+      projectedIntervalKW: projectedIntervalKW === null ? null : Math.round(projectedIntervalKW * 1000) / 1000,
+      tierBoundsKW: scheme.tiers.map(t => t.maxKW).filter(kw => kw != null),
+      tierGuard: this._getTierGuard(),
       top3: top3.map(p => ({ date: p.date, kw: Math.round(p.kw * 1000) / 1000 })),
       dailyPeakCount: allPeaks.length,
       allPeaks: allPeaks,  // Current month only (for calendar + TOP3 medals)
@@ -1498,7 +2490,7 @@ class PowerGuardApp extends Homey.App {
         const cutoff = new Date(now);
         cutoff.setDate(cutoff.getDate() - 6);
         cutoff.setHours(0, 0, 0, 0);
-        const cutoffStr = this._getOsloDateKey(cutoff.getTime());
+        const cutoffStr = this._getLocalDateKey(cutoff.getTime());
         return Object.entries(this._dailyPeaks)
           .filter(([date]) => date >= cutoffStr)
           .map(([date, kw]) => ({ date, kw: Math.round(Number(kw) * 1000) / 1000 }))
@@ -1507,26 +2499,151 @@ class PowerGuardApp extends Homey.App {
     };
   }
 
+  // ─── Capacity-tier guard ──────────────────────────────────────────────────
+
+  /**
+   * Tier guard: turns the target tier into a power limit for the current
+   * measurement period. guardCeilingKW gives the highest daily peak allowed
+   * from the month's peaks so far; that ceiling is the period's energy budget,
+   * spread over the time left in the period (like the dynamic hourly budget).
+   * Returns null when the guard is off; active=false outside the peak window.
+   * Cached for a few seconds — _getEffectiveLimit is called on every reading.
+   */
+  _getTierGuard(now = Date.now()) {
+    if (!this._settings || !this._settings.tierGuardEnabled || !(this._settings.tierGuardTargetKW > 0) || !this._dailyPeaks) return null;
+    if (this._tierGuardCache && now - this._tierGuardCache.at < 5000) return this._tierGuardCache.value;
+
+    const scheme = this._getCapacityScheme();
+    const tz = this._getSiteTimeZone();
+    const targetKW = Number(this._settings.tierGuardTargetKW);
+    const periodMs = scheme.intervalMinutes * 60000;
+    let value;
+    if (!inPeakWindow(scheme, new Date(now), tz)) {
+      value = { active: false, targetKW, reason: 'outside peak window' };
+    } else {
+      const todayKey = this._getLocalDateKey(now);
+      const otherPeaks = Object.entries(this._dailyPeaks)
+        .filter(([date]) => date.startsWith(todayKey.slice(0, 7)) && date !== todayKey)
+        .map(([, kw]) => Number(kw));
+      const parts = localParts(new Date(now), tz);
+      const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+      const { ceilingKW, feasible } = guardCeilingKW(scheme, {
+        otherPeaks,
+        todayPeakKW: this._dailyPeaks[todayKey] || 0,
+        remainingDays: daysInMonth - parts.day + 1,
+        targetKW,
+      });
+
+      // Energy used so far in the current measurement period
+      const periodH = periodMs / 3600000;
+      let usedWh, periodStart, startKnown;
+      if (periodMs < 3600000) {
+        usedWh = this._peakInterval.accumulatedWh;
+        periodStart = this._peakInterval.start;
+        startKnown = this._peakInterval.startKnown === true;
+      } else {
+        usedWh = this._hourlyEnergy.accumulatedWh;
+        periodStart = Math.floor(now / 3600000) * 3600000;
+        startKnown = this._hourlyEnergy.hourStartKnown === true;
+      }
+      const budgetWh = ceilingKW * 1000 * periodH;
+      const remainingH = periodStart !== null ? (periodStart + periodMs - now) / 3600000 : 0;
+      // Without a known period start (after restart) the flat ceiling is used
+      const limitW = startKnown && remainingH > periodH * 0.02
+        ? Math.max(0, (budgetWh - usedWh) / remainingH)
+        : ceilingKW * 1000;
+      value = {
+        active: true,
+        targetKW,
+        feasible,
+        ceilingKW: Math.round(ceilingKW * 1000) / 1000,
+        budgetKWh: Math.round(budgetWh) / 1000,
+        usedKWh: Math.round(usedWh) / 1000,
+        limitW: Math.round(limitW),
+      };
+    }
+
+    const prev = this._tierGuardCache && this._tierGuardCache.value;
+    if (value.active && (!prev || !prev.active || Math.abs(prev.ceilingKW - value.ceilingKW) >= 0.1 || prev.feasible !== value.feasible)) {
+      const msg = `Tier guard: daily ceiling ${value.ceilingKW.toFixed(2)} kW for target < ${targetKW} kW`
+        + (value.feasible ? '' : ' (target already exceeded this month — holding current level)');
+      this.log(`[Effekttariff] ${msg}`);
+      this._appLogEntry('energy', msg);
+    }
+    this._tierGuardCache = { at: now, value };
+    return value;
+  }
+
+  /** Public getter used by api.js getCapacityTariff endpoint */
+  getCapacityTariff() {
+    return {
+      schemeId: this._getCapacityScheme().id,
+      custom: this._capacityTariff.custom,
+      schemes: Object.entries(CAPACITY_TARIFF_SCHEMES).map(([id, sc]) => Object.assign({ id }, sc)),
+      status: this._getEffekttariffStatus(),
+    };
+  }
+
+  /**
+   * Called by api.js setCapacityTariff — { schemeId, custom? }.
+   * Existing daily peaks are kept; a changed measurement interval applies from the next period.
+   */
+  saveCapacityTariff(cfg) {
+    if (!cfg || typeof cfg !== 'object') return { ok: false, error: 'Invalid request' };
+    const merged = Object.assign({}, CAPACITY_TARIFF_DEFAULTS, this._capacityTariff, cfg);
+    if (merged.schemeId !== 'custom' && !CAPACITY_TARIFF_SCHEMES[merged.schemeId]) {
+      return { ok: false, error: `Unknown scheme: ${merged.schemeId}` };
+    }
+    if (merged.schemeId === 'custom') {
+      const check = validateScheme(merged.custom);
+      if (!check.ok) return check;
+    }
+    this._capacityTariff = merged;
+    this.homey.settings.set('capacityTariff', merged);
+    this._peakInterval = { start: null, accumulatedWh: 0, lastReadingW: 0, lastReadingTime: null };
+    this._tierGuardCache = null;
+    const status = this._getEffekttariffStatus();
+    this._appLogEntry('system', `[Effekttariff] Scheme set to ${status.schemeLabel || status.schemeId}`);
+    this._updateVirtualDevice({ effektledd: status.tierLabel }).catch(() => {});
+    return { ok: true };
+  }
+
   // ══════════════════════════════════════════════════════════════════
   // █ SECTION 4 — POWER LIMITS & MITIGATION ENGINE                            █
   // ══════════════════════════════════════════════════════════════════
-  //  Included: _checkLimits, _triggerMitigation, _canMitigate, _triggerRestore
+  //  Included: _checkLimits, _triggerMitigation, _canMitigate, _triggerRestore,
+  //            load forecast, phase limits, circuit groups, heater duty cycling
   //  Device types handled via common/devices.js applyAction/restoreDevice:
   //    • Heaters (target_temperature / Adax / generic thermostat)
   //    • Water heater (hoiax_power — Høiax Connected)
   //    • EV chargers (charge_pause / dynamic_current — routed to Sections 6–9)
   //
-  //  ✅ STABLE — DO NOT TOUCH unless absolutely necessary
+  //  _checkLimits triggers, in order: main fuse near tripping (fuse-model.js),
+  //  total over the limit for this time of day (limit-schedule.js), phase over
+  //  its fuse (phase-guard.js), circuit group over its limit (circuit-groups.js),
+  //  forecast crossing (load forecast below). Restores wait while any of these
+  //  is still counting, the fuse is warm or the forecast is rising.
+  //  _triggerMitigation picks devices with common/shed-solver.js; long stretches
+  //  near the limit rotate heaters with common/duty-cycle.js.
+  //
+  //  ⚠️ ACTIVELY EXTENDED — the decisions live in the common/ modules above;
+  //  keep new rules there and only wire them in here. Changing the trigger
+  //  order or the hysteresis counters changes how every site is protected.
   // ══════════════════════════════════════════════════════════════════
 
   // ─── Limit checking ───────────────────────────────────────────────────────
 
   async _checkLimits(smoothedPower, rawPower) {
     this._refreshSettings();
+    this._checkLimitChange();
+    this._updateSolarSurplus(rawPower ?? smoothedPower);
+    this._updateBatteries(rawPower ?? smoothedPower);
     if (!this._settings.enabled) return;
 
     const limit = this._getEffectiveLimit();
     const overLimit = smoothedPower > limit;
+    const forecast = this._updateLoadForecast();
+    const leadMin = Number(this._settings.forecastLeadMin) || 0;
 
     // EV charger dynamic adjustment uses raw (unsmoothed) power for faster reaction.
     // Smoothed power is still used for hysteresis and normal device mitigation.
@@ -1544,20 +2661,359 @@ class PowerGuardApp extends Homey.App {
       if (this._overLimitCount === this._settings.hysteresisCount) {
         this._fireTrigger('power_limit_exceeded', { power: Math.round(smoothedPower) });
       }
+      if (this._overLimitSince == null) this._overLimitSince = Date.now();
     } else {
       this._overLimitCount = 0;
+      this._overLimitSince = null;
     }
 
-    if (this._overLimitCount >= this._settings.hysteresisCount) {
+    // Main-fuse model: a short overshoot the fuse shrugs off may wait; a fuse close to tripping does not
+    const fuse = this._fuseState;
+    const tolerated = overLimit && !this._missingPowerActive && tolerateOverload(fuse, (Date.now() - this._overLimitSince) / 1000, forecast.hourKWh, limit);
+    if (tolerated && !this._overloadTolerated) {
+      this.log(`[Fuse] Overshoot tolerated: ${Math.round(smoothedPower)}W > ${Math.round(limit)}W, fuse cool, hour projected ${forecast.hourKWh} kWh`);
+      this._appLogEntry('mitigation', `Short overshoot tolerated: ${Math.round(smoothedPower)}W > ${Math.round(limit)}W — main fuse cool, hour within budget`);
+    }
+    this._overloadTolerated = tolerated;
+
+    // Predictive: a rising trend forecast to cross the limit within the lead time
+    // counts like an over-limit reading, so mitigation starts before the crossing.
+    if (!overLimit && forecastBreach(forecast, limit, leadMin)) {
+      this._forecastOverCount++;
+    } else {
+      this._forecastOverCount = 0;
+    }
+
+    // Per-phase limits: a phase over its fuse counts even when the total is fine
+    const phaseOver = this._updatePhaseOverloads();
+    // Circuit groups: a sub-circuit over its own fuse, likewise
+    const groupOver = this._updateGroupOverloads();
+
+    if (fuse && fuse.risk === 'critical' && fuse.worst) {
+      await this._triggerFuseMitigation(smoothedPower, fuse.worst);
+    } else if (this._overLimitCount >= this._settings.hysteresisCount && !tolerated) {
       await this._triggerMitigation(smoothedPower);
+    } else if (this._phaseOverCount >= this._settings.hysteresisCount) {
+      await this._triggerMitigation(smoothedPower, undefined, phaseOver[0]);
+    } else if (phaseOver.length) {
+      // Phase over its limit, hysteresis still counting — no restores meanwhile
+    } else if (this._groupOverCount >= this._settings.hysteresisCount) {
+      await this._triggerMitigation(smoothedPower, undefined, undefined, groupOver[0]);
+    } else if (groupOver.length) {
+      // Circuit over its limit, hysteresis still counting — no restores meanwhile
+    } else if (this._forecastOverCount >= this._settings.hysteresisCount) {
+      const predictedW = forecastAt(forecast, leadMin);
+      if (Date.now() - this._forecastEarlyLogAt > 60000) {
+        this._forecastEarlyLogAt = Date.now();
+        this.log(`[Forecast] ${Math.round(smoothedPower)}W rising ${forecast.trendWPerMin}W/min → ${predictedW}W in ${leadMin} min (limit ${Math.round(limit)}W) — mitigating early`);
+        this._appLogEntry('mitigation', `Forecast ${predictedW}W in ${leadMin} min > limit ${Math.round(limit)}W — mitigating early`);
+      }
+      await this._triggerMitigation(smoothedPower, predictedW);
+    } else if (fuse && fuse.risk !== 'ok') {
+      // Main fuse still warm from an overload — let it cool before restoring
     } else if (!overLimit && smoothedPower < (limit - 500) && this._mitigatedDevices.length > 0) {
+      // Hold restores while the forecast says power is on its way back up
+      const predictedW = leadMin > 0 && forecast.ok ? forecastAt(forecast, leadMin) : null;
+      if (predictedW != null && predictedW >= limit - 500) {
+        if (Date.now() - this._forecastHoldLogAt > 60000) {
+          this._forecastHoldLogAt = Date.now();
+          this.log(`[Forecast] Restore held: ${predictedW}W forecast in ${leadMin} min (limit ${Math.round(limit)}W)`);
+        }
+        return;
+      }
       await this._triggerRestore(smoothedPower);
     }
+
+    // Long stretches near the limit: hand the off slots round the heaters
+    if (!overLimit && this._forecastOverCount === 0 && !phaseOver.length && !groupOver.length && this._mitigatedDevices.length > 0) {
+      await this._dutyCycleRotate(smoothedPower);
+    }
+  }
+
+  // ─── Load forecast ────────────────────────────────────────────────────────
+
+  /** Summed live draw of the devices with their own power reading. */
+  _knownDeviceDrawW() {
+    let w = 0;
+    for (const d of Object.values(this._powerConsumptionData || {})) {
+      if (Number.isFinite(d.current) && d.current > 0) w += d.current;
+    }
+    return w;
+  }
+
+  /**
+   * Refresh the short-horizon forecast from the accepted readings.
+   * riskW = learned draw (or recent peak) of idle, unmitigated heaters that may cycle on at any moment.
+   */
+  _updateLoadForecast(now = Date.now()) {
+    const mitigated = new Set(this._mitigatedDevices.map(m => m.deviceId));
+    let riskW = 0;
+    for (const d of Object.values(this._powerConsumptionData || {})) {
+      if ((d.class === 'thermostat' || d.class === 'heater') && (d.current || 0) < 50 && !mitigated.has(d.deviceId)) {
+        riskW += restoreDrawW(this._loadProfiles[d.deviceId]) || d.peak || 0;
+      }
+    }
+    const forecast = forecastPower(this._powerSamples, now, { knownW: this._knownDeviceDrawW(), riskW });
+    forecast.hourKWh = projectHourKWh({
+      accumulatedWh: this._hourlyEnergy.accumulatedWh,
+      msIntoHour: now % 3600000,
+      history: this._hourlyEnergy.history,
+    }, forecast);
+    forecast.time = now;
+    this._forecast = forecast;
+    return forecast;
+  }
+
+  _getForecastStatus() {
+    const f = this._forecast;
+    if (!f) return null;
+    const leadMin = Number(this._settings.forecastLeadMin) || 0;
+    return {
+      ok: f.ok,
+      levelW: f.levelW,
+      trendWPerMin: f.trendWPerMin,
+      knownW: f.knownW,
+      riskW: f.riskW,
+      points: f.points,
+      hourKWh: f.hourKWh,
+      leadMin,
+      leadW: leadMin > 0 ? forecastAt(f, leadMin) : null,
+      earlyCount: this._forecastOverCount,
+    };
+  }
+
+  // ─── Phase limits (common/phase-guard.js) ──────────────────────────────────
+
+  /**
+   * Phases a priority-list entry sits on, null = unknown: the entry's own phase setting,
+   * else [1, 2, 3] for 3-phase chargers, else a confident inference (common/phase-infer.js).
+   */
+  _devicePhases(entry) {
+    const set = phasesOf(entry.phase);
+    if (set) return set;
+    if (entry.action === 'dynamic_current' || entry.action === 'charge_pause') {
+      const phases = this._evPowerData[entry.deviceId]?.detectedPhases || entry.chargerPhases;
+      if (phases === 3) return PHASES.slice();
+    }
+    const inf = inference(this._phaseInference[entry.deviceId], this._gridType());
+    return inf && inf.usable ? phasesOf(inf.phase) : null;
+  }
+
+  /** Refresh the overloaded phases and their hysteresis count; returns them, worst first. */
+  _updatePhaseOverloads() {
+    const limits = phaseLimits(this._settings);
+    const over = anyPhaseLimit(limits) ? phaseOverloads(this._getPhaseCurrents(), limits) : [];
+    if (over.length) {
+      this._phaseOverCount++;
+      if (!this._phaseOverloads.length) {
+        const desc = over.map(o => `L${o.phase} ${o.amps.toFixed(1)}A > ${o.limitA}A`).join(', ');
+        this.log(`[Phase] Over limit: ${desc}`);
+        this._appLogEntry('mitigation', `Phase over limit: ${desc}`);
+      }
+    } else {
+      if (this._phaseOverloads.length) this.log('[Phase] All phases back under their limits');
+      this._phaseOverCount = 0;
+    }
+    this._phaseOverloads = over;
+    return over;
+  }
+
+  /** Whether drawW fits on the entry's phases (unknown: on the fullest one). */
+  _phaseFits(entry, drawW) {
+    const limits = phaseLimits(this._settings);
+    if (!anyPhaseLimit(limits)) return true;
+    return restoreFitsPhases(this._getPhaseCurrents(), limits, entry ? this._devicePhases(entry) : null, drawW, this._gridType());
+  }
+
+  /** Room (A) left on the phases a charger may sit on — all of them when unknown. */
+  _chargerPhaseRoomA(entry) {
+    const limits = phaseLimits(this._settings);
+    if (!anyPhaseLimit(limits)) return Infinity;
+    return phaseRoomA(this._getPhaseCurrents(), limits, this._devicePhases(entry));
+  }
+
+  // ─── Circuit groups (common/circuit-groups.js) ─────────────────────────────
+
+  /** Live draw of one device: a charger's reported power, else its measure_power. */
+  _deviceDrawW(deviceId) {
+    const ev = this._evPowerData[deviceId];
+    if (ev && Number.isFinite(ev.powerW)) return ev.powerW;
+    const d = this._powerConsumptionData && this._powerConsumptionData[deviceId];
+    return d && Number.isFinite(d.current) ? d.current : 0;
+  }
+
+  /** Phases of a device by id (its priority-list entry), null when unknown or not listed. */
+  _devicePhasesById(deviceId) {
+    const entry = (this._settings.priorityList || []).find(e => e.deviceId === deviceId);
+    return entry ? this._devicePhases(entry) : null;
+  }
+
+  /** "2300W > 2000W" / "L2 21.4A > 20A" for a group load (circuit-groups.js groupLoads). */
+  _groupLoadDesc(g) {
+    if (g.limitW != null) return `${g.loadW}W > ${Math.round(g.limitW)}W`;
+    return `${g.phase ? `L${g.phase} ` : ''}${g.loadA}A > ${g.limitA}A`;
+  }
+
+  /** Refresh the group loads and the overloaded groups with their hysteresis count; returns them, worst first. */
+  _updateGroupOverloads() {
+    this._groupLoads = groupLoads(normalizeGroups(this._settings.circuitGroups), id => this._deviceDrawW(id),
+      id => this._devicePhasesById(id), this._gridType());
+    const over = groupOverloads(this._groupLoads);
+    if (over.length) {
+      this._groupOverCount++;
+      if (!this._groupOverloads.length) {
+        const desc = over.map(g => `${g.name} ${this._groupLoadDesc(g)}`).join(', ');
+        this.log(`[Circuit] Over limit: ${desc}`);
+        this._appLogEntry('mitigation', `Circuit over limit: ${desc}`);
+      }
+    } else {
+      if (this._groupOverloads.length) this.log('[Circuit] All circuits back under their limits');
+      this._groupOverCount = 0;
+    }
+    this._groupOverloads = over;
+    return over;
+  }
+
+  /** Whether drawW more from the device fits in every circuit group it belongs to. */
+  _groupFits(deviceId, drawW) {
+    return restoreFitsGroups(this._groupLoads, deviceId, drawW, this._devicePhasesById(deviceId), this._gridType());
+  }
+
+  _getCircuitStatus() {
+    return this._groupLoads.map(g => ({
+      id: g.id, name: g.name, loadW: g.loadW, over: g.overW > 0,
+      limitW: g.limitW != null ? Math.round(g.limitW) : null, loadA: g.loadA, limitA: g.limitA, phase: g.phase,
+    }));
+  }
+
+  // ─── Main-fuse model (common/fuse-model.js) ───────────────────────────────
+
+  /** Heat the fuse model with an accepted reading: HAN phase currents, else the total split over the phases. */
+  _updateFuseModel(powerW, now = Date.now()) {
+    if (!fuseEnabled(this._settings)) {
+      this._fuseState = null;
+      this._fuseAt = 0;
+      return;
+    }
+    let amps = this._getPhaseCurrents();
+    this._fuseEstimated = !amps;
+    if (!amps) {
+      const a = this._detectSystemPhases() === 3 ? phaseDrawA(powerW, PHASES, this._gridType()) : null;
+      amps = a != null ? { 1: a, 2: a, 3: a } : { 1: powerW / PHASE_VOLTAGE, 2: null, 3: null };
+    }
+    const dtS = this._fuseAt ? (now - this._fuseAt) / 1000 : 0;
+    this._fuseAt = now;
+    updateHeat(this._fuseHeat, amps, this._settings, dtS);
+    const prevRisk = this._fuseState ? this._fuseState.risk : 'ok';
+    this._fuseState = fuseState(this._fuseHeat, amps, this._settings);
+    if (this._fuseState.risk !== prevRisk) {
+      const desc = this._fuseState.phases
+        .filter(p => p.amps != null)
+        .map(p => `L${p.phase} ${p.amps.toFixed(1)}A heat ${Math.round(p.heat * 100)}%`).join(', ');
+      this.log(`[Fuse] Risk ${prevRisk} → ${this._fuseState.risk}: ${desc}`);
+      if (this._fuseState.risk === 'critical') this._appLogEntry('mitigation', `Main fuse at risk: ${desc}`);
+    }
+  }
+
+  /**
+   * Shed for a main fuse close to tripping, without waiting for hysteresis: the phase
+   * over the fuse when the meter reports phase currents, else the total.
+   */
+  async _triggerFuseMitigation(currentPower, worst) {
+    const ratingA = Number(this._settings.mainCircuitA);
+    if (!this._fuseEstimated) {
+      await this._triggerMitigation(currentPower, undefined, { phase: worst.phase, amps: worst.amps, limitA: ratingA, overA: worst.overA });
+      return;
+    }
+    // Balanced estimate: the same overshoot on every phase, as W over the limit
+    const phases = this._detectSystemPhases() === 3 ? PHASES : null;
+    const needW = phaseNeedW(worst, phases, this._gridType());
+    await this._triggerMitigation(currentPower, this._getEffectiveLimit() + needW);
+  }
+
+  _getFuseStatus() {
+    if (!this._fuseState) return null;
+    return {
+      curve: this._settings.fuseCurve,
+      ratingA: Number(this._settings.mainCircuitA),
+      estimated: this._fuseEstimated,
+      risk: this._fuseState.risk,
+      phases: this._fuseState.phases,
+      tolerated: this._overloadTolerated,
+    };
+  }
+
+  // ─── Phase inference (common/phase-infer.js) ──────────────────────────────
+
+  /** Remember a priority-list device's measure_power step for phase inference. */
+  _notePowerStep(deviceId, prevW, newW) {
+    const lastSample = this._phaseSamples[this._phaseSamples.length - 1];
+    if (Math.abs(newW - prevW) < STEP_MIN_W || !lastSample || Date.now() - lastSample.t > 60000) return;
+    if (!(this._settings.priorityList || []).some(e => e.deviceId === deviceId)) {
+      // Other devices' steps still disqualify overlapping ones
+      this._phaseSteps.push({ deviceId, t: Date.now(), deltaW: newW - prevW, judged: true });
+      return;
+    }
+    this._phaseSteps.push({ deviceId, t: Date.now(), deltaW: newW - prevW, judged: false });
+  }
+
+  /** Judge the steps whose after-window has passed; tallies are saved every 10 minutes. */
+  _judgePhaseSteps(now) {
+    for (const step of this._phaseSteps) {
+      if (step.judged || now - step.t < AFTER_MS) continue;
+      step.judged = true;
+      const { hyp } = judgeStep(step, this._phaseSamples, this._phaseSteps, this._gridType());
+      this._phaseInference[step.deviceId] = tally(this._phaseInference[step.deviceId], hyp, now);
+    }
+    this._phaseSteps = this._phaseSteps.filter(st => !st.judged || now - st.t < AFTER_MS + QUIET_MS);
+    if (now - this._phaseInferenceSavedAt < 10 * 60 * 1000) return;
+    this._phaseInferenceSavedAt = now;
+    const listed = new Set((this._settings.priorityList || []).map(e => e.deviceId));
+    for (const id of Object.keys(this._phaseInference)) {
+      if (!listed.has(id)) delete this._phaseInference[id];
+    }
+    try {
+      this.homey.settings.set('_phaseInference', this._phaseInference);
+    } catch (err) {
+      this.error('Failed to persist phase inference:', err);
+    }
+  }
+
+  /** Inferred phase per priority-list device (deviceId → { phase, confidence, events, usable }). */
+  _getPhaseMapStatus() {
+    const out = {};
+    for (const e of this._settings.priorityList || []) {
+      const inf = inference(this._phaseInference[e.deviceId], this._gridType());
+      if (inf) out[e.deviceId] = inf;
+    }
+    return out;
+  }
+
+  _getPhaseGuardStatus() {
+    const limits = phaseLimits(this._settings);
+    if (!anyPhaseLimit(limits)) return null;
+    return {
+      currents: this._getPhaseCurrents(),
+      limits,
+      overloads: this._phaseOverloads,
+      overCount: this._phaseOverCount,
+    };
   }
 
   // ─── Mitigation ───────────────────────────────────────────────────────────
 
-  async _triggerMitigation(currentPower) {
+  /**
+   * One mitigation cycle. Devices with a known draw are shed together per the
+   * shedding plan (common/shed-solver.js); without one, one device per cycle.
+   * @param {number} currentPower - smoothed W
+   * @param {number} [expectedW] - forecast W when mitigating ahead of the crossing
+   * @param {{ phase: number, amps: number, limitA: number, overA: number }} [phaseOver] - a phase over
+   *   its limit (common/phase-guard.js): shed only what may sit on that phase, to cover its overshoot
+   * @param {{ id: string, name: string, members: string[], phase: number|null, overW: number }} [groupOver] -
+   *   a circuit group over its limit (common/circuit-groups.js): shed only its members (on `phase`
+   *   when set), to cover its overshoot
+   */
+  async _triggerMitigation(currentPower, expectedW, phaseOver, groupOver) {
     if (!this._api) return;
     const release = await this._mutex.acquire();
     try {
@@ -1575,24 +3031,106 @@ class PowerGuardApp extends Homey.App {
 
       // Primary sort: user-defined priority. Secondary sort: push high-comError devices to end
       // Unreliable devices are attempted last to avoid getting stuck.
-      const priorityList = [...(this._settings.priorityList || [])]
+      // Devices whose learned profile says they free almost nothing (idle now, rarely on)
+      // go after the rest, so the one-per-cycle slot goes to a device that moves the meter.
+      const lowRelief = (entry) => {
+        const reliefW = expectedReliefW(this._loadProfiles[entry.deviceId], this._powerConsumptionData[entry.deviceId]?.current);
+        return reliefW != null && reliefW < LOW_RELIEF_W;
+      };
+      // Thermostats then take turns: their slots are refilled warmest room first (Section 11).
+      const priorityList = rotateThermostats([...(this._settings.priorityList || [])]
         .sort((a, b) => {
+          const reliefDiff = lowRelief(a) - lowRelief(b);
+          if (reliefDiff !== 0) return reliefDiff;
           const priDiff = a.priority - b.priority;
           if (priDiff !== 0) return priDiff;
           return this._getDeviceComErrors(a.deviceId) - this._getDeviceComErrors(b.deviceId);
-        });
+        }), e => this._rotationScore(e, now));
       const mitigated = new Set(this._mitigatedDevices.map(m => m.deviceId));
 
       this.log(`[Mitigation] Starting cycle: power=${Math.round(currentPower)}W, limit=${Math.round(this._getEffectiveLimit())}W, `
-        + `devices in list: ${priorityList.length}, already mitigated: ${mitigated.size}`);
+        + `devices in list: ${priorityList.length}, already mitigated: ${mitigated.size}`
+        + (phaseOver ? `, phase L${phaseOver.phase} ${phaseOver.amps.toFixed(1)}A > ${phaseOver.limitA}A` : '')
+        + (groupOver ? `, circuit ${groupOver.name} ${this._groupLoadDesc(groupOver)}` : ''));
       this._appLogEntry('mitigation', `Cycle start: power=${Math.round(currentPower)}W, limit=${Math.round(this._getEffectiveLimit())}W, list=${priorityList.length}, mitigated=${mitigated.size}`);
 
+      // ── Shedding plan ──────────────────────────────────────────────────────
+      // Cover the whole overshoot in one cycle with the cheapest set of devices whose
+      // draw is known. Relief already commanded but not on the meter yet (slow cloud
+      // heaters ramping down) counts towards it.
+      // A phase overload is planned in W on that phase, over the devices that may sit on it,
+      // with only the pending relief of devices known to sit on it (their share on that phase);
+      // a circuit overload over the circuit's members, with only their pending relief — for a
+      // 3-phase circuit with an A limit, on its fullest line like a phase overload.
+      const inGroup = groupOver ? new Set(groupOver.members) : null;
+      const shedPhase = phaseOver ? phaseOver.phase : groupOver ? groupOver.phase : null;
+      let pending = this._pendingShed;
+      if (inGroup) pending = Object.fromEntries(Object.entries(pending).filter(([id]) => inGroup.has(id)));
+      if (shedPhase) {
+        const devPhases = new Map(priorityList.map(e => [e.deviceId, this._devicePhases(e)]));
+        pending = Object.fromEntries(Object.entries(pending)
+          .filter(([id]) => (devPhases.get(id) || []).includes(shedPhase))
+          .map(([id, p]) => [id, { ...p, reliefW: phaseShareW(p.reliefW, devPhases.get(id), this._gridType()) }]));
+      }
+      const pendingW = pendingReliefW(pending, now);
+      const needW = phaseOver
+        ? phaseNeedW(phaseOver) - pendingW
+        : groupOver
+          ? groupOver.overW + SHED_MARGIN_W - pendingW
+          : Math.max(currentPower, expectedW || 0) - this._getEffectiveLimit() + SHED_MARGIN_W - pendingW;
+      if (pendingW > 0 && needW <= 0) {
+        this.log(`[Mitigation] Waiting for ramp-down: ${Math.round(pendingW)}W shed but not yet measured`);
+        this._appLogEntry('mitigation', `Waiting for ramp-down of ${Math.round(pendingW)}W already shed`);
+        return;
+      }
+      const reliefOf = {};
+      let candidates = priorityList
+        .filter(e => e.enabled !== false && e.action !== 'dynamic_current' && e.action !== 'battery'
+          && !mitigated.has(e.deviceId) && this._canMitigate(e) && !this._inComfortRest(e.deviceId)
+          && (!inGroup || inGroup.has(e.deviceId)))
+        .map(e => {
+          const liveW = this._powerConsumptionData[e.deviceId]?.current;
+          // Idle right now: the idle guard below skips it, so it cannot be planned on whatever the profile says
+          const idle = !e.ignorePowerCheck && Number.isFinite(liveW) && liveW < ON_MIN_W;
+          reliefOf[e.deviceId] = idle ? null : expectedReliefW(this._loadProfiles[e.deviceId], liveW);
+          return { deviceId: e.deviceId, action: e.action, reliefW: reliefOf[e.deviceId], phases: this._devicePhases(e) };
+        });
+      let onPhase = null;
+      if (shedPhase) {
+        const pc = phaseCandidates(candidates, shedPhase, this._gridType());
+        candidates = pc.candidates;
+        // Stepped re-mitigation of devices already shed counts too, under the same rule
+        onPhase = new Set(priorityList.filter(e => {
+          const phases = this._devicePhases(e);
+          return pc.known ? !!phases && phases.includes(shedPhase) : !phases;
+        }).map(e => e.deviceId));
+        if (!pc.known && candidates.length) this.log(`[Mitigation] No device known on L${shedPhase} — shedding devices of unknown phase`);
+      }
+      const plan = planShed(candidates, needW);
+      const planned = new Set(plan.deviceIds);
+      if (planned.size) {
+        const names = priorityList.filter(e => planned.has(e.deviceId)).map(e => e.name).join(', ');
+        this.log(`[Mitigation] Shed plan: need ${Math.round(needW)}W (pending ${Math.round(pendingW)}W) → ${names} (${plan.coveredW}W${plan.complete ? '' : ', not enough'})`);
+        this._appLogEntry('mitigation', `Shed plan: ${names} — ${plan.coveredW}W for ${Math.round(needW)}W over`);
+      }
+
       // Build diagnostic scan results (visible in settings page)
       const scanResults = [];
 
       // Then, apply regular mitigation (turn off devices)
       let mitigatedThisCycle = false;
-      for (const entry of priorityList) {
+      let unplannedThisCycle = false;   // devices outside the plan go one per cycle
+      // Planned devices may still turn out idle or unreachable: when none of them was shed,
+      // the list is scanned once more without the plan (one device per cycle)
+      const log = (msg) => this.log(msg);
+      const scanOrder = function* () {
+        yield* priorityList;
+        if (!planned.size || mitigatedThisCycle) return;
+        log('[Mitigation] No planned device could be shed — scanning without the plan');
+        planned.clear();
+        yield* priorityList;
+      };
+      for (const entry of scanOrder()) {
         if (entry.enabled === false) {
           this.log(`[Mitigation] SKIP ${entry.name}: disabled`);
           scanResults.push({ name: entry.name, action: entry.action, result: 'disabled' });
@@ -1602,6 +3140,10 @@ class PowerGuardApp extends Homey.App {
           scanResults.push({ name: entry.name, action: entry.action, result: 'ev_charger (handled separately)' });
           continue;  // Skip EV chargers here (handled above)
         }
+        if (entry.action === 'battery') {
+          scanResults.push({ name: entry.name, action: entry.action, result: 'home battery (handled separately)' });
+          continue;  // Discharges ahead of mitigation in _updateBatteries (Section 15)
+        }
         if (mitigated.has(entry.deviceId)) {
           // Allow Høiax stepped devices AND thermostats to be further stepped down.
           // Each thermostat re-mitigation lowers temp by another 3°C from the current live value
@@ -1632,7 +3174,25 @@ class PowerGuardApp extends Homey.App {
           scanResults.push({ name: entry.name, action: entry.action, result: 'min runtime not met' });
           continue;
         }
-        if (mitigatedThisCycle) {
+        if (!mitigated.has(entry.deviceId) && this._inComfortRest(entry.deviceId)) {
+          scanResults.push({ name: entry.name, action: entry.action, result: 'comfort rest' });
+          continue;
+        }
+        if (onPhase && !onPhase.has(entry.deviceId)) {
+          scanResults.push({ name: entry.name, action: entry.action, result: `not on L${shedPhase}` });
+          continue;
+        }
+        if (inGroup && !inGroup.has(entry.deviceId)) {
+          scanResults.push({ name: entry.name, action: entry.action, result: `not in ${groupOver.name}` });
+          continue;
+        }
+        // A complete plan covers the overshoot by itself; when it falls short, devices
+        // outside it (unknown draw, stepped re-mitigation) still get their turn
+        if (plan.complete && planned.size && !planned.has(entry.deviceId)) {
+          scanResults.push({ name: entry.name, action: entry.action, result: 'not in shed plan' });
+          continue;
+        }
+        if (!planned.has(entry.deviceId) && unplannedThisCycle) {
           scanResults.push({ name: entry.name, action: entry.action, result: 'waiting (1 device per cycle)' });
           continue;
         }
@@ -1739,7 +3299,21 @@ class PowerGuardApp extends Homey.App {
                 }
               }
             }
-            if (caps.includes('onoff')) {
+            const comfort = comfortConfig(entry);
+            const measureT = typeof obj.measure_temperature?.value === 'number' ? obj.measure_temperature.value : null;
+            if (!allowOff(comfort, measureT)) {
+              // Comfort bounds rule out switching off — step the setpoint down towards the floor instead
+              const floorC = floorTemp(comfort, previousState && previousState.target_temperature);
+              const stepped = await applyAction(device, entry.action, { floorC, allowOff: false });
+              if (!stepped) {
+                this.log(`[Mitigation] SKIP ${entry.name}: at comfort floor ${floorC}°C`);
+                scanResults.push({ name: entry.name, action: entry.action, result: `at comfort floor (${floorC}°C)` });
+                continue;
+              }
+              existingMitigation.mitigatedAt = now;
+              existingMitigation.reducedTo = nextSetpoint(Number(capInfo.target_temp), floorC);
+              this.log(`[Mitigation] SUCCESS: ${entry.name} stepped down to ${existingMitigation.reducedTo}°C (comfort floor ${floorC}°C)`);
+            } else if (caps.includes('onoff')) {
               if (obj.onoff && obj.onoff.value === false) {
                 // Currently off — nothing more we can do
                 this.log(`[Mitigation] SKIP ${entry.name}: thermostat already off (step 2 done)`);
@@ -1769,7 +3343,8 @@ class PowerGuardApp extends Homey.App {
             }
           } else {
             // Step 1 for thermostats, or Høiax stepped reduction
-            const applied = await applyAction(device, entry.action);
+            const applyOpts = this._comfortApplyOpts(entry, previousState, obj);
+            const applied = await applyAction(device, entry.action, applyOpts);
             if (!applied) {
               this.log(`[Mitigation] SKIP ${entry.name}: applyAction returned false (already at minimum or no matching capability)`);
               scanResults.push({ name: entry.name, action: entry.action, result: `applyAction=false (caps: ${caps.join(',')}, vals: ${JSON.stringify(capInfo)})` });
@@ -1780,8 +3355,19 @@ class PowerGuardApp extends Homey.App {
               existingMitigation.mitigatedAt = now;
               this._addLog(`Mitigated: ${device.name} (${entry.action}) — stepped down`);
             } else {
-              this._mitigatedDevices.push({ deviceId: entry.deviceId, action: entry.action, previousState, mitigatedAt: now });
+              this._mitigatedDevices.push({ deviceId: entry.deviceId, action: entry.action, previousState, mitigatedAt: now, offSince: now });
+              if (applyOpts.floorC != null && typeof capInfo.target_temp === 'number') {
+                this._mitigatedDevices[this._mitigatedDevices.length - 1].reducedTo = nextSetpoint(capInfo.target_temp, applyOpts.floorC);
+              }
               this._addLog(`Mitigated: ${device.name} (${entry.action})`);
+              if (reliefOf[entry.deviceId] > 0) {
+                // Cloud heaters (Adax) drop minutes after the command; local devices within seconds
+                this._pendingShed[entry.deviceId] = {
+                  reliefW: reliefOf[entry.deviceId],
+                  appliedAt: now,
+                  slow: Object.prototype.hasOwnProperty.call(this._adaxRawPower, entry.deviceId),
+                };
+              }
             }
           }
           this._lastMitigationTime = now;
@@ -1793,12 +3379,14 @@ class PowerGuardApp extends Homey.App {
           if (this._mitigatedDevices.length === 1)
             await this._updateVirtualDevice({ alarm: true });
           const _prevT = previousState && previousState.target_temperature != null ? previousState.target_temperature : null;
-          const _newT  = (_prevT != null && entry.action === 'target_temperature') ? Math.max(5, _prevT - 3) : null;
+          const _rec   = this._mitigatedDevices.find(m => m.deviceId === entry.deviceId);
+          const _newT  = (_prevT != null && entry.action === 'target_temperature' && _rec && _rec.reducedTo != null) ? _rec.reducedTo : null;
           const _tempStr = _newT != null ? ` (${_prevT}→${_newT}°C)` : '';
           this.log(`[Mitigation] SUCCESS: ${entry.name} mitigated with action=${entry.action}${_tempStr}`);
           this._appLogEntry('mitigation', `Mitigert: ${entry.name}${_tempStr || ` (${entry.action})`}`);
           scanResults.push({ name: entry.name, action: entry.action, result: `SUCCESS` });
           mitigatedThisCycle = true;
+          if (!planned.has(entry.deviceId)) unplannedThisCycle = true;
           // Don't break — continue to build full scan results for diagnostics
         } catch (err) {
           // If device was removed, skip it rather than blocking mitigation
@@ -1844,7 +3432,8 @@ class PowerGuardApp extends Homey.App {
 
   _canMitigate(entry) {
     const minRuntime = (entry.minRuntimeSeconds || 0) * 1000;
-    if (entry.startedAt && Date.now() - entry.startedAt < minRuntime) return false;
+    const startedAt = entry.startedAt || this._restoredAt[entry.deviceId];
+    if (startedAt && Date.now() - startedAt < minRuntime) return false;
     return true;
   }
 
@@ -1939,9 +3528,13 @@ class PowerGuardApp extends Homey.App {
       // shows. We compute a settlingDelta — sum of (expected − measured) for settling chargers —
       // and add it to smoothedPower before the headroom check so we don't restore a thermostat
       // while the charger is still mid-ramp.
+      //
+      // The device's draw is the larger of its power at mitigation time and its learned
+      // on-draw / restart surge — a heater snapshotted mid idle-cycle reads 0 W.
       if (smoothedPower != null && toRestore.action !== 'dynamic_current') {
-        const devicePowerW = toRestore.previousState && toRestore.previousState.measurePower;
-        if (devicePowerW && devicePowerW > 50) {
+        const snapshotW = (toRestore.previousState && toRestore.previousState.measurePower) || 0;
+        const devicePowerW = Math.max(snapshotW, restoreDrawW(this._loadProfiles[toRestore.deviceId]) || 0);
+        if (devicePowerW > 50) {
           const limit = this._getEffectiveLimit();
 
           // Compute extra power that settling chargers have commanded but HAN hasn't measured yet.
@@ -1967,6 +3560,17 @@ class PowerGuardApp extends Homey.App {
             this.log(`[Restore] Headroom guard: projected ${Math.round(projected)}W (effective ${Math.round(effectivePower)}W [measured ${Math.round(smoothedPower)}W + settling ${Math.round(settlingDelta)}W] + device ${Math.round(devicePowerW)}W) vs limit ${Math.round(limit)}W — skipping restore`);
             return;
           }
+          // Phase guard: the device's draw must also fit on its phase(s)
+          const restoreEntry = (this._settings.priorityList || []).find(e => e.deviceId === toRestore.deviceId);
+          if (!this._phaseFits(restoreEntry, devicePowerW)) {
+            this.log(`[Restore] Phase guard: ${Math.round(devicePowerW)}W does not fit under the phase limits — skipping restore`);
+            return;
+          }
+          // Circuit guard: and in every circuit group it belongs to
+          if (!this._groupFits(toRestore.deviceId, devicePowerW)) {
+            this.log(`[Restore] Circuit guard: ${Math.round(devicePowerW)}W does not fit under its circuit limit — skipping restore`);
+            return;
+          }
         }
       }
 
@@ -1992,6 +3596,8 @@ class PowerGuardApp extends Homey.App {
         const restored = await restoreDevice(device, toRestore.action, toRestore.previousState);
         if (restored) {
           this._mitigatedDevices.splice(toRestoreIdx, 1);
+          delete this._pendingShed[toRestore.deviceId];
+          this._restoredAt[toRestore.deviceId] = Date.now();
           this._addLog(`Restored: ${device.name}`);
           this._appLogEntry('mitigation', `Restored: ${device.name}`);
           this._persistMitigatedDevices();
@@ -2030,6 +3636,124 @@ class PowerGuardApp extends Homey.App {
     }
   }
 
+  // ─── Duty cycling (common/duty-cycle.js) ──────────────────────────────────
+
+  /**
+   * Round-robin off slots while the house sits near the limit: once the heater
+   * held longest has been off a full slot (dutyCycleSlotMin), shed running
+   * heaters that free at least its draw, then give it its heat back.
+   * Never adds load — when no swap covers the released heater, nothing happens.
+   * Slow cloud heaters (Adax) are never swapped in as replacements: they keep
+   * drawing for minutes after the command, while the released heater is back at once.
+   */
+  async _dutyCycleRotate(smoothedPower) {
+    const slotMin = Number(this._settings.dutyCycleSlotMin) || 0;
+    if (!this._api || slotMin <= 0) return;
+    const slotMs = slotMin * 60000;
+    const now = Date.now();
+    // One swap per minute at most; leave the meter time to show the previous one
+    if (now - this._lastDutySwapAt < 60000) return;
+    if (now - this._lastMitigationTime < RESTORE_COOLDOWN_MS) return;
+    if (pendingReliefW(this._pendingShed, now) > 0) return;
+
+    const entries = (this._settings.priorityList || []).filter(e => e.enabled !== false && isDutyAction(e.action));
+    const byId = new Map(entries.map(e => [e.deviceId, e]));
+    const held = this._mitigatedDevices
+      .filter(m => !m.evProactive && isDutyAction(m.action) && byId.has(m.deviceId))
+      .map(m => ({
+        deviceId: m.deviceId,
+        offSince: m.offSince || m.mitigatedAt || now,
+        minOffMs: (byId.get(m.deviceId).minOffTimeSeconds || 0) * 1000,
+        m,
+      }));
+    const due = dueForRelease(held, now, slotMs);
+    if (!due) return;
+
+    const releaseW = Math.max(
+      (due.m.previousState && due.m.previousState.measurePower) || 0,
+      restoreDrawW(this._loadProfiles[due.deviceId]) || 0);
+    if (releaseW <= 50) return; // unknown draw — a swap could not keep the budget
+    if (!this._phaseFits(byId.get(due.deviceId), releaseW)) return; // a swap could move it onto a full phase
+    if (!this._groupFits(due.deviceId, releaseW)) return;            // … or into a full circuit
+
+    const mitigated = new Set(this._mitigatedDevices.map(m => m.deviceId));
+    const running = entries
+      .filter(e => !mitigated.has(e.deviceId) && !this._inComfortRest(e.deviceId)
+        && !Object.prototype.hasOwnProperty.call(this._adaxRawPower, e.deviceId))
+      .sort((a, b) => a.priority - b.priority)
+      .map(e => ({
+        deviceId: e.deviceId,
+        action: e.action,
+        onSince: this._restoredAt[e.deviceId] || null,
+        minRunMs: (e.minRuntimeSeconds || 0) * 1000,
+        reliefW: (this._powerConsumptionData[e.deviceId]?.current || 0) >= ON_MIN_W ? this._powerConsumptionData[e.deviceId].current : null,
+      }));
+    const swap = planSwap({
+      powerW: smoothedPower,
+      limitW: this._getEffectiveLimit(),
+      releaseW,
+      candidates: slotCandidates(running, now, slotMs),
+    });
+    if (!swap) return;
+
+    const release = await this._mutex.acquire();
+    try {
+      const idx = this._mitigatedDevices.indexOf(due.m);
+      if (idx < 0) return;
+      this._lastDutySwapAt = now;
+
+      // Shed the replacements first, so the total never goes up
+      const shed = [];
+      for (const deviceId of swap.deviceIds) {
+        const entry = byId.get(deviceId);
+        const device = await withTimeout(this._api.devices.getDevice({ id: deviceId }), 10000, `getDevice(${deviceId})`).catch(() => null);
+        if (!device) break;
+        const previousState = this._snapshotState(device);
+        const applyOpts = this._comfortApplyOpts(entry, previousState, device.capabilitiesObj || {});
+        const applied = await applyAction(device, entry.action, applyOpts).catch(() => false);
+        this._updateDeviceReliability(deviceId, applied);
+        if (!applied) break;
+        const m = { deviceId, action: entry.action, previousState, mitigatedAt: now, offSince: now };
+        const targetT = device.capabilitiesObj?.target_temperature?.value;
+        if (applyOpts.floorC != null && typeof targetT === 'number') m.reducedTo = nextSetpoint(targetT, applyOpts.floorC);
+        this._mitigatedDevices.push(m);
+        this._pendingShed[deviceId] = {
+          reliefW: this._powerConsumptionData[deviceId].current,
+          appliedAt: now,
+          slow: false,
+        };
+        shed.push(device.name);
+      }
+      if (shed.length) {
+        this._lastMitigationTime = now;
+        this._lastDeviceOffTime = now;
+      }
+      if (shed.length < swap.deviceIds.length) {
+        this.log(`[DutyCycle] Swap incomplete (shed ${shed.join(', ') || 'none'}) — keeping ${due.deviceId} off`);
+        this._persistMitigatedDevices();
+        return;
+      }
+
+      const device = await withTimeout(this._api.devices.getDevice({ id: due.deviceId }), 10000, `getDevice(${due.deviceId})`).catch(() => null);
+      const restored = device ? await restoreDevice(device, due.m.action, due.m.previousState).catch(() => false) : false;
+      if (restored) {
+        this._mitigatedDevices.splice(this._mitigatedDevices.indexOf(due.m), 1);
+        delete this._pendingShed[due.deviceId];
+        this._restoredAt[due.deviceId] = now;
+      }
+      this._persistMitigatedDevices();
+      const name = device ? device.name : due.deviceId;
+      const offMin = Math.round((now - due.offSince) / 60000);
+      this.log(`[DutyCycle] ${restored ? 'Swapped' : 'Restore failed, kept shed'}: ${name} back on after ${offMin} min (${Math.round(releaseW)}W) ↔ ${shed.join(', ')} off (${swap.coveredW}W)`);
+      if (restored) {
+        this._addLog(`Duty cycle: ${name} on, ${shed.join(', ')} off`);
+        this._appLogEntry('mitigation', `Duty cycle: ${name} on after ${offMin} min, ${shed.join(', ')} off (${swap.coveredW}W for ${Math.round(releaseW)}W)`);
+      }
+    } finally {
+      release();
+    }
+  }
+
   // ─── Virtual device ───────────────────────────────────────────────────────
 
   async _updateVirtualDevice(data) {
@@ -2062,10 +3786,12 @@ class PowerGuardApp extends Homey.App {
     this._triggerMitigationCleared      = this.homey.flow.getTriggerCard('mitigation_cleared');
     this._triggerProfileChanged         = this.homey.flow.getTriggerCard('profile_changed');
     this._triggerModeChanged            = this.homey.flow.getTriggerCard('mode_changed');
+    this._triggerPowerLimitChanged      = this.homey.flow.getTriggerCard('power_limit_changed');
     this._triggerChargerCurrentChanged  = this.homey.flow.getTriggerCard('charger_should_change_current');
     this._triggerChargerShouldPause     = this.homey.flow.getTriggerCard('charger_should_pause');
     this._triggerChargerShouldResume    = this.homey.flow.getTriggerCard('charger_should_resume');
     this._triggerAllDevicesExhausted    = this.homey.flow.getTriggerCard('all_devices_exhausted');
+    this._triggerBatteryPowerChanged    = this.homey.flow.getTriggerCard('battery_should_change_power');
 
     const condEnabled = this.homey.flow.getConditionCard('guard_enabled');
     if (condEnabled) condEnabled.registerRunListener(() => this._settings.enabled);
@@ -2275,6 +4001,7 @@ class PowerGuardApp extends Homey.App {
       mitigation_cleared:     this._triggerMitigationCleared,
       profile_changed:        this._triggerProfileChanged,
       mode_changed:           this._triggerModeChanged,
+      power_limit_changed:    this._triggerPowerLimitChanged,
       all_devices_exhausted:  this._triggerAllDevicesExhausted,
     };
     const card = map[id];
@@ -2338,7 +4065,9 @@ class PowerGuardApp extends Homey.App {
         hysteresisCount: s.get('hysteresisCount') ?? 3,
         cooldownSeconds: s.get('cooldownSeconds') ?? 30,
         voltageSystem: s.get('voltageSystem') ?? 'auto',
+        gridType: s.get('gridType') ?? 'auto',
         mainCircuitA: s.get('mainCircuitA') ?? 25,
+        fuseCurve: s.get('fuseCurve') ?? 'off',
         selectedMeterDeviceId: s.get('selectedMeterDeviceId') ?? 'auto',
       },
       deviceCacheCount: cache.length,
@@ -2392,6 +4121,10 @@ class PowerGuardApp extends Homey.App {
             try { this._hanCapabilityInstance.destroy(); } catch (_) {}
             this._hanCapabilityInstance = null;
           }
+          if (this._hanRegisterInstance) {
+            try { this._hanRegisterInstance.destroy(); } catch (_) {}
+            this._hanRegisterInstance = null;
+          }
           if (this._hanPollInterval) {
             clearInterval(this._hanPollInterval);
             this._hanPollInterval = null;
@@ -2562,7 +4295,8 @@ class PowerGuardApp extends Homey.App {
             caps.includes('toggleChargingCapability') ||
             caps.includes('evcharger_charging') ||
             caps.includes('max_power_3000') ||
-            caps.includes('max_power');
+            caps.includes('max_power') ||
+            isHomeBattery(caps, d.class);
 
           // Check for known controllable device classes
           const isControllableClass =
@@ -2576,6 +4310,7 @@ class PowerGuardApp extends Homey.App {
             d.class === 'appliance' ||
             d.class === 'fan' ||
             d.class === 'switch' ||
+            d.class === 'battery' ||
             d.class === 'other';
 
           return hasControlCapability || isControllableClass;
@@ -2608,6 +4343,7 @@ class PowerGuardApp extends Homey.App {
             isEnua:       (d.driver && d.driver.owner_uri === 'homey:app:no.enua'),
             isAdax:       (d.driverId || '').includes('no.adax') || (d.driver && d.driver.owner_uri === 'homey:app:no.adax.smart-heater.homey-app'),
             isHoiax:      (d.driverId || '').includes('no.hoiax') || (d.driver && d.driver.owner_uri === 'homey:app:no.hoiax'),
+            isHomeBattery: isHomeBattery(d.capabilities, d.class),
             zbProductId:  (d.settings && d.settings.zb_product_id) ? String(d.settings.zb_product_id) : null,
           };
         });
@@ -2766,6 +4502,7 @@ class PowerGuardApp extends Homey.App {
     this._evBatteryState[deviceId] = {
       pct:         batteryPct,
       hoursNeeded: hoursNeeded,
+      chargerW:    Math.round(chargerKw * 1000),   // rate hoursNeeded assumes — per-charger price plan
       sourceLabel: sourceLabel,
       updatedAt:   Date.now(),
     };
@@ -2950,6 +4687,7 @@ class PowerGuardApp extends Homey.App {
               // Car disconnected — finalise session avg kW
               if (wasConnected && !this._evPowerData[entry.deviceId].isConnected) {
                 const trk = this._evSessionTracking[entry.deviceId];
+                if (trk) this._recordEvSession(entry, trk);
                 if (trk && trk.totalWh > 500) {
                   const elapsedH = (Date.now() - trk.startMs) / 3600000;
                   const avgKw = Math.round((trk.totalWh / 1000 / elapsedH) * 10) / 10;
@@ -3429,6 +5167,8 @@ class PowerGuardApp extends Homey.App {
       if ((evD?.powerW || 0) < 100 && lastActive > 0 && (now - lastActive) > IDLE_TIMEOUT_MS) return false;
       // Also exclude if charger has NEVER been active since app start (car was already idle)
       if ((evD?.powerW || 0) < 100 && lastActive === 0) return false;
+      // Surplus-following charger (solar profile) — runs on export, never sheds heaters
+      if (this._isSurplusCharger(e.deviceId)) return false;
       return true;
     });
     const minBudgetNeeded = activeChargers.reduce((sum, e) => {
@@ -3524,6 +5264,7 @@ class PowerGuardApp extends Homey.App {
           if (entry.action === 'dynamic_current') continue;
           if (alreadyMitigated.has(entry.deviceId)) continue;
           if (!this._canMitigate(entry)) continue;
+          if (this._inComfortRest(entry.deviceId)) continue;
           const device = await withTimeout(
             this._api.devices.getDevice({ id: entry.deviceId }),
             10000, `priorityShed(${entry.deviceId})`
@@ -3547,7 +5288,7 @@ class PowerGuardApp extends Homey.App {
             }
           }
           const previousState = this._snapshotState(device);
-          const ok = await applyAction(device, entry.action).catch(() => false);
+          const ok = await applyAction(device, entry.action, this._comfortApplyOpts(entry, previousState, obj)).catch(() => false);
           if (!ok) continue;
           this._mitigatedDevices.push({ deviceId: entry.deviceId, action: entry.action, previousState, mitigatedAt: now, evProactive: true, evPriorityChargerId: charger.deviceId });
           this._persistMitigatedDevices();
@@ -3577,6 +5318,7 @@ class PowerGuardApp extends Homey.App {
       if (entry.action === 'dynamic_current') continue;
       if (alreadyMitigated.has(entry.deviceId)) continue;
       if (!this._canMitigate(entry)) continue;
+      if (this._inComfortRest(entry.deviceId)) continue;
 
       const device = await withTimeout(
         this._api.devices.getDevice({ id: entry.deviceId }),
@@ -3600,7 +5342,7 @@ class PowerGuardApp extends Homey.App {
       }
 
       const previousState = this._snapshotState(device);
-      const ok = await applyAction(device, entry.action).catch(() => false);
+      const ok = await applyAction(device, entry.action, this._comfortApplyOpts(entry, previousState, obj)).catch(() => false);
       if (!ok) continue;
 
       this._mitigatedDevices.push({ deviceId: entry.deviceId, action: entry.action, previousState, mitigatedAt: now, evProactive: true });
@@ -3663,6 +5405,8 @@ class PowerGuardApp extends Homey.App {
     const SETTLE_WINDOW            = 30000; // 30s shared settling — no charger ramps until meter confirms previous step
     const PAUSE_RESUME_COOLDOWN_MS = 90000; // 90s after pause before resume is allowed — lets HAN settle and prevents oscillation
     let madeIncrease = false;        // Belt-and-suspenders: also blocks a second ramp within the same cycle
+    const surplusPlan = this._solarActive() ? this._surplusPlan : null;
+    const signedW = this._signedGridW(rawPower);
 
     for (const entry of chargerEntries) {
       const brand = this._getChargerBrand?.(entry.deviceId);
@@ -3749,8 +5493,19 @@ class PowerGuardApp extends Homey.App {
       const effectiveMax = cState?.learnedMaxA ?? circuitLimitA;
       const maxA = Math.min(CHARGER_DEFAULTS.maxCurrent, effectiveMax, priceCap > 0 ? priceCap : 0);
 
-      const overLimit = rawPower > limit;
-      const headroomW = limit - rawPower; // positive = under limit, negative = over
+      // Solar profile: a surplus-following charger runs on the export, not on the grid limit
+      // (Section 14). The grid limit still applies on top.
+      const surplusBudget = surplusPlan && !isChargeNow
+        ? evSurplusBudget(surplusPlan.loads, entry.deviceId, this._surplusSite(signedW), surplusPlan)
+        : null;
+      // Per-phase limits: a phase this charger may sit on over its limit steps it down like the total
+      const phaseRoomNowA = this._chargerPhaseRoomA(entry);
+      // Circuit groups: the charger's own sub-circuit caps its headroom too
+      const circuitRoomW = groupRoomW(this._groupLoads, entry.deviceId, this._devicePhases(entry), this._gridType());
+      const overLimit = rawPower > limit || phaseRoomNowA < 0 || circuitRoomW < 0 || (!!surplusBudget && signedW > surplusBudget.limitW);
+      const headroomW = Math.min(surplusBudget
+        ? Math.min(surplusBudget.headroomW, limit - rawPower)
+        : limit - rawPower, circuitRoomW); // positive = under limit, negative = over
       // EV headroom buffer: reserve evHeadroomW watts for household before allowing charger ramp-up.
       // Step-down and emergency logic are unaffected — only ramp-up/resume decisions use this.
       const evHeadroomBuffer = this._settings.evHeadroomW || 0;
@@ -3821,8 +5576,9 @@ class PowerGuardApp extends Homey.App {
         // create a pause→resume→pause oscillation loop.
         targetCurrent = currentTargetA;
         this.log(`[EV] Resume immunity: ${entry.name} — holding ${currentTargetA}A (${Math.round((cState.resumeImmunityUntil - now) / 1000)}s left, overload=${Math.round(totalOverload)}W)`);
-      } else if (householdAloneExceedsLimit) {
+      } else if (householdAloneExceedsLimit || (surplusBudget && signedW - totalChargerPowerW > surplusBudget.limitW)) {
         // Household alone (without charger) exceeds limit → pause charger.
+        // Surplus-following: the household alone already imports — nothing left to charge from.
         // Only reached outside the resume immunity window so the stale powerW issue
         // (charger.powerW = 0 for ~15s after startup) cannot trigger a false pause.
         targetCurrent = null;
@@ -3867,7 +5623,8 @@ class PowerGuardApp extends Homey.App {
         // minResumeW > headroomThreshold there is zero spare margin after resume → any HAN
         // noise pushes over the limit → immediate pause → 90s → resume → loop (Bug 2).
         const resumeHeadroomRequired = minResumeW + headroomThreshold;
-        if (!_chargingDone && evEffectiveHeadroomW >= resumeHeadroomRequired && !madeIncrease && sinceLastAny >= SETTLE_WINDOW && sincePause >= PAUSE_RESUME_COOLDOWN_MS && priceCap > 0) {
+        const phaseRoomOk = phaseRoomNowA >= CHARGER_DEFAULTS.minCurrent + PHASE_RESTORE_MARGIN_A;
+        if (!_chargingDone && evEffectiveHeadroomW >= resumeHeadroomRequired && phaseRoomOk && !madeIncrease && sinceLastAny >= SETTLE_WINDOW && sincePause >= PAUSE_RESUME_COOLDOWN_MS && priceCap > 0) {
           targetCurrent = CHARGER_DEFAULTS.minCurrent;
           this._chargerState[entry.deviceId].lastRampUpTime = now;
           this._chargerState[entry.deviceId].waitingForCapacity = false;
@@ -3921,6 +5678,7 @@ class PowerGuardApp extends Homey.App {
             if (sinceLastAny < SETTLE_WINDOW) _blockReasons.push(`settling (${Math.round((SETTLE_WINDOW - sinceLastAny) / 1000)}s igjen)`);
             if (sincePause < PAUSE_RESUME_COOLDOWN_MS) _blockReasons.push(`pause-cooldown (${Math.round((PAUSE_RESUME_COOLDOWN_MS - sincePause) / 1000)}s igjen)`);
             if (priceCap <= 0)              _blockReasons.push('pris blokkerer');
+            if (!phaseRoomOk)               _blockReasons.push(`fasegrense (${phaseRoomNowA.toFixed(1)}A ledig)`);
             if (_blockReasons.length > 0) {
               const lastBlockLog = this._chargerState[entry.deviceId].lastBlockLog || 0;
               if (now - lastBlockLog >= 60000) {
@@ -3947,7 +5705,7 @@ class PowerGuardApp extends Homey.App {
         } else {
           targetCurrent = currentTargetA; // not enough headroom yet or too soon — hold
         }
-      } else if (evEffectiveHeadroomW >= headroomThreshold && currentTargetA < maxA && !cState.timedOut) {
+      } else if (evEffectiveHeadroomW >= headroomThreshold && currentTargetA < maxA && phaseRoomNowA >= 1 + PHASE_RESTORE_MARGIN_A && !cState.timedOut) {
         // Under limit with headroom — ramp up 1A if both per-charger 60s and shared 30s settling are satisfied.
         // BMS ceiling detection: if the car consumes far less W/A than expected, the car's own BMS is
         // limiting current (e.g. trickle at end-of-charge, or car max < circuit max).
@@ -5296,11 +7054,36 @@ class PowerGuardApp extends Homey.App {
           data.peak = Math.max(...data.readings);
         }
       });
+      this._learnLoadProfiles(entries);
     } catch (err) {
       this._writeDebugLog(`ERROR in _updatePowerConsumption: ${err.message}`);
     }
   }
 
+  /**
+   * Fold the live draws into each device's learned load profile.
+   * Devices held down by mitigation are not observed. Saved every 10 minutes.
+   */
+  _learnLoadProfiles(entries) {
+    const now = Date.now();
+    const held = new Set(this._mitigatedDevices.map(m => m.deviceId));
+    for (const data of entries) {
+      if (!this._loadProfiles[data.deviceId]) this._loadProfiles[data.deviceId] = emptyProfile();
+      observe(this._loadProfiles[data.deviceId], data.current, now, held.has(data.deviceId));
+    }
+    if (now - this._loadProfilesSavedAt < 10 * 60 * 1000) return;
+    this._loadProfilesSavedAt = now;
+    // Forget devices not seen for 30 days (removed from Homey)
+    for (const [id, p] of Object.entries(this._loadProfiles)) {
+      if (!p.lastAt || now - p.lastAt > 30 * 86400000) delete this._loadProfiles[id];
+    }
+    try {
+      this.homey.settings.set('_loadProfiles', this._loadProfiles);
+    } catch (err) {
+      this.error('Failed to persist load profiles:', err);
+    }
+  }
+
   getPowerConsumption() {
     // Return ALL devices with measure_power capability, sorted by current power
     const tracked = Object.values(this._powerConsumptionData || {});
@@ -5330,6 +7113,7 @@ class PowerGuardApp extends Homey.App {
       avg: Math.round(d.avg),
       peak: Math.round(d.peak),
       percent: totalW > 0 ? Math.round((d.current / totalW) * 100) : 0,
+      profile: this._loadProfiles[d.deviceId] ? summarize(this._loadProfiles[d.deviceId]) : null,
     }));
     
     return {
@@ -5459,11 +7243,14 @@ class PowerGuardApp extends Homey.App {
       currentPowerW:    movingAverage(this._powerBuffer, this._settings.smoothingWindow),
       rawPowerW:        this._lastRawDisplayW != null ? this._lastRawDisplayW : (this._powerBuffer.length > 0 ? this._powerBuffer[this._powerBuffer.length - 1] : null),
       limitW:           this._getEffectiveLimit(),
+      limitSource:      this._resolveLimit().source,
+      activeMode:       this._modeSettings ? this._modeSettings.activeMode : null,
       overLimitCount:   this._overLimitCount,
       mitigatedDevices: this._mitigatedDevices.map(m => ({
         deviceId: m.deviceId,
         action:   m.action,
         prevTemp: m.previousState && m.previousState.target_temperature != null ? m.previousState.target_temperature : null,
+        reducedTo: m.reducedTo != null ? m.reducedTo : null,
       })),
       hanConnected:     !!this._hanDeviceId,
       hanDeviceName:    this._hanDeviceId ? this._getHANDeviceBrand() : null,
@@ -5476,6 +7263,16 @@ class PowerGuardApp extends Homey.App {
         history:        this._hourlyEnergy.history.slice(-24),
       },
       effekttariff: this._getEffekttariffStatus(),
+      solarSurplus: this._getSolarSurplusStatus(),
+      forecast: this._getForecastStatus(),
+      pendingShed: Object.entries(this._pendingShed).map(([deviceId, p]) => ({ deviceId, reliefW: Math.round(p.reliefW), slow: p.slow, appliedAt: p.appliedAt })),
+      batteries: this._getBatteryStatus(),
+      phaseGuard: this._getPhaseGuardStatus(),
+      phaseMap: this._getPhaseMapStatus(),
+      fuse: this._getFuseStatus(),
+      circuits: this._getCircuitStatus(),
+      waterHeaters: this._getWaterHeaterStatus(),
+      flexLoads: this._getFlexLoadStatus(),
       lastMitigationScan: this._lastMitigationScan || [],
     };
   }
@@ -5487,9 +7284,12 @@ class PowerGuardApp extends Homey.App {
       '_hanPollInterval',
       '_resourceMonitorInterval',
       '_queueProcessorInterval',
-      '_priceEngineInterval',
+      '_priceEngineTimer',
       '_modeSchedulerInterval',
       '_thermostatSchedulerInterval',
+      '_comfortInterval',
+      '_waterHeaterInterval',
+      '_flexLoadInterval',
     ]) {
       if (this[key]) {
         clearInterval(this[key]);
@@ -5503,6 +7303,15 @@ class PowerGuardApp extends Homey.App {
     if (this._hanCapabilityInstance) {
       try { this._hanCapabilityInstance.destroy(); } catch (_) {}
     }
+    if (this._hanRegisterInstance) {
+      try { this._hanRegisterInstance.destroy(); } catch (_) {}
+    }
+    this._teardownTopology();
+    for (const instList of Object.values(this._batteryInstances || {})) {
+      for (const inst of instList) {
+        try { inst.destroy(); } catch (_) {}
+      }
+    }
     for (const inst of Object.values(this._evCapabilityInstances || {})) {
       try { inst.destroy(); } catch (_) {}
     }
@@ -5786,17 +7595,120 @@ class PowerGuardApp extends Homey.App {
     return results;
   }
 
+  // ─── Comfort bounds & rotation (common/comfort.js) ────────────────────────
+
+  _inComfortRest(deviceId) {
+    return (this._comfortRestUntil[deviceId] || 0) > Date.now();
+  }
+
+  /** applyAction options for an entry: the thermostat's comfort floor and whether it may be switched off. */
+  _comfortApplyOpts(entry, previousState, obj) {
+    if (entry.action !== 'target_temperature') return {};
+    const cfg = comfortConfig(entry);
+    const measureT = typeof obj?.measure_temperature?.value === 'number' ? obj.measure_temperature.value : this._roomTemps[entry.deviceId];
+    return {
+      floorC: floorTemp(cfg, previousState && previousState.target_temperature),
+      allowOff: allowOff(cfg, measureT),
+    };
+  }
+
+  _rotationScore(entry, now) {
+    return rotationScore(comfortConfig(entry), this._roomTemps[entry.deviceId], reducedMsInWindow(this._comfortLedger[entry.deviceId], now));
+  }
+
+  /**
+   * Every minute: refresh room temperatures, keep the reduced-time ledger for
+   * rotation, and release thermostats that hit their minimum temperature or
+   * their maximum time reduced.
+   */
+  async _comfortTick() {
+    if (!this._api) return;
+    const now = Date.now();
+    const entries = (this._settings.priorityList || []).filter(e => e.enabled !== false && e.action === 'target_temperature');
+    const reduced = new Map(this._mitigatedDevices.filter(m => m.action === 'target_temperature').map(m => [m.deviceId, m]));
+
+    for (const entry of entries) {
+      const ledger = this._comfortLedger[entry.deviceId] || (this._comfortLedger[entry.deviceId] = []);
+      const open = ledger.length && ledger[ledger.length - 1].to == null ? ledger[ledger.length - 1] : null;
+      const m = reduced.get(entry.deviceId);
+      if (m && !open) ledger.push({ from: m.mitigatedAt || now, to: null });
+      if (!m && open) open.to = now;
+      while (ledger.length && ledger[0].to != null && now - ledger[0].to > 6 * 3600 * 1000) ledger.shift();
+
+      const device = await withTimeout(this._api.devices.getDevice({ id: entry.deviceId }), 10000, `comfort(${entry.deviceId})`).catch(() => null);
+      const t = device?.capabilitiesObj?.measure_temperature?.value;
+      if (typeof t === 'number') this._roomTemps[entry.deviceId] = t;
+    }
+
+    for (const entry of entries) {
+      const m = reduced.get(entry.deviceId);
+      if (!m) continue;
+      const cfg = comfortConfig(entry);
+      const ledger = this._comfortLedger[entry.deviceId];
+      const reason = releaseReason(cfg, {
+        measureT: this._roomTemps[entry.deviceId],
+        reducedSince: ledger[ledger.length - 1].from,
+        now,
+      });
+      if (reason) await this._releaseForComfort(entry, reason, cfg);
+    }
+  }
+
+  /** Restore a reduced thermostat because of a comfort bound and let it rest before the next reduction. */
+  async _releaseForComfort(entry, reason, cfg) {
+    const release = await this._mutex.acquire();
+    try {
+      const idx = this._mitigatedDevices.findIndex(m => m.deviceId === entry.deviceId);
+      if (idx < 0) return;
+      const m = this._mitigatedDevices[idx];
+      const device = await withTimeout(this._api.devices.getDevice({ id: entry.deviceId }), 10000, `getDevice(${entry.deviceId})`);
+      if (!device) return;
+      const restored = await restoreDevice(device, m.action, m.previousState);
+      if (!restored) return;
+      this._mitigatedDevices.splice(idx, 1);
+      delete this._pendingShed[entry.deviceId];
+      this._restoredAt[entry.deviceId] = Date.now();
+      this._persistMitigatedDevices();
+      this._comfortRestUntil[entry.deviceId] = Date.now() + restMs(cfg);
+      const detail = reason === 'min temp'
+        ? `room ${this._roomTemps[entry.deviceId]}°C below minimum ${cfg.minTemp}°C`
+        : `reduced for ${cfg.maxReducedMin} min`;
+      this.log(`[Comfort] Released ${device.name}: ${detail} — resting ${Math.round(restMs(cfg) / 60000)} min`);
+      this._addLog(`Comfort release: ${device.name} (${detail})`);
+      this._appLogEntry('mitigation', `Comfort release: ${device.name} (${detail})`);
+      if (this._mitigatedDevices.length === 0) {
+        this._fireTrigger('mitigation_cleared', { device_name: device.name });
+        await this._updateVirtualDevice({ alarm: false });
+      }
+    } catch (err) {
+      this.error(`[Comfort] Release failed for ${entry.deviceId}:`, err);
+    } finally {
+      release();
+    }
+  }
+
   // ════════════════════════════════════════════════════════════════
   // █ SECTION 12 — SPOT PRICE ENGINE                                           █
   // ════════════════════════════════════════════════════════════════
-  //  Fetches spot prices from hvakosterstrommen.no every 30 min.
+  //  Fetches spot prices every 30 min through the provider chain in
+  //  common/price-providers.js (hvakosterstrommen / Nord Pool / ENTSO-E /
+  //  Tibber GraphQL / local file) — the next provider is tried on failure.
   //  Evaluates current price level (billig/normal/dyr/ekstremt dyr) and
   //  derive a charge mode (av/lav/normal/maks) with hysteresis.
   //
+  //  Slot length is whatever the provider delivers (60 min, or 15 min since the
+  //  Nordic day-ahead market moved to 15-minute MTU). Every decision works on
+  //  slots; "N hours" settings are converted to slot durations, and the engine
+  //  re-evaluates at every slot boundary. Slots are only averaged into whole
+  //  hours for display (priceState.hourly).
+  //
   //  ADDITIVE: only caps charger current via _getPriceCurrentCap().
   //  Power Guard's hard watt-limit enforcement is unaffected.
   //  If price control is disabled or data unavailable: cap = circuitLimitA (no effect).
   //
+  //  Grid tariff: when 'gridTariff' is enabled, common/grid-tariff.js turns
+  //  adjustedOre into the all-in price (spot + nettleie + fees + VAT).
+  //
   //  TO REMOVE ENTIRELY:
   //    1. Delete this SECTION 12 block
   //    2. Delete the _startPriceEngine() call in onInit
@@ -5826,16 +7738,40 @@ class PowerGuardApp extends Homey.App {
       }
     }
     await this._fetchAndEvaluatePrices();
-    // Refresh every 30 minutes
-    this._priceEngineInterval = setInterval(async () => { const _t = Date.now(); await this._fetchAndEvaluatePrices().catch(err => this.error('[Price] Fetch error:', err)); this._trackCallTime('priceEngine', Date.now() - _t); }, 30 * 60 * 1000);
+    this._schedulePriceEngine();
+  }
+
+  /**
+   * Re-evaluate at the start of the next price slot, so each slot's decision applies on time
+   * whatever the slot length (15 or 60 min). Prices are fetched again at most every 30 minutes;
+   * in between, the slots from the last fetch are re-evaluated.
+   */
+  _schedulePriceEngine() {
+    const now = Date.now();
+    const current = (this._priceEntries || []).find(e => now >= e.start.getTime() && now < e.end.getTime());
+    const untilNextSlot = current ? current.end.getTime() - now + 1000 : Infinity;  // 1 s past the boundary
+    const delay = Math.max(1000, Math.min(untilNextSlot, PRICE_REFETCH_MS));
+    this._priceEngineTimer = setTimeout(async () => {
+      const _t = Date.now();
+      await this._fetchAndEvaluatePrices({ cachedOk: true }).catch(err => this.error('[Price] Fetch error:', err));
+      this._trackCallTime('priceEngine', Date.now() - _t);
+      if (this._priceEngineTimer) this._schedulePriceEngine();  // null after onUninit
+    }, delay);
   }
 
-  async _fetchAndEvaluatePrices() {
+  /**
+   * Fetch prices and evaluate the current slot.
+   * @param {{ cachedOk?: boolean }} [opts] - cachedOk: reuse the last fetch when younger than PRICE_REFETCH_MS
+   */
+  async _fetchAndEvaluatePrices(opts = {}) {
     try {
       const cfg = this._priceSettings;
       const now = new Date();
-      const entries = await this._priceFetchAllRelevant(now, cfg);
+      const cached = opts.cachedOk && this._priceEntries.length && now.getTime() - this._priceFetchedAt < PRICE_REFETCH_MS;
+      const entries = cached ? this._priceEntries : await this._priceFetchAllRelevant(now, cfg);
       if (!entries.length) return;
+      this._priceEntries = entries;
+      if (!cached) this._priceFetchedAt = now.getTime();
 
       const currentEntry = entries.find(e => now >= e.start && now < e.end);
       if (!currentEntry) return;
@@ -5848,18 +7784,24 @@ class PowerGuardApp extends Homey.App {
 
       const nextEntry = entries.find(e => e.start.getTime() === currentEntry.end.getTime()) || null;
 
-      // ── Shared charge mode — one window for all chargers, current split equally ─
+      // ── Shared charge mode — chargers without a plan of their own ─────────
       const rawMode        = this._priceSuggestChargeMode(currentEntry, nextEntry, finalLevel, stats, lookahead, cfg);
       const deadlineForced = this._deadlineForced === true;
       this._deadlineForced = false;
-      let finalMode        = deadlineForced
+      const sharedMode     = deadlineForced
         ? rawMode
-        : this._priceApplyChargeModeHysteresis(prev ? prev.chargeMode : null, rawMode, currentEntry, nextEntry, finalLevel, stats, lookahead, cfg);
+        : this._priceApplyChargeModeHysteresis(prev ? (prev.sharedChargeMode ?? prev.chargeMode) : null, rawMode, currentEntry, nextEntry, finalLevel, stats, lookahead, cfg);
+      let finalMode        = sharedMode;
 
-      // Copy the shared mode into per-charger map (for UI display per charger)
+      // Per-charger plans where a charger has its own battery state; the shared mode elsewhere
       const priceChargers = (this._settings.priorityList || []).filter(e => e.priceControlled);
+      const { modes: planModes, plans: chargePlans } = this._priceChargerPlans(priceChargers, now, lookahead, stats);
       const chargeModes = {};
-      for (const ce of priceChargers) chargeModes[ce.deviceId] = finalMode;
+      for (const ce of priceChargers) chargeModes[ce.deviceId] = planModes[ce.deviceId] || finalMode;
+      // Backward compat — the most active charger's mode (the shared mode without chargers)
+      const modeRank = ['av', 'lav', 'normal', 'maks'];
+      const perCharger = Object.values(chargeModes).filter(m => modeRank.includes(m));
+      if (perCharger.length) finalMode = perCharger.reduce((a, b) => (modeRank.indexOf(b) > modeRank.indexOf(a) ? b : a));
 
       const r2 = v => Math.round(v * 100) / 100;
 
@@ -5875,23 +7817,49 @@ class PowerGuardApp extends Homey.App {
         finalMode = null;
       }
 
+      const locale = this._priceLocale(cfg);
       this._priceState = {
         level:      finalLevel,
-        chargeMode: finalMode,   // backward compat — first charger's mode (or global if no chargers)
+        chargeMode: finalMode,   // backward compat — most active charger's mode (or global if no chargers)
+        sharedChargeMode: sharedMode,   // chargers without their own plan (hysteresis input)
         chargeModes,             // per-charger: { deviceId: 'av' | 'lav' | 'normal' | 'maks' }
+        chargePlans,             // per-charger price plan: { deviceId: { deadline, needH, windows, complete, forced } }
         currentOre: r2(currentEntry.adjustedOre),
         spotOre:    r2(currentEntry.spotOre),
         nextOre:    nextEntry ? r2(nextEntry.adjustedOre) : null,
         nightDiscount: currentEntry.nightDiscountApplied,
         norgespris: currentEntry.norgesprisApplied ? (cfg.norgesprisFlatOre || 50) : 0,
+        // Present when the grid tariff model is enabled — currentOre is then the all-in price
+        breakdown: currentEntry.gridOre != null ? {
+          gridOre:   r2(currentEntry.gridOre),
+          gridLabel: currentEntry.gridLabel,
+          feesOre:   r2(currentEntry.feesOre),
+          vatOre:    r2(currentEntry.vatOre),
+          dsoName:   this._gridTariff.dsoName || null,
+        } : null,
+        slotMinutes: Math.round(currentEntry.durationH * 60),
+        area:       locale.area,
+        currency:   locale.currency,  // all *Ore values are in this currency's subunit
+        subunit:    locale.subunit,
+        timeZone:   locale.timeZone,
+        // Decision resolution — one entry per provider slot
         entries: lookahead.map(e => ({
-          hour:  e.start.toISOString(),
+          start: e.start.toISOString(),
+          end:   e.end.toISOString(),
           ore:   r2(e.adjustedOre),
-          // Use hysteresis-applied level for the current hour so chart bar matches the badge
+          // Use hysteresis-applied level for the current slot so chart bar matches the badge
           level: e.start.getTime() === currentEntry.start.getTime()
             ? finalLevel
             : this._priceSuggestLevel(e.adjustedOre, stats),
         })),
+        // Display resolution — slots averaged per whole hour (settings chart, widget)
+        hourly: this._priceAggregateHourly(lookahead).map(h => ({
+          hour:  h.hour.toISOString(),
+          ore:   r2(h.ore),
+          level: h.hour.getTime() <= now.getTime() && now.getTime() < h.hour.getTime() + 3600000
+            ? finalLevel
+            : this._priceSuggestLevel(h.ore, stats),
+        })),
         stats: {
           min:    r2(stats.min),
           max:    r2(stats.max),
@@ -5902,79 +7870,109 @@ class PowerGuardApp extends Homey.App {
           spread: r2(stats.spread),
         },
         source:    'api',
+        provider:  this._priceProviderStatus ? this._priceProviderStatus.active : null,
         updatedAt: Date.now(),
       };
 
-      this._appLogEntry('system', `[Price] Level=${finalLevel} (${r2(currentEntry.adjustedOre)}øre) Mode=${finalMode}`);
+      this._appLogEntry('system', `[Price] Level=${finalLevel} (${r2(currentEntry.adjustedOre)} ${locale.subunit}) Mode=${finalMode}`);
 
       // Persist price state so it can be restored immediately on next app restart,
       // preventing a price-control blackout while waiting for the first API fetch.
       this.homey.settings.set('priceStateCache', this._priceState);
 
-      // Auto-update EV battery state from linked car devices (every 30 min price cycle)
-      this._pollAllCarBatteries().catch(err => this.error('[CarBattery] Poll error:', err));
+      // Auto-update EV battery state from linked car devices (with every price fetch)
+      if (!cached) this._pollAllCarBatteries().catch(err => this.error('[CarBattery] Poll error:', err));
     } catch (err) {
       this.error('[Price] Evaluation error:', err);
     }
   }
 
+  /**
+   * Fetch today's and tomorrow's spot prices through the provider chain
+   * (common/price-providers.js) and return parsed entries.
+   * Tomorrow tries the provider that served today first, then the rest of the chain.
+   * The outcome is kept in _priceProviderStatus for getPriceData().
+   */
   async _priceFetchAllRelevant(now, cfg) {
-    const area = cfg.priceArea || 'NO4';
-    const toDateParts = (d) => {
-      const p = new Intl.DateTimeFormat('en-CA', { timeZone: 'Europe/Oslo', year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(d);
-      return { year: p.find(x => x.type === 'year').value, month: p.find(x => x.type === 'month').value, day: p.find(x => x.type === 'day').value };
+    const locale = this._priceLocale(cfg);
+    const ctx = {
+      area:     locale.area,
+      currency: locale.currency,
+      timeZone: locale.timeZone,
+      cfg,
     };
-    const fetchDay = async (y, m, d) => {
-      const url = `https://www.hvakosterstrommen.no/api/v1/prices/${y}/${m}-${d}_${area}.json`;
-      return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-          if (res.statusCode !== 200) {
-            reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-            res.resume();
-            return;
-          }
-          let raw = '';
-          res.on('data', chunk => { raw += chunk; });
-          res.on('end', () => {
-            try { resolve(JSON.parse(raw)); } catch (e) { reject(e); }
-          });
-        }).on('error', reject);
-      });
+    const chain = resolveChain(cfg);
+    const logErrors = (label, errors) => {
+      for (const e of errors) this._appLogEntry('system', `[Price] ${label}: ${e.id} failed (${e.error})`);
     };
-    const today = toDateParts(now);
-    let rows = await fetchDay(today.year, today.month, today.day);
-    try {
-      const tmw = toDateParts(new Date(now.getTime() + 86400000));
-      const tmwRows = await fetchDay(tmw.year, tmw.month, tmw.day);
-      if (!Array.isArray(tmwRows)) {
-        this._appLogEntry('system', `[Price] Tomorrow fetch returned non-array: ${JSON.stringify(tmwRows).slice(0, 120)}`);
-      } else if (tmwRows.length === 0) {
-        this._appLogEntry('system', '[Price] Tomorrow fetch returned 0 rows (not yet published?)');
-      } else {
-        rows = rows.concat(tmwRows);
-      }
-    } catch (err) { this._appLogEntry('system', `[Price] Tomorrow fetch failed: ${err.message}`); }
+
+    const today = await fetchDayWithFallback(toDateParts(now, ctx.timeZone), ctx, chain);
+    logErrors('Today', today.errors);
+    this._priceProviderStatus = {
+      active:    today.providerId,
+      chain,
+      errors:    today.errors,
+      updatedAt: Date.now(),
+    };
+    if (!today.providerId) {
+      this._appLogEntry('system', `[Price] No provider returned prices (tried ${chain.join(' → ')})`);
+      return [];
+    }
+    if (today.providerId !== chain[0]) {
+      this._appLogEntry('system', `[Price] Using fallback provider ${today.providerId}`);
+    }
+
+    let rows = today.rows;
+    const tmwChain = [today.providerId, ...chain.filter(id => id !== today.providerId)];
+    const tmw = await fetchDayWithFallback(toDateParts(new Date(now.getTime() + 86400000), ctx.timeZone), ctx, tmwChain);
+    if (tmw.providerId) {
+      rows = rows.concat(tmw.rows);
+    } else if (tmw.errors.every(e => e.error === 'no rows')) {
+      this._appLogEntry('system', '[Price] Tomorrow fetch returned 0 rows (not yet published?)');
+    } else {
+      logErrors('Tomorrow', tmw.errors);
+    }
     return this._priceParseRows(rows, cfg);
   }
 
   _priceParseRows(rows, cfg) {
+    const locale = this._priceLocale(cfg);
     const getLocalHour = (date) =>
-      Number(new Intl.DateTimeFormat('en-GB', { timeZone: 'Europe/Oslo', hour: '2-digit', hour12: false }).format(date));
+      Number(new Intl.DateTimeFormat('en-GB', { timeZone: locale.timeZone, hour: '2-digit', hour12: false }).format(date));
     const isNight = (h) => h >= (cfg.nightStartHour || 22) || h < (cfg.nightEndHour || 6);
+    // Norgespris is a Norwegian scheme — ignored if the zone is moved abroad with the flag still on
+    const norgespris = !!cfg.norgesprisEnabled && locale.country === 'NO';
+    // Grid tariff model (common/grid-tariff.js) replaces the flat night discount when enabled
+    const tariff = this._gridTariff && this._gridTariff.enabled ? this._gridTariff : null;
     const parsed = rows
-      .filter(r => r && typeof r.NOK_per_kWh === 'number' && r.time_start)
+      .filter(r => r && typeof r.pricePerKwh === 'number' && r.start)
       .map(r => {
-        const start = new Date(r.time_start);
-        const end   = new Date(r.time_end);
-        if (isNaN(start.getTime())) return null;
+        const start = new Date(r.start);
+        const end   = new Date(r.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
         const localHour    = getLocalHour(start);
-        const spotOre      = r.NOK_per_kWh * 100;
+        const spotOre      = r.pricePerKwh * locale.perUnit;  // main unit → subunit (øre/öre/cent)
+        const durationH = (end - start) / 3600000;
+        if (!(durationH > 0)) return null;
+        if (tariff) {
+          // All-in: (spot + markup | Norgespris) + grid energy part + fees, plus VAT
+          const b = priceBreakdown(spotOre, start, tariff, {
+            timeZone: locale.timeZone,
+            flatOre:  norgespris ? (cfg.norgesprisFlatOre || 50) : null,
+          });
+          return {
+            start, end, durationH, localHour, spotOre,
+            nightDiscountApplied: false, norgesprisApplied: norgespris,
+            gridOre: b.gridOre, gridLabel: b.gridLabel, feesOre: b.feesOre, vatOre: b.vatOre,
+            adjustedOre: b.totalOre,
+          };
+        }
         const nightDiscount = isNight(localHour) ? (cfg.nightDiscountOre || 0) : 0;
         // Norgespris: flat rate replaces spot — you always pay cfg.norgesprisFlatOre regardless of spot
-        const adjustedOre = cfg.norgesprisEnabled
+        const adjustedOre = norgespris
           ? (cfg.norgesprisFlatOre || 50)
           : (spotOre - nightDiscount);
-        return { start, end, localHour, spotOre, nightDiscountApplied: nightDiscount > 0, norgesprisApplied: !!cfg.norgesprisEnabled, adjustedOre };
+        return { start, end, durationH, localHour, spotOre, nightDiscountApplied: nightDiscount > 0, norgesprisApplied: norgespris, adjustedOre };
       })
       .filter(Boolean)
       .sort((a, b) => a.start - b.start);
@@ -5982,11 +7980,84 @@ class PowerGuardApp extends Homey.App {
     return parsed.filter(e => { const k = e.start.getTime(); if (seen.has(k)) return false; seen.add(k); return true; });
   }
 
+  /**
+   * Resolve bidding zone, currency, subunit and timezone for the price engine.
+   * Explicit fields in cfg win; null fields follow the zone (PRICE_ZONES) and
+   * currency (PRICE_CURRENCIES) tables.
+   * @returns {{ area: string, country: string|null, currency: string, subunit: string, perUnit: number, timeZone: string, thresholdScale: number }}
+   */
+  _priceLocale(cfg = this._priceSettings) {
+    const area     = cfg.priceArea || 'NO4';
+    const zone     = PRICE_ZONES[area] || null;
+    const currency = cfg.currency || (zone ? zone.currency : 'NOK');
+    const cur      = PRICE_CURRENCIES[currency] || PRICE_CURRENCIES.NOK;
+    return {
+      area,
+      country:        zone ? zone.country : null,
+      currency,
+      subunit:        cfg.currencySubunit || cur.subunit,
+      perUnit:        cur.perUnit,
+      timeZone:       cfg.timeZone || (zone ? zone.timeZone : 'Europe/Oslo'),
+      thresholdScale: Number(cfg.thresholdScale) > 0 ? Number(cfg.thresholdScale) : cur.thresholdScale,
+    };
+  }
+
+  /**
+   * Multiplier for the fixed price thresholds below (spread bands, margins, jumps).
+   * They were tuned in NOK øre; e.g. DKK øre are worth more, so DKK thresholds shrink.
+   */
+  _priceThresholdScale() {
+    return this._priceLocale().thresholdScale;
+  }
+
   _priceBuildWindow(entries, now, hours) {
     const end = new Date(now.getTime() + hours * 3600000);
     return entries.filter(e => e.end > now && e.start < end);
   }
 
+  /**
+   * Pick the cheapest slots whose combined duration covers `hours`.
+   * Works for any slot length — 6 hours means 6 hourly slots or 24 quarter slots.
+   * @param {object[]} entries - parsed price entries ({ start, end, adjustedOre })
+   * @param {number}   hours   - duration to cover
+   * @returns {Set<number>} start timestamps (ms) of the selected slots
+   */
+  _priceCheapestSlots(entries, hours) {
+    const selected = new Set();
+    let covered = 0;
+    const sorted = [...entries].sort((a, b) => a.adjustedOre - b.adjustedOre);
+    for (const e of sorted) {
+      if (covered >= hours - 1e-6) break;
+      selected.add(e.start.getTime());
+      covered += e.durationH != null ? e.durationH : (e.end - e.start) / 3600000;
+    }
+    return selected;
+  }
+
+  /** Total duration (hours) of a list of price slots. */
+  _priceDurationH(entries) {
+    return entries.reduce((sum, e) => sum + (e.durationH != null ? e.durationH : (e.end - e.start) / 3600000), 0);
+  }
+
+  /**
+   * Duration-weighted average price per whole hour — display only.
+   * @returns {{ hour: Date, ore: number }[]}
+   */
+  _priceAggregateHourly(entries) {
+    const buckets = new Map();
+    for (const e of entries) {
+      const hourMs = Math.floor(e.start.getTime() / 3600000) * 3600000;
+      const b = buckets.get(hourMs) || { sum: 0, dur: 0 };
+      const dur = e.durationH != null ? e.durationH : (e.end - e.start) / 3600000;
+      b.sum += e.adjustedOre * dur;
+      b.dur += dur;
+      buckets.set(hourMs, b);
+    }
+    return [...buckets.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([hourMs, b]) => ({ hour: new Date(hourMs), ore: b.dur > 0 ? b.sum / b.dur : 0 }));
+  }
+
   _priceStats(values) {
     if (!values.length) return { min: 0, max: 0, mean: 0, p25: 0, p50: 0, p75: 0, p90: 0, spread: 0 };
     const s = [...values].sort((a, b) => a - b);
@@ -5997,15 +8068,16 @@ class PowerGuardApp extends Homey.App {
 
   _priceSuggestLevel(ore, stats) {
     const { spread, p25, p75, p90, mean } = stats;
-    if (spread <= 8)  return 'normal';
-    if (spread <= 16) return ore <= p25 ? 'billig' : 'normal';
-    if (spread <= 32) {
+    const k = this._priceThresholdScale();
+    if (spread <= 8 * k)  return 'normal';
+    if (spread <= 16 * k) return ore <= p25 ? 'billig' : 'normal';
+    if (spread <= 32 * k) {
       if (ore <= p25)       return 'billig';
-      if (ore >= p75 + 1)   return 'dyr';
+      if (ore >= p75 + 1 * k) return 'dyr';
       return 'normal';
     }
     if (ore <= p25)                            return 'billig';
-    if (ore >= p90 && ore >= mean + 18)        return 'ekstremt dyr';
+    if (ore >= p90 && ore >= mean + 18 * k)    return 'ekstremt dyr';
     if (ore >= p75)                            return 'dyr';
     return 'normal';
   }
@@ -6013,9 +8085,10 @@ class PowerGuardApp extends Homey.App {
   _priceApplyHysteresis(prev, suggested, ore, stats) {
     if (!prev || prev === suggested) return suggested;
     // Flat-rate pricing: spread is ~0, all price margins are meaningless — skip hysteresis.
-    if (stats.spread <= 8) return suggested;
-    const marginSoft = stats.spread <= 32 ? 6 : 4;  // for billig ↔ normal (less critical)
-    const marginHard = 1;                             // for normal ↔ dyr/ekstremt (must react fast)
+    const k = this._priceThresholdScale();
+    if (stats.spread <= 8 * k) return suggested;
+    const marginSoft = (stats.spread <= 32 * k ? 6 : 4) * k;  // for billig ↔ normal (less critical)
+    const marginHard = 1 * k;                                  // for normal ↔ dyr/ekstremt (must react fast)
     if (prev === 'billig'       && suggested === 'normal'      && ore <= stats.p25 + marginSoft) return 'billig';
     if (prev === 'normal') {
       if (suggested === 'billig'      && ore >  stats.p25 - marginSoft) return 'normal';
@@ -6026,36 +8099,18 @@ class PowerGuardApp extends Homey.App {
       if (suggested === 'normal'      && ore >= stats.p75 - marginHard) return 'dyr';
       if (suggested === 'ekstremt dyr'&& ore <  stats.p90 + marginHard) return 'dyr';
     }
-    if (prev === 'ekstremt dyr' && suggested === 'dyr' && ore >= Math.max(stats.p90 - marginHard, stats.mean + 18 - marginHard)) return 'ekstremt dyr';
+    if (prev === 'ekstremt dyr' && suggested === 'dyr' && ore >= Math.max(stats.p90 - marginHard, stats.mean + 18 * k - marginHard)) return 'ekstremt dyr';
     return suggested;
   }
 
+  /**
+   * Shared charge mode — for chargers without a fresh battery report (those get their
+   * own plan from _priceChargerPlans). Hours needed come from the manual ev_ladebehov_timer.
+   */
   _priceSuggestChargeMode(currentEntry, nextEntry, level, stats, lookahead, cfg) {
-    // ── Resolve hoursNeeded — largest across all chargers sets the shared window ─
-    // All chargers use the same cheapest-hours window; the dynamic current loop
-    // already splits available power equally between them.
     let hoursNeeded = null;
-    const priceChargers = (this._settings.priorityList || []).filter(e => e.batteryCapacityKwh || e.carDeviceId);
-    let maxHours = 0; let anyValid = false;
-    for (const e of priceChargers) {
-      const bst = this._evBatteryState[e.deviceId];
-      if (!bst || Date.now() - bst.updatedAt > 24 * 3_600_000) continue;
-      if (typeof bst.hoursNeeded === 'number') { anyValid = true; maxHours = Math.max(maxHours, bst.hoursNeeded); }
-    }
-    if (anyValid) hoursNeeded = maxHours;
-
-    // If all chargers are already at/above their target percentage — stop charging.
-    // hoursNeeded===0 should not fall through to "use all hours" via hoursBeforeDeadline.length.
-    if (anyValid && hoursNeeded === 0) {
-      this.log('[Price] All chargers at/above target — returning av');
-      this._deadlineForced = true;
-      return 'av';
-    }
-
-    if (hoursNeeded === null) {
-      const manual = this.homey.settings.get('ev_ladebehov_timer');
-      if (typeof manual === 'number' && manual > 0) hoursNeeded = manual;
-    }
+    const manual = this.homey.settings.get('ev_ladebehov_timer');
+    if (typeof manual === 'number' && manual > 0) hoursNeeded = manual;
 
     // ── Deadline + smart-skip logic ───────────────────────────────────────────
     const ferdigKl = this.homey.settings.get('ev_ferdig_ladet_kl'); // e.g. "07:00"
@@ -6068,15 +8123,15 @@ class PowerGuardApp extends Homey.App {
 
       const hoursRemaining = (deadline - now) / 3_600_000;
 
-      const hoursBeforeDeadline = lookahead.filter(e =>
+      const slotsBeforeDeadline = lookahead.filter(e =>
         e.start >= currentEntry.start && e.start < deadline
       );
 
-      // If hoursNeeded is unknown, charge during ALL hours before the deadline
+      // If hoursNeeded is unknown, charge during ALL slots before the deadline
       // (deadline is set so the car must be ready — can't skip charging entirely).
       const effectiveHoursNeeded = (hoursNeeded !== null && hoursNeeded > 0)
         ? hoursNeeded
-        : hoursBeforeDeadline.length;
+        : this._priceDurationH(slotsBeforeDeadline);
 
       if (effectiveHoursNeeded > 0) {
         // CRITICAL: deadline imminent — force max regardless of price
@@ -6088,22 +8143,19 @@ class PowerGuardApp extends Homey.App {
 
         // FLAT-RATE PRICING: with near-zero price spread (Norgespris / regulated tariff),
         // all hours cost the same — the cheapest-hours rule is meaningless. Just charge.
-        if (stats.spread <= 8) {
+        if (stats.spread <= 8 * this._priceThresholdScale()) {
           this.log(`[Price] Deadline mode (flat-rate spread=${stats.spread.toFixed(1)}) — charging freely`);
           this._deadlineForced = true;
           return 'maks';
         }
 
-        // CHEAPEST-HOURS RULE: pick the N cheapest hours before the deadline.
-        // Charge only during those hours — off during everything else.
+        // CHEAPEST-SLOTS RULE: pick the cheapest slots before the deadline that together
+        // cover the hours needed. Charge only during those slots — off during everything else.
         // Power Guard's hard power limit still applies on top via the dynamic current loop.
-        const cheapestN = [...hoursBeforeDeadline]
-          .sort((a, b) => a.adjustedOre - b.adjustedOre)
-          .slice(0, Math.ceil(effectiveHoursNeeded))
-          .map(e => e.start.getTime());
+        const cheapestN = this._priceCheapestSlots(slotsBeforeDeadline, effectiveHoursNeeded);
 
-        const isInCheapestN = cheapestN.includes(currentEntry.start.getTime());
-        this.log(`[Price] Deadline mode: ${cheapestN.length} cheapest hours selected before ${ferdigKl}${hoursNeeded === null ? ' (no hoursNeeded → all window hours)' : ''}, current hour ${isInCheapestN ? 'IS' : 'is NOT'} in charging window`);
+        const isInCheapestN = cheapestN.has(currentEntry.start.getTime());
+        this.log(`[Price] Deadline mode: ${cheapestN.size} cheapest slots selected before ${ferdigKl}${hoursNeeded === null ? ' (no hoursNeeded → all window slots)' : ''}, current slot ${isInCheapestN ? 'IS' : 'is NOT'} in charging window`);
 
         this._deadlineForced = true; // bypass hysteresis — deadline rule is authoritative
         return isInCheapestN ? 'maks' : 'av';
@@ -6111,43 +8163,102 @@ class PowerGuardApp extends Homey.App {
     }
 
     // ── Standard price logic (no deadline or no hoursNeeded) ─────────────────
+    const k         = this._priceThresholdScale();
     const ore       = currentEntry.adjustedOre;
     const nextOre   = nextEntry ? nextEntry.adjustedOre : ore;
-    const cheapest  = [...lookahead].sort((a, b) => a.adjustedOre - b.adjustedOre).slice(0, cfg.cheapHoursTarget || 6);
-    const isCheapest = cheapest.some(e => e.start.getTime() === currentEntry.start.getTime());
+    const isCheapest = this._priceCheapestSlots(lookahead, cfg.cheapHoursTarget || 6).has(currentEntry.start.getTime());
     if (level === 'ekstremt dyr') return 'av';
     if (level === 'dyr')    return isCheapest ? 'normal' : 'lav';
     if (level === 'billig') return (isCheapest && ore <= stats.p25) ? 'maks' : 'normal';
     if (isCheapest && ore <= stats.p50) return 'normal';
-    if (nextOre >= ore + 10) return 'normal';  // pre-charge before price jumps
+    if (nextOre >= ore + 10 * k) return 'normal';  // pre-charge before price jumps
     return 'lav';
   }
 
+  /**
+   * Per-charger price plans (common/ev-plan.js): every price-controlled charger with a
+   * fresh battery report gets its own cheapest slots before its own deadline
+   * (entry.chargeDeadline, else ev_ferdig_ladet_kl), coordinated so the chargers
+   * together stay under the limit. Chargers left out use the shared mode.
+   *
+   * @returns {{ modes: Object<string, string>, plans: Object<string, object> }} by deviceId
+   */
+  _priceChargerPlans(priceChargers, now, lookahead, stats) {
+    const modes = {};
+    const plans = {};
+    const nowMs = now.getTime();
+    const localMin = localParts(now, this._getSiteTimeZone()).minutes;
+    const globalKl = this.homey.settings.get('ev_ferdig_ladet_kl');
+    const flat = stats.spread <= 8 * this._priceThresholdScale();
+
+    const chargers = [];
+    for (const e of priceChargers) {
+      const bst = this._evBatteryState[e.deviceId];
+      if (!bst || nowMs - bst.updatedAt > 24 * 3_600_000 || typeof bst.hoursNeeded !== 'number') continue;
+      if (bst.hoursNeeded === 0) { modes[e.deviceId] = 'av'; continue; }   // at/above target
+      const deadline = nextDeadline(nowMs, e.chargeDeadline, localMin) ?? nextDeadline(nowMs, globalKl, localMin);
+      if (deadline == null) continue;   // no deadline — the shared level-based mode
+      const phases = e.chargerPhases || 1;
+      chargers.push({
+        deviceId: e.deviceId,
+        name:     e.name,
+        needH:    bst.hoursNeeded,
+        deadline,
+        powerW:   bst.chargerW || (e.circuitLimitA || 16) * 230 * phases,
+        minW:     CHARGER_DEFAULTS.minCurrent * 230 * phases,
+      });
+    }
+    if (!chargers.length) return { modes, plans };
+
+    const slots = lookahead.map(e => ({
+      start: e.start.getTime(), end: e.end.getTime(), ore: e.adjustedOre,
+      baselineW: this._baselineWAt(e.start.getTime()), limitW: this._slotLimitW(e.start.getTime(), nowMs),
+    }));
+    const planned = planChargers(chargers, slots, nowMs, this._getEffectiveLimit());
+    for (const c of chargers) {
+      const plan = planned[c.deviceId];
+      // Flat-rate pricing: every slot costs the same — just charge
+      const charging = flat || plan.forced || inChargePlan(plan, nowMs);
+      modes[c.deviceId] = charging ? 'maks' : 'av';
+      plans[c.deviceId] = {
+        deadline: new Date(plan.deadline).toISOString(),
+        needH:    plan.needH,
+        windows:  plan.windows.map(w => ({ start: new Date(w.start).toISOString(), end: new Date(w.end).toISOString() })),
+        complete: plan.complete,
+        forced:   plan.forced,
+      };
+      const tag = flat ? 'flat rate' : plan.forced ? 'deadline forcing' : `${plan.windows.length} window(s)${plan.complete ? '' : ', cannot finish'}`;
+      this.log(`[Price] ${c.name}: ${c.needH}h by ${plans[c.deviceId].deadline} — ${tag}, now ${modes[c.deviceId]}`);
+    }
+    return { modes, plans };
+  }
+
   _priceApplyChargeModeHysteresis(prev, suggested, currentEntry, nextEntry, level, stats, lookahead, cfg) {
     if (!prev || prev === suggested) return suggested;
     if (level === 'ekstremt dyr') return 'av';
     // Flat-rate pricing (Norgespris or near-zero spread): every hour costs the same.
     // Hysteresis margins are based on price differences that don't exist here — skip it
     // entirely so the charger can freely transition between modes (especially exit 'av').
-    if (stats.spread <= 8) return suggested;
+    const k = this._priceThresholdScale();
+    if (stats.spread <= 8 * k) return suggested;
     const ore        = currentEntry.adjustedOre;
     const nextOre    = nextEntry ? nextEntry.adjustedOre : ore;
-    const cheapest   = [...lookahead].sort((a, b) => a.adjustedOre - b.adjustedOre).slice(0, cfg.cheapHoursTarget || 6);
-    const isCheapest = cheapest.some(e => e.start.getTime() === currentEntry.start.getTime());
-    const margin     = 5;
+    const isCheapest = this._priceCheapestSlots(lookahead, cfg.cheapHoursTarget || 6).has(currentEntry.start.getTime());
+    const margin     = 5 * k;
+    const jump       = 10 * k;  // price rise that makes pre-charging worthwhile
     if (prev === 'av') {
       if (suggested === 'lav'    && ore <= stats.p50 - margin) return 'lav';
-      if (suggested === 'normal' && (isCheapest || ore <= stats.p50 - margin || nextOre >= ore + 10 + margin)) return 'normal';
+      if (suggested === 'normal' && (isCheapest || ore <= stats.p50 - margin || nextOre >= ore + jump + margin)) return 'normal';
       if (suggested === 'maks'   && isCheapest && ore <= stats.p25 - margin) return 'maks';
       return 'av';
     }
     if (prev === 'lav') {
       if (suggested === 'av'     && !(level === 'dyr' && ore >= stats.p75 + margin)) return 'lav';
-      if (suggested === 'normal' && !(isCheapest || ore <= stats.p50 - margin || nextOre >= ore + 10 + margin)) return 'lav';
+      if (suggested === 'normal' && !(isCheapest || ore <= stats.p50 - margin || nextOre >= ore + jump + margin)) return 'lav';
       if (suggested === 'maks'   && !(isCheapest && ore <= stats.p25 - margin)) return 'lav';
     }
     if (prev === 'normal') {
-      if (suggested === 'lav'    && (isCheapest || ore <= stats.p50 + margin || nextOre >= ore + 10 - margin)) return 'normal';
+      if (suggested === 'lav'    && (isCheapest || ore <= stats.p50 + margin || nextOre >= ore + jump - margin)) return 'normal';
       if (suggested === 'av'     && !(level === 'dyr' && ore >= stats.p75 + margin)) return 'normal';
       if (suggested === 'maks'   && !(isCheapest && ore <= stats.p25 - margin)) return 'normal';
     }
@@ -6182,20 +8293,52 @@ class PowerGuardApp extends Homey.App {
 
   /** Public getter used by api.js getPriceData endpoint */
   getPriceData() {
+    const status = this._priceProviderStatus;
+    const active = status && status.active ? getProvider(status.active) : null;
     return {
       state:    this._priceState,
       settings: this._priceSettings,
+      provider: {
+        active:    status ? status.active : null,
+        label:     active ? active.label : null,
+        chain:     resolveChain(this._priceSettings),
+        errors:    status ? status.errors : [],
+        updatedAt: status ? status.updatedAt : null,
+      },
+      providers: listProviders(this._priceSettings),
+      gridTariff: this._gridTariff,
     };
   }
 
   /** Called by api.js setPriceSettings — saves and re-evaluates immediately */
   async savePriceSettings(settings) {
     if (!settings || typeof settings !== 'object') return;
-    this._priceSettings = Object.assign({}, PRICE_DEFAULTS, settings);
+    // Merge onto the current settings so fields the caller did not send (tokens, provider chain) survive
+    this._priceSettings = Object.assign({}, PRICE_DEFAULTS, this._priceSettings, settings);
     this.homey.settings.set('priceSettings', this._priceSettings);
     await this._fetchAndEvaluatePrices().catch(err => this.error('[Price] Re-fetch error:', err));
   }
 
+  // ─── Grid tariff (nettleie) ───────────────────────────────────────────────
+
+  /** Public getter used by api.js getGridTariff endpoint */
+  getGridTariff() {
+    return this._gridTariff;
+  }
+
+  /** Called by api.js setGridTariff — validates, saves and re-evaluates prices immediately */
+  async saveGridTariff(tariff) {
+    if (!tariff || typeof tariff !== 'object') return { ok: false, error: 'Invalid request' };
+    const merged = Object.assign({}, GRID_TARIFF_DEFAULTS, this._gridTariff, tariff);
+    const check = validateTariff(merged);
+    if (!check.ok) return check;
+    this._gridTariff = merged;
+    this.homey.settings.set('gridTariff', merged);
+    this._appLogEntry('system', `[Price] Grid tariff ${merged.enabled ? 'enabled' : 'disabled'}${merged.dsoName ? ` (${merged.dsoName})` : ''}`);
+    await this._fetchAndEvaluatePrices().catch(err => this.error('[Price] Re-fetch error:', err));
+    return { ok: true };
+  }
+
   // ════════════════════════════════════════════════════════════════
   // █ SECTION 13 — MODE ENGINE  (Home / Night / Away / Holiday)               █
   // ════════════════════════════════════════════════════════════════
@@ -6214,6 +8357,7 @@ class PowerGuardApp extends Homey.App {
       this._modeSettings = Object.assign(JSON.parse(JSON.stringify(MODES_DEFAULTS)), saved);
       if (!this._modeSettings.devicePrefs) this._modeSettings.devicePrefs = {};
       if (!this._modeSettings.nightSchedule) this._modeSettings.nightSchedule = JSON.parse(JSON.stringify(MODES_DEFAULTS.nightSchedule));
+      this._limitCache = null;
     }
     // Apply current mode on startup (deferred so API is ready),
     // then immediately run the night schedule check so the correct
@@ -6277,12 +8421,14 @@ class PowerGuardApp extends Homey.App {
     this._nightSetBySchedule = false;  // any external/manual call clears scheduler ownership
     const previous = this._modeSettings.activeMode;
     this._modeSettings.activeMode = mode;
+    this._limitCache = null;
     this.homey.settings.set('modeSettings', this._modeSettings);
     if (mode !== previous) {
       this._fireTrigger('mode_changed', { mode });
       this._appLogEntry('system', `Mode changed: ${previous} → ${mode}`);
       this.log(`[Modes] Active mode: ${mode}`);
       try { this.homey.api.realtime('modeChanged', { mode }); } catch (_) {}
+      this._checkLimitChange();  // a mode may override the limit
     }
     await this._applyMode(mode);
   }
@@ -6317,6 +8463,16 @@ class PowerGuardApp extends Homey.App {
 
       try {
         const action = entry.action;
+        // Scheduled water heaters follow their price plan (Section 17)
+        if (entry.waterHeaterSchedule && (action === 'hoiax_power' || action === 'onoff')) {
+          this._appLogEntry('charger', `[Modes] SKIP ${entry.name}: styrt av varmtvannsplan`);
+          continue;
+        }
+        // Flexible loads run on their own job plan (Section 18)
+        if (entry.flexLoad) {
+          this._appLogEntry('charger', `[Modes] SKIP ${entry.name}: fleksibel last`);
+          continue;
+        }
         if (action === 'target_temperature') {
           // Skip devices owned by the active thermostat plan — scheduler controls their temp
           if (_tpDeviceIds.has(entry.deviceId)) {
@@ -6381,11 +8537,21 @@ class PowerGuardApp extends Homey.App {
         {}, this._modeSettings.nightSchedule, body.nightSchedule
       );
     }
+    if (body.modeLimits && typeof body.modeLimits === 'object') {
+      const limits = {};
+      for (const m of [MODES.HOME, MODES.NIGHT, MODES.AWAY, MODES.HOLIDAY]) {
+        const w = Number(body.modeLimits[m]);
+        if (Number.isFinite(w) && w > 0) limits[m] = Math.round(w);
+      }
+      this._modeSettings.modeLimits = limits;
+      this._limitCache = null;
+    }
     const prefsChanged = body.devicePrefs && typeof body.devicePrefs === 'object';
     if (prefsChanged) {
       this._modeSettings.devicePrefs = body.devicePrefs;
     }
     this.homey.settings.set('modeSettings', this._modeSettings);
+    this._checkLimitChange();
     // If device preferences changed, re-apply the active mode for the changed device only.
     // Passing changedDeviceId avoids re-triggering ALL devices (e.g. EV chargers) on every click.
     if (prefsChanged) {
@@ -6396,6 +8562,374 @@ class PowerGuardApp extends Homey.App {
     }
   }
 
+  // ══════════════════════════════════════════════════════════════════
+  // █ SECTION 14 — SOLAR SURPLUS  (profile 'solar')                             █
+  // ══════════════════════════════════════════════════════════════════
+  // When the site exports, priority-list entries with a surplusPriority are
+  // switched on / boosted in that order (common/solar-surplus.js), and
+  // surplus-following EV chargers ramp on the export instead of the grid
+  // limit (_adjustEVChargersForPower). Grid-limit mitigation keeps running
+  // on top and always wins.
+  //
+  // _surplusActive — loads this section switched on, with their state from
+  // before the boost; persisted so they are switched back after a restart.
+  // Leaving the solar profile switches every active load back.
+  // ══════════════════════════════════════════════════════════════════
+
+  _solarActive() {
+    return !!this._settings.enabled && this._settings.profile === PROFILES.SOLAR;
+  }
+
+  /** Signed site power — rawPower is clamped at 0, the export is kept in _lastRawDisplayW. */
+  _signedGridW(rawPower) {
+    if (rawPower > 0) return rawPower;
+    return Math.min(0, this._lastRawDisplayW ?? 0);
+  }
+
+  _surplusSite(gridW) {
+    return {
+      gridW,
+      minSurplusW: Math.max(0, Number(this._settings.solarMinSurplusW) || 0),
+      maxImportW:  Math.max(0, Number(this._settings.solarMaxImportW) || 0),
+    };
+  }
+
+  _isSurplusCharger(deviceId) {
+    return !!this._surplusPlan && this._surplusPlan.loads.some(l => l.isEV && l.deviceId === deviceId);
+  }
+
+  /** Live view of the surplus loads, in surplus order, for planSurplusStep / evSurplusBudget. */
+  _surplusLoadStates(now) {
+    const loads = [];
+    for (const entry of surplusLoads(this._settings.priorityList)) {
+      if (entry.action === 'dynamic_current') {
+        // Charge Now overrides surplus following; a charger without a car has nothing to soak
+        if (!this._isCarConnected(entry.deviceId)) continue;
+        if (this._chargeNow && this._chargeNow[entry.deviceId]) continue;
+        const ev = this._evPowerData[entry.deviceId] || {};
+        const tracked = this._mitigatedDevices.find(m => m.deviceId === entry.deviceId);
+        const currentA = tracked?.currentTargetA || 0;
+        const charging = (ev.powerW || 0) > 200;
+        const maxA = (this._chargerState[entry.deviceId] || {}).learnedMaxA ?? (entry.circuitLimitA || 32);
+        const wpa = Math.max(ev.wattsPerAmp || 0, (ev.detectedPhases || entry.chargerPhases || 3) * 230);
+        loads.push({
+          deviceId: entry.deviceId, name: entry.name, isEV: true, estW: 0,
+          active: charging, charging, hungry: charging && currentA < maxA,
+          flexW: charging ? Math.max(0, currentA - CHARGER_DEFAULTS.minCurrent) * wpa : 0,
+        });
+        continue;
+      }
+      const rec = this._surplusActive[entry.deviceId];
+      const mitigated = this._mitigatedDevices.some(m => m.deviceId === entry.deviceId);
+      const minOffMs = (entry.minOffTimeSeconds || 0) * 1000;
+      const minRunMs = (entry.minRuntimeSeconds || 0) * 1000;
+      loads.push({
+        deviceId: entry.deviceId, name: entry.name, isEV: false,
+        estW: Number(entry.surplusW) > 0 ? Number(entry.surplusW) : (this._powerConsumptionData[entry.deviceId]?.peak || DEFAULT_LOAD_W),
+        active: !!rec,
+        eligible: !rec && !mitigated && now - (this._surplusOffAt[entry.deviceId] || 0) >= minOffMs,
+        canStop: !!rec && now - rec.since >= minRunMs,
+      });
+    }
+    return loads;
+  }
+
+  /**
+   * Called on every power reading from _checkLimits. Plans synchronously (the EV
+   * engine reads the plan right after) and dispatches at most one switch action.
+   */
+  _updateSolarSurplus(rawPower) {
+    if (!this._solarActive()) {
+      this._surplusPlan = null;
+      this._surplusState = {};
+      if (Object.keys(this._surplusActive).length && !this._surplusBusy) {
+        this._runSurplusTask(() => this._releaseAllSurplus('solar profile off'));
+      }
+      return;
+    }
+    const now = Date.now();
+    const gridW = this._signedGridW(rawPower);
+    const loads = this._surplusLoadStates(now);
+    const plan = planSurplusStep(loads, this._surplusSite(gridW), this._surplusState, now);
+    this._surplusPlan = Object.assign({ gridW, loads, at: now }, plan);
+    if (this._surplusBusy) return;  // keep the old timers — the action is re-planned next reading
+    this._surplusState = plan.state;
+
+    // Entries that left the surplus list (removed, disabled, priority cleared) are switched back
+    const stray = Object.keys(this._surplusActive).find(id => !loads.some(l => !l.isEV && l.deviceId === id));
+    if (stray) {
+      this._runSurplusTask(() => this._surplusOff(stray, 'no longer a surplus load'));
+    } else if (plan.action === 'on') {
+      this._runSurplusTask(() => this._surplusOn(plan.deviceId, plan.availableW));
+    } else if (plan.action === 'off') {
+      this._runSurplusTask(() => this._surplusOff(plan.deviceId, `import ${Math.round(gridW)}W`));
+    }
+  }
+
+  _runSurplusTask(fn) {
+    this._surplusBusy = true;
+    fn()
+      .catch(err => this.error('[Solar] Switch failed:', err.message || err))
+      .finally(() => { this._surplusBusy = false; });
+  }
+
+  _persistSurplusActive() {
+    this.homey.settings.set('_surplusActive', this._surplusActive);
+  }
+
+  async _surplusOn(deviceId, availableW) {
+    const entry = (this._settings.priorityList || []).find(e => e.deviceId === deviceId);
+    if (!entry || !this._api) return;
+    const device = await this._api.devices.getDevice({ id: deviceId });
+    if (!device) return;
+    const caps = device.capabilities || [];
+    const obj = device.capabilitiesObj || {};
+    const set = (capabilityId, value) => device.setCapabilityValue({ capabilityId, value });
+    const previousState = this._snapshotState(device);
+    if (obj.max_power_2000) previousState.max_power_2000 = obj.max_power_2000.value;
+
+    const onOffCap = caps.includes('onoff') ? 'onoff' : caps.includes('thermofloor_onoff') ? 'thermofloor_onoff' : null;
+    if (onOffCap && obj[onOffCap] && obj[onOffCap].value === false) await set(onOffCap, true);
+    let detail = '';
+    if (entry.action === 'target_temperature' && caps.includes('target_temperature')) {
+      const target = boostTargetTemp(entry, previousState.target_temperature);
+      if (target != null) {
+        // Same as controlFloorHeater: heat mode first so a cloud schedule does not revert the boost
+        if (caps.includes('thermostat_mode') && previousState.thermostat_mode !== 'heat') {
+          await set('thermostat_mode', 'heat').catch(() => {});
+        }
+        await set('target_temperature', target);
+        detail = ` → ${target}°C`;
+      }
+    } else if (entry.action === 'hoiax_power') {
+      const maxPowerCap = ['max_power_3000', 'max_power_2000', 'max_power'].find(c => caps.includes(c));
+      if (maxPowerCap) {
+        await set(maxPowerCap, 'high_power');
+        detail = ' → high_power';
+      }
+    }
+
+    this._surplusActive[deviceId] = { since: Date.now(), previousState };
+    this._persistSurplusActive();
+    this.log(`[Solar] ${entry.name} ON${detail} — ${Math.round(availableW)}W surplus`);
+    this._appLogEntry('energy', `Solar surplus: ${entry.name} on${detail} (${Math.round(availableW)}W available)`);
+  }
+
+  async _surplusOff(deviceId, reason) {
+    const rec = this._surplusActive[deviceId];
+    if (!rec) return;
+    delete this._surplusActive[deviceId];
+    this._surplusOffAt[deviceId] = Date.now();
+    this._persistSurplusActive();
+    const entry = (this._settings.priorityList || []).find(e => e.deviceId === deviceId);
+    const name = entry ? entry.name : deviceId;
+
+    // Mitigation is holding the device down — let it restore to the pre-boost state instead
+    const mitigation = this._mitigatedDevices.find(m => m.deviceId === deviceId);
+    if (mitigation) {
+      mitigation.previousState = rec.previousState;
+      this._persistMitigatedDevices();
+      this.log(`[Solar] ${name} released (${reason}) — mitigated, restore target handed over`);
+      return;
+    }
+    if (!this._api) return;
+    const device = await this._api.devices.getDevice({ id: deviceId });
+    if (!device) return;
+    const action = entry ? entry.action : 'onoff';
+    await restoreDevice(device, action, rec.previousState);
+    // restoreDevice switches thermostats on — switch back off if it was off before the boost
+    if (action === 'target_temperature' && rec.previousState.onoff === false && (device.capabilities || []).includes('onoff')) {
+      await device.setCapabilityValue({ capabilityId: 'onoff', value: false });
+    }
+    this.log(`[Solar] ${name} restored (${reason})`);
+    this._appLogEntry('energy', `Solar surplus: ${name} restored (${reason})`);
+  }
+
+  async _releaseAllSurplus(reason) {
+    for (const deviceId of Object.keys(this._surplusActive)) {
+      await this._surplusOff(deviceId, reason).catch(err => this.error(`[Solar] Restore ${deviceId} failed:`, err.message || err));
+    }
+  }
+
+  _getSolarSurplusStatus() {
+    const plan = this._surplusPlan;
+    if (!plan) return null;
+    return {
+      gridW: Math.round(plan.gridW),
+      availableW: Math.round(plan.availableW),
+      waitingFor: plan.reservedFor,
+      loads: plan.loads.map(l => ({
+        deviceId: l.deviceId, name: l.name, isEV: l.isEV, active: l.active, estW: Math.round(l.estW),
+      })),
+    };
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // █ SECTION 15 — HOME BATTERY (ESS)                                          █
+  // ══════════════════════════════════════════════════════════════════
+  // Priority-list entries with action 'battery' are commanded through a
+  // charge/discharge setpoint (common/home-battery.js):
+  //   • discharge to shave the site load down to the effective limit —
+  //     runs on every raw reading, ahead of the smoothed mitigation engine
+  //   • charge in the cheapest price slots (price engine), only with the
+  //     headroom left under the limit so charging never spends the budget
+  //   • otherwise the battery is released to its own control
+  // Setpoints are positive for charging. Flow-controlled batteries get the
+  // 'battery_should_change_power' trigger instead of a capability write.
+  // ══════════════════════════════════════════════════════════════════
+
+  _batteryEntries() {
+    return (this._settings.priorityList || []).filter(e => e.enabled !== false && e.action === 'battery');
+  }
+
+  /** Subscribe to SoC and power of listed batteries; drop batteries that left the list. */
+  async _syncBatterySubscriptions(entries) {
+    if (!this._api) return;
+    const wanted = new Set(entries.map(e => e.deviceId));
+    for (const deviceId of Object.keys(this._batteryInstances)) {
+      if (wanted.has(deviceId)) continue;
+      await this._releaseBattery(deviceId, 'removed from list').catch(() => {});
+      for (const inst of this._batteryInstances[deviceId]) {
+        try { inst.destroy(); } catch (_) {}
+      }
+      delete this._batteryInstances[deviceId];
+      delete this._batteryState[deviceId];
+    }
+    for (const entry of entries) {
+      if (this._batteryInstances[entry.deviceId]) continue;
+      const device = await this._api.devices.getDevice({ id: entry.deviceId }).catch(() => null);
+      if (!device) continue;
+      const caps = device.capabilities || [];
+      const obj = device.capabilitiesObj || {};
+      const st = this._batteryState[entry.deviceId] = Object.assign(this._batteryState[entry.deviceId] || {}, {
+        setpointCap: entry.batterySetpointCap && caps.includes(entry.batterySetpointCap) ? entry.batterySetpointCap : findSetpointCap(caps),
+        soc: obj.measure_battery?.value ?? null,
+        powerW: obj.measure_power?.value ?? null,
+      });
+      const instances = [];
+      if (caps.includes('measure_battery')) {
+        instances.push(device.makeCapabilityInstance('measure_battery', v => { st.soc = Number(v); }));
+      }
+      if (caps.includes('measure_power')) {
+        instances.push(device.makeCapabilityInstance('measure_power', v => { st.powerW = Number(v); }));
+      }
+      this._batteryInstances[entry.deviceId] = instances;
+      this.log(`[Battery] ${entry.name}: SoC ${st.soc ?? '?'}%, setpoint via ${entry.flowControlled ? 'flow' : (st.setpointCap || 'none')}`);
+    }
+  }
+
+  /** Called on every power reading from _checkLimits. */
+  _updateBatteries(rawPower) {
+    const entries = this._batteryEntries();
+    const listed = entries.map(e => e.deviceId).sort().join(',');
+    if (!this._batterySyncing && listed !== Object.keys(this._batteryInstances).sort().join(',')
+        && Date.now() - (this._batterySyncAt || 0) > 60000) {
+      this._batterySyncing = true;
+      this._batterySyncAt = Date.now();
+      this._syncBatterySubscriptions(entries)
+        .catch(err => this.error('[Battery] Subscribe failed:', err.message || err))
+        .finally(() => { this._batterySyncing = false; });
+    }
+    const ready = entries.filter(e => this._batteryInstances[e.deviceId]);
+    if (!ready.length) return;
+    if (!this._settings.enabled) {
+      for (const e of ready) this._releaseBattery(e.deviceId, 'guard disabled').catch(() => {});
+      return;
+    }
+
+    const now = Date.now();
+    const priceEntries = this._priceState && this._priceState.entries;
+    const batteries = ready.map(entry => {
+      const st = this._batteryState[entry.deviceId];
+      const cfg = batteryConfig(entry);
+      let cheap = false;
+      if (entry.batteryCheapCharge && priceEntries) {
+        const hours = hoursToFill(cfg, st.soc) ?? (this._priceSettings.cheapHoursTarget || 6);
+        cheap = inCheapWindow(priceEntries, now, hours);
+      }
+      // A battery without a power meter is assumed to follow its last setpoint
+      const powerW = Number.isFinite(st.powerW) ? st.powerW : (st.controlled ? st.setpointW || 0 : 0);
+      return { deviceId: entry.deviceId, soc: Number.isFinite(st.soc) ? st.soc : null, powerW, cfg, cheap, prevReason: st.reason || null };
+    });
+    const plan = planBatteries(batteries, { gridW: this._signedGridW(rawPower), limitW: this._getEffectiveLimit() });
+    for (const p of plan) {
+      const entry = ready.find(e => e.deviceId === p.deviceId);
+      const task = p.setpointW === null
+        ? this._releaseBattery(p.deviceId, p.reason)
+        : this._setBatterySetpoint(entry, p.setpointW, p.reason);
+      task.catch(err => this.error(`[Battery] ${entry.name} command failed:`, err.message || err));
+    }
+  }
+
+  async _setBatterySetpoint(entry, setpointW, reason) {
+    const st = this._batteryState[entry.deviceId];
+    const now = Date.now();
+    const reasonChanged = st.reason !== reason;
+    // Follow the load in 100 W steps, at most every 5 s — a new reason goes out at once
+    if (st.controlled && !reasonChanged && (Math.abs(setpointW - (st.setpointW || 0)) < MIN_SETPOINT_W || now - (st.sentAt || 0) < 5000)) return;
+    if (st.busy) return;
+    st.busy = true;
+    try {
+      if (entry.flowControlled) {
+        await this._triggerBatteryPowerChanged?.trigger({ device_name: entry.name, power_w: setpointW, mode: reason });
+      } else {
+        if (!st.setpointCap || !this._api) return;
+        const device = await this._api.devices.getDevice({ id: entry.deviceId });
+        if (!st.controlled) st.previousSetpoint = device.capabilitiesObj?.[st.setpointCap]?.value ?? null;
+        await device.setCapabilityValue({ capabilityId: st.setpointCap, value: entry.batteryInvertSign ? -setpointW : setpointW });
+      }
+      Object.assign(st, { controlled: true, setpointW, reason, sentAt: now });
+      if (reasonChanged) {
+        const what = setpointW < 0 ? `discharge ${-setpointW}W` : `charge ${setpointW}W`;
+        this.log(`[Battery] ${entry.name}: ${what} (${reason}, SoC ${st.soc ?? '?'}%)`);
+        this._appLogEntry('energy', `Battery ${entry.name}: ${what} — ${reason === 'shave' ? 'peak shaving' : 'cheap hours'} (SoC ${st.soc ?? '?'}%)`);
+        if (reason === 'shave') this._addLog(`Battery discharging: ${entry.name} (${-setpointW}W)`);
+      }
+    } finally {
+      st.busy = false;
+    }
+  }
+
+  /** Hand the battery back to its own control (previous setpoint, or 0). */
+  async _releaseBattery(deviceId, reason) {
+    const st = this._batteryState[deviceId];
+    if (!st) return;
+    st.reason = reason;
+    if (!st.controlled || st.busy) return;
+    st.busy = true;
+    try {
+      const entry = (this._settings.priorityList || []).find(e => e.deviceId === deviceId) || { name: deviceId };
+      if (entry.flowControlled) {
+        await this._triggerBatteryPowerChanged?.trigger({ device_name: entry.name, power_w: 0, mode: 'idle' });
+      } else if (st.setpointCap && this._api) {
+        const device = await this._api.devices.getDevice({ id: deviceId });
+        await device.setCapabilityValue({ capabilityId: st.setpointCap, value: st.previousSetpoint ?? 0 });
+      }
+      Object.assign(st, { controlled: false, setpointW: null, sentAt: Date.now() });
+      this.log(`[Battery] ${entry.name}: released (${reason})`);
+      this._appLogEntry('energy', `Battery ${entry.name}: released — ${reason}`);
+    } finally {
+      st.busy = false;
+    }
+  }
+
+  _getBatteryStatus() {
+    return this._batteryEntries()
+      .filter(e => this._batteryState[e.deviceId])
+      .map(e => {
+        const st = this._batteryState[e.deviceId];
+        return {
+          deviceId: e.deviceId,
+          name: e.name,
+          soc: st.soc,
+          powerW: Number.isFinite(st.powerW) ? Math.round(st.powerW) : null,
+          setpointW: st.controlled ? st.setpointW : null,
+          reason: st.reason || null,
+          setpointCap: e.flowControlled ? 'flow' : st.setpointCap,
+        };
+      });
+  }
+
   // ══════════════════════════════════════════════════════════════════
   // █ SECTION 16 — THERMOSTAT SCHEDULE ENGINE                                    █
   // ══════════════════════════════════════════════════════════════════
@@ -6534,6 +9068,315 @@ class PowerGuardApp extends Homey.App {
     this.log('[ThermoSched] Scheduler started');
   }
 
+  // ══════════════════════════════════════════════════════════════════
+  // █ SECTION 17 — WATER HEATER SCHEDULER                                        █
+  // ══════════════════════════════════════════════════════════════════
+  // Priority-list entries (hoiax_power or onoff) with waterHeaterSchedule run
+  // on a price plan (common/water-heater.js), checked once a minute:
+  //   full    → on, highest Høiax step      normal → on, the user's own step
+  //   reduced → lowest Høiax step (onoff: off)   off → off
+  // Mitigation always wins: a mitigated heater is left alone and its mode is
+  // sent again once it is handed back. A heater taken off the schedule (or
+  // the guard disabled) goes back to normal. The mode engine skips scheduled
+  // heaters. Legionella clocks and the user's own step persist in
+  // '_waterHeaterState'.
+  // ══════════════════════════════════════════════════════════════════
+
+  _waterHeaterEntries() {
+    return (this._settings.priorityList || []).filter(e => e.enabled !== false && e.waterHeaterSchedule
+      && (e.action === 'hoiax_power' || e.action === 'onoff'));
+  }
+
+  _startWaterHeaterScheduler() {
+    this._waterHeaterInterval = setInterval(async () => { const _t = Date.now(); await this._waterHeaterTick().catch(err => this.error('[WaterHeater] Tick error:', err)); this._trackCallTime('waterHeater', Date.now() - _t); }, 60 * 1000);
+  }
+
+  _persistWaterHeaterState() {
+    const out = {};
+    for (const [id, st] of Object.entries(this._waterHeaterState)) {
+      out[id] = { action: st.action, name: st.name, lastLegionellaAt: st.lastLegionellaAt, ownLevel: st.ownLevel };
+    }
+    this.homey.settings.set('_waterHeaterState', out);
+  }
+
+  async _waterHeaterTick() {
+    if (!this._api) return;
+    const now = Date.now();
+    const entries = this._waterHeaterEntries();
+    const wanted = new Set(entries.map(e => e.deviceId));
+
+    // Taken off the schedule: hand the heater back at its own setting
+    for (const [deviceId, st] of Object.entries(this._waterHeaterState)) {
+      if (wanted.has(deviceId)) continue;
+      if (st.mode && st.mode !== 'normal' && !this._mitigatedDevices.some(m => m.deviceId === deviceId)) {
+        await this._setWaterHeaterMode({ deviceId, action: st.action, name: st.name }, st, 'normal', 'unscheduled')
+          .catch(err => this.error(`[WaterHeater] ${st.name} release failed:`, err.message || err));
+      }
+      delete this._waterHeaterState[deviceId];
+      this._persistWaterHeaterState();
+    }
+
+    const powerW = movingAverage(this._powerBuffer, this._settings.smoothingWindow);
+    const limitW = this._getEffectiveLimit();
+    const priceEntries = this._priceState && this._priceState.entries;
+    for (const entry of entries) {
+      let st = this._waterHeaterState[entry.deviceId];
+      if (!st) {
+        // Assume a hot tank when the schedule takes over: the first legionella block is due within 24 h
+        st = this._waterHeaterState[entry.deviceId] = { lastLegionellaAt: now, ownLevel: null };
+        this._persistWaterHeaterState();
+      }
+      Object.assign(st, { action: entry.action, name: entry.name });
+      const profile = this._loadProfiles[entry.deviceId];
+      const cfg = waterHeaterConfig(entry, isConfident(profile) ? profile.onW : null);
+      const legionellaBefore = st.lastLegionellaAt;
+
+      if (this._mitigatedDevices.some(m => m.deviceId === entry.deviceId)) {
+        // Mitigation owns the heater; the mode goes out again once it is handed back
+        Object.assign(st, { mode: null, reason: 'mitigated' });
+        trackMode(st, 'off', 'mitigated', now, cfg);
+        continue;
+      }
+
+      st.plan = planWaterHeater(priceEntries, now, cfg, st);
+      let { mode, reason } = modeAt(st.plan, now);
+      // Switched off for peak risk, the heater's own draw still counts — otherwise it would flap
+      st.peakRisk = peakRisk(st.peakRisk, powerW + (st.reason === 'peak risk' ? cfg.ratedW : 0), limitW);
+      // … but never longer than MAX_HOLD_H in a row: then the tank gets its heat back first
+      if (st.peakRisk && reason !== 'legionella' && peakHoldAllowed(st, now)) { mode = 'off'; reason = 'peak risk'; }
+      if (!this._settings.enabled) { mode = 'normal'; reason = 'guard disabled'; }
+
+      if (mode !== st.mode) {
+        await this._setWaterHeaterMode(entry, st, mode, reason)
+          .catch(err => this.error(`[WaterHeater] ${entry.name} → ${mode} failed:`, err.message || err));
+      }
+      trackMode(st, st.mode || mode, st.reason, now, cfg);
+      if (st.lastLegionellaAt !== legionellaBefore) {
+        this.log(`[WaterHeater] ${entry.name}: legionella block complete (${cfg.legionellaH} h at full power)`);
+        this._persistWaterHeaterState();
+      }
+    }
+  }
+
+  /** Command a heater into a scheduler mode; only capabilities that differ are written. */
+  async _setWaterHeaterMode(entry, st, mode, reason) {
+    const device = await withTimeout(this._api.devices.getDevice({ id: entry.deviceId }), 10000, `getDevice(${entry.deviceId})`);
+    if (!device) return;
+    const caps = device.capabilities || [];
+    const obj = device.capabilitiesObj || {};
+    const levelCap = entry.action === 'hoiax_power' ? hoiaxPowerCap(caps) : null;
+    const steps = levelCap ? HOIAX_POWER_STEPS[levelCap] : null;
+    // The user's own step, remembered the first time the schedule changes it
+    if (levelCap && st.ownLevel == null) {
+      st.ownLevel = steps.includes(obj[levelCap]?.value) ? obj[levelCap].value : steps[0];
+      this._persistWaterHeaterState();
+    }
+    const set = async (capId, value) => {
+      if (caps.includes(capId) && obj[capId]?.value !== value) await device.setCapabilityValue({ capabilityId: capId, value });
+    };
+
+    if (mode === 'off' || (mode === 'reduced' && !levelCap)) {
+      await set('onoff', false);
+    } else {
+      if (levelCap) {
+        const level = mode === 'full' ? steps[0] : mode === 'reduced' ? steps[steps.length - 1] : st.ownLevel;
+        await set(levelCap, level);
+      }
+      await set('onoff', true);
+    }
+    const from = st.mode;
+    Object.assign(st, { mode, reason, changedAt: Date.now() });
+    this.log(`[WaterHeater] ${entry.name}: ${from || '–'} → ${mode} (${reason})`);
+    this._appLogEntry('energy', `Water heater ${entry.name}: ${mode} — ${reason}`);
+  }
+
+  _getWaterHeaterStatus() {
+    const now = Date.now();
+    return this._waterHeaterEntries()
+      .filter(e => this._waterHeaterState[e.deviceId])
+      .map(e => {
+        const st = this._waterHeaterState[e.deviceId];
+        const nextFull = (st.plan || []).find(p => p.mode === 'full' && p.start > now);
+        return {
+          deviceId: e.deviceId,
+          name: e.name,
+          mode: st.mode || null,
+          reason: st.reason || null,
+          nextFullAt: nextFull ? nextFull.start : null,
+          lastLegionellaAt: st.lastLegionellaAt,
+        };
+      });
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // █ SECTION 18 — FLEXIBLE LOADS                                                █
+  // ══════════════════════════════════════════════════════════════════
+  // Priority-list entries marked flexLoad (dishwasher, dryer, pool pump,
+  // dehumidifier …) get a daily job: a runtime or kWh to deliver by a
+  // deadline (common/flex-load.js). Once a minute the job is re-planned over
+  // the price engine's slots and the device is switched on or off.
+  //   • progress counts while the device draws power (or, without a power
+  //     reading, while it is switched on by the scheduler)
+  //   • a device is only switched on when its draw fits under the limit now
+  //   • continuous loads are never switched off mid-run by the scheduler
+  //   • mitigation wins: a mitigated device is left alone
+  // Water heaters with their own schedule (Section 17) are not flexible loads.
+  // Job progress persists in '_flexLoadState'.
+  // ══════════════════════════════════════════════════════════════════
+
+  _flexLoadEntries() {
+    return (this._settings.priorityList || []).filter(e => e.enabled !== false && e.flexLoad && !e.waterHeaterSchedule
+      && e.action !== 'dynamic_current' && e.action !== 'charge_pause' && e.action !== 'battery');
+  }
+
+  _startFlexLoadScheduler() {
+    this._flexLoadInterval = setInterval(async () => { const _t = Date.now(); await this._flexLoadTick().catch(err => this.error('[FlexLoad] Tick error:', err)); this._trackCallTime('flexLoad', Date.now() - _t); }, 60 * 1000);
+  }
+
+  _persistFlexState() {
+    const out = {};
+    for (const [id, st] of Object.entries(this._flexState)) {
+      out[id] = { deadline: st.deadline, ranMs: Math.round(st.ranMs), doneWh: Math.round(st.doneWh), on: st.on, name: st.name };
+    }
+    this.homey.settings.set('_flexLoadState', out);
+    this._flexSavedAt = Date.now();
+  }
+
+  /**
+   * Non-controllable site draw in the same clock hour on the last day of hourly history (W),
+   * null if unknown: the hour's energy minus what planned loads drew (_controlledDrawW), so a
+   * slot a planner used yesterday does not look full today.
+   */
+  _baselineWAt(startMs) {
+    const hour = new Date(startMs).getHours();
+    const h = this._hourlyEnergy.history.filter(x => x.hour === hour).pop();
+    if (!h || !Number.isFinite(h.kWh)) return null;
+    return Math.max(0, h.kWh - (h.controlledKWh || 0)) * 1000;
+  }
+
+  async _flexLoadTick() {
+    if (!this._api) return;
+    const now = Date.now();
+    const entries = this._flexLoadEntries();
+    const wanted = new Set(entries.map(e => e.deviceId));
+    const mitigated = new Set(this._mitigatedDevices.map(m => m.deviceId));
+
+    // No longer a flexible load: switch off what the scheduler switched on
+    for (const [deviceId, st] of Object.entries(this._flexState)) {
+      if (wanted.has(deviceId)) continue;
+      if (st.on && !mitigated.has(deviceId)) {
+        await this._setFlexLoad({ deviceId, name: st.name }, st, false, 'unscheduled')
+          .catch(err => this.error(`[FlexLoad] ${st.name} release failed:`, err.message || err));
+      }
+      delete this._flexState[deviceId];
+      this._persistFlexState();
+    }
+    if (!entries.length) return;
+
+    const localMin = localParts(new Date(now), this._getSiteTimeZone()).minutes;
+    const powerW = movingAverage(this._powerBuffer, this._settings.smoothingWindow);
+    const limitW = this._getEffectiveLimit();
+    const slots = ((this._priceState && this._priceState.entries) || []).map(e => {
+      const start = Date.parse(e.start);
+      return { start, end: Date.parse(e.end), ore: e.ore, baselineW: this._baselineWAt(start), limitW: this._slotLimitW(start, now) };
+    });
+
+    for (const entry of entries) {
+      const st = this._flexState[entry.deviceId] || (this._flexState[entry.deviceId] = { deadline: null, ranMs: 0, doneWh: 0, on: false });
+      st.name = entry.name;
+      const profile = this._loadProfiles[entry.deviceId];
+      const cfg = flexConfig(entry, isConfident(profile) ? profile.onW : null);
+      const deadline = nextDeadline(now, cfg.deadline, localMin);
+
+      // A new job starts when the previous deadline has passed
+      if (st.deadline == null || now >= st.deadline) {
+        if (st.deadline != null) {
+          const leftH = remainingH(cfg, st);
+          const msg = leftH > 0
+            ? `Flexible load ${entry.name}: job missed its deadline with ${Math.round(leftH * 60)} min left`
+            : `Flexible load ${entry.name}: job done`;
+          this.log(`[FlexLoad] ${msg}`);
+          this._appLogEntry('energy', msg);
+        }
+        Object.assign(st, { deadline, ranMs: 0, doneWh: 0 });
+        this._persistFlexState();
+      } else if (st.deadline !== deadline) {
+        st.deadline = deadline;   // deadline setting changed — the job keeps its progress
+      }
+
+      if (mitigated.has(entry.deviceId)) {
+        Object.assign(st, { state: 'mitigated', lastTickAt: now });
+        continue;
+      }
+
+      // Progress since the last tick
+      const liveW = this._powerConsumptionData[entry.deviceId]?.current;
+      if (st.on && st.lastTickAt) {
+        const dt = Math.min(now - st.lastTickAt, 120000);
+        const running = Number.isFinite(liveW) ? liveW >= ON_MIN_W : true;
+        if (running) {
+          st.ranMs += dt;
+          st.doneWh += (Number.isFinite(liveW) ? liveW : cfg.powerW) * dt / 3600000;
+        }
+      }
+      st.lastTickAt = now;
+
+      const needH = remainingH(cfg, st);
+      st.plan = planFlexLoad(slots, now, st.deadline, needH, cfg, limitW);
+      let want = needH > 0 && inPlan(st.plan, now);
+      let state = needH <= 0 ? 'done' : want ? (st.plan.forced ? 'running (deadline)' : 'running') : 'planned';
+      // Never interrupt a continuous run
+      if (cfg.continuous && st.on && needH > 0) { want = true; state = 'running'; }
+      if (!this._settings.enabled && !st.on) { want = false; state = 'guard disabled'; }
+      if (want && !st.on && powerW + cfg.powerW > limitW) { want = false; state = 'waiting for headroom'; }
+      st.state = state;
+
+      if (want !== st.on) {
+        await this._setFlexLoad(entry, st, want, state)
+          .catch(err => this.error(`[FlexLoad] ${entry.name} → ${want ? 'on' : 'off'} failed:`, err.message || err));
+      } else if (now - (this._flexSavedAt || 0) > 10 * 60000) {
+        this._persistFlexState();
+      }
+    }
+  }
+
+  async _setFlexLoad(entry, st, on, reason) {
+    const device = await withTimeout(this._api.devices.getDevice({ id: entry.deviceId }), 10000, `getDevice(${entry.deviceId})`);
+    if (!device) return;
+    if (!(device.capabilities || []).includes('onoff')) {
+      st.state = 'no on/off';
+      return;
+    }
+    await device.setCapabilityValue({ capabilityId: 'onoff', value: on });
+    st.on = on;
+    this._persistFlexState();
+    this.log(`[FlexLoad] ${entry.name} → ${on ? 'ON' : 'OFF'} (${reason}, ${Math.round(st.ranMs / 60000)} min / ${Math.round(st.doneWh)} Wh done)`);
+    this._appLogEntry('energy', `Flexible load ${entry.name}: ${on ? 'on' : 'off'} — ${reason}`);
+  }
+
+  _getFlexLoadStatus() {
+    const now = Date.now();
+    return this._flexLoadEntries()
+      .filter(e => this._flexState[e.deviceId])
+      .map(e => {
+        const st = this._flexState[e.deviceId];
+        const profile = this._loadProfiles[e.deviceId];
+        const cfg = flexConfig(e, isConfident(profile) ? profile.onW : null);
+        const plan = st.plan || { windows: [], complete: true, forced: false };
+        return {
+          deviceId: e.deviceId,
+          name: e.name,
+          on: !!st.on,
+          state: st.state || null,
+          deadline: st.deadline,
+          remainingMin: Math.round(remainingH(cfg, st) * 60),
+          windows: plan.windows.filter(w => w.end > now).slice(0, 4),
+          complete: plan.complete,
+          forced: plan.forced,
+        };
+      });
+  }
+
 }
 
 module.exports = PowerGuardApp;
@@ -0,0 +1,184 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/capacity-tariff.js  —  CAPACITY TARIFF (EFFEKTLEDD) SCHEMES
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Which tier am I in this month, and what does it cost?"
+//
+// Scheme structure (presets in CAPACITY_TARIFF_SCHEMES in constants.js;
+// selection stored under homey.settings key 'capacityTariff'):
+// {
+//   label: 'Snitt av 3 høyeste døgnmaks',
+//   currency: 'NOK',                // pricePerMonth / pricePerKW currency
+//   intervalMinutes: 60,            // measurement period: 60 or 15
+//   aggregation: { rule: 'topDailyAvg', count: 3 },
+//                                   // 'topDailyAvg' — average of the `count` highest
+//                                   //                 daily peaks (max one per day)
+//                                   // 'max'         — highest single period of the month
+//   peakWindow: {                   // optional — only periods inside count as peaks
+//     months: [1, 2, 3, 11, 12], dayTypes: ['weekday'], from: '07:00', to: '21:00',
+//     holidays: 'NO',               // calendar for the 'holiday' day type
+//   },
+//   seasons: [                      // optional — price factor per month group
+//     { months: [4, 5, 6, 7, 8, 9, 10], priceFactor: 0.5 },
+//   ],
+//   tiers: [                        // ascending; last maxKW = null (no upper bound)
+//     { maxKW: 2, label: '0–2 kW', pricePerMonth: 200 },
+//     { maxKW: null, label: '≥ 2 kW', pricePerMonth: 200, pricePerKW: 40 },
+//   ],
+// }
+//
+// Monthly charge = (tier.pricePerMonth + tier.pricePerKW × monthlyKW) × season factor.
+// ══════════════════════════════════════════════════════════════════
+
+const { localParts, dayType, DAY_TYPES } = require('./grid-tariff');
+
+const AGGREGATION_RULES = ['topDailyAvg', 'max'];
+
+function _toMinutes(hhmm) {
+  const parts = String(hhmm || '').split(':');
+  return parseInt(parts[0], 10) * 60 + parseInt(parts[1] || '0', 10);
+}
+
+/**
+ * Whether a measurement period starting at `date` counts towards the peak.
+ * Schemes without a peakWindow count every period.
+ */
+function inPeakWindow(scheme, date, timeZone) {
+  const w = scheme.peakWindow;
+  if (!w) return true;
+  const parts = localParts(date, timeZone);
+  if (Array.isArray(w.months) && w.months.length && !w.months.includes(parts.month)) return false;
+  if (Array.isArray(w.dayTypes) && w.dayTypes.length && !w.dayTypes.includes(dayType(parts, w))) return false;
+  if (w.from && w.to) {
+    const from = _toMinutes(w.from), to = _toMinutes(w.to);
+    const inside = from <= to
+      ? parts.minutes >= from && parts.minutes < to
+      : parts.minutes >= from || parts.minutes < to;
+    if (!inside) return false;
+  }
+  return true;
+}
+
+/** Tier covering `kw` — tiers are matched on kw < maxKW, last tier is open-ended. */
+function tierFor(scheme, kw) {
+  const tiers = scheme.tiers;
+  for (let i = 0; i < tiers.length; i++) {
+    const max = tiers[i].maxKW;
+    if (max == null || kw < max) return Object.assign({ index: i }, tiers[i]);
+  }
+  return Object.assign({ index: tiers.length - 1 }, tiers[tiers.length - 1]);
+}
+
+/** Price factor for the month (1-12) from scheme.seasons, 1 when none match. */
+function seasonFactor(scheme, month) {
+  for (const s of scheme.seasons || []) {
+    if (Array.isArray(s.months) && s.months.includes(month)) return Number(s.priceFactor) || 0;
+  }
+  return 1;
+}
+
+/**
+ * Evaluate a month of daily peaks against a scheme.
+ *
+ * @param {object} scheme
+ * @param {Array<{date: string, kw: number}>} peaks - one entry per day (the day's highest period)
+ * @param {number} month - 1-12, selects the season factor
+ * @returns {{ monthlyKW: number, counted: Array<{date: string, kw: number}>, tier: object, monthlyCharge: number }}
+ */
+function evaluateScheme(scheme, peaks, month) {
+  const sorted = peaks.slice().sort((a, b) => b.kw - a.kw);
+  const agg = scheme.aggregation || {};
+  const count = agg.rule === 'max' ? 1 : Math.max(1, Number(agg.count) || 3);
+  const counted = sorted.slice(0, count);
+  const monthlyKW = counted.length > 0
+    ? counted.reduce((sum, p) => sum + p.kw, 0) / counted.length
+    : 0;
+  const tier = tierFor(scheme, monthlyKW);
+  const base = (Number(tier.pricePerMonth) || 0) + (Number(tier.pricePerKW) || 0) * monthlyKW;
+  return { monthlyKW, counted, tier, monthlyCharge: base * seasonFactor(scheme, month) };
+}
+
+/**
+ * Tier guard: highest daily peak (kW) the remaining days of the month may reach
+ * while the month's capacity metric stays below targetKW.
+ *
+ * Worst case is assumed — every remaining day (today included) peaks at the
+ * ceiling. Today's recorded peak is already spent, so periods up to it are free.
+ * Past days below the final top-N no longer matter, which is how the ceiling
+ * rises late in the month or after today's peak can no longer enter the top N.
+ *
+ * @param {object} scheme
+ * @param {object} opts
+ * @param {number[]} opts.otherPeaks    - daily peaks (kW) of earlier days this month
+ * @param {number}   opts.todayPeakKW   - today's peak so far
+ * @param {number}   opts.remainingDays - days left in the month, today included
+ * @param {number}   opts.targetKW      - tier boundary to stay below
+ * @returns {{ ceilingKW: number, feasible: boolean }}
+ *   feasible=false when earlier days already put the metric at or above the target;
+ *   the ceiling then keeps today out of the top N so the metric gets no worse.
+ */
+function guardCeilingKW(scheme, opts) {
+  const agg = scheme.aggregation || {};
+  const n = agg.rule === 'max' ? 1 : Math.max(1, Number(agg.count) || 3);
+  const others = opts.otherPeaks.filter(Number.isFinite).sort((a, b) => b - a);
+  const todayPeak = Math.max(0, Number(opts.todayPeakKW) || 0);
+  const futureDays = Math.max(0, Math.min(n, opts.remainingDays) - 1);
+  // Sum of the top N once today ends at max(c, todayPeak) and future days at c
+  const topSum = (c) => {
+    const all = others.concat([Math.max(c, todayPeak)], new Array(futureDays).fill(c));
+    return all.sort((a, b) => b - a).slice(0, n).reduce((sum, kw) => sum + kw, 0);
+  };
+  const limit = n * opts.targetKW - 1e-3;  // tiers match on kw < maxKW
+  if (topSum(0) > limit) {
+    const nth = others.length >= n ? others[n - 1] : 0;
+    return { ceilingKW: Math.max(nth, todayPeak), feasible: false };
+  }
+  let lo = 0, hi = Math.max(opts.targetKW * n, todayPeak);
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (topSum(mid) <= limit) lo = mid; else hi = mid;
+  }
+  return { ceilingKW: Math.max(lo, todayPeak), feasible: true };
+}
+
+/**
+ * Validate a scheme definition.
+ * Returns { ok: true } or { ok: false, error: "..." }
+ */
+function validateScheme(scheme) {
+  if (!scheme || typeof scheme !== 'object') return { ok: false, error: 'Not an object' };
+  if (![15, 60].includes(Number(scheme.intervalMinutes))) return { ok: false, error: 'intervalMinutes must be 15 or 60' };
+  const agg = scheme.aggregation;
+  if (!agg || !AGGREGATION_RULES.includes(agg.rule)) return { ok: false, error: `aggregation.rule must be one of ${AGGREGATION_RULES.join(', ')}` };
+  if (agg.rule === 'topDailyAvg' && !(Number.isInteger(agg.count) && agg.count >= 1 && agg.count <= 31)) return { ok: false, error: 'aggregation.count must be 1–31' };
+  if (!Array.isArray(scheme.tiers) || !scheme.tiers.length) return { ok: false, error: 'tiers must be a non-empty array' };
+  let prev = 0;
+  for (const [i, t] of scheme.tiers.entries()) {
+    if (!t || typeof t.label !== 'string') return { ok: false, error: `tiers[${i}]: label is required` };
+    if (t.pricePerMonth != null && !Number.isFinite(t.pricePerMonth)) return { ok: false, error: `tiers[${i}]: pricePerMonth must be a number` };
+    if (t.pricePerKW != null && !Number.isFinite(t.pricePerKW)) return { ok: false, error: `tiers[${i}]: pricePerKW must be a number` };
+    const last = i === scheme.tiers.length - 1;
+    if (t.maxKW == null) {
+      if (!last) return { ok: false, error: `tiers[${i}]: only the last tier may omit maxKW` };
+    } else if (!Number.isFinite(t.maxKW) || t.maxKW <= prev) {
+      return { ok: false, error: `tiers[${i}]: maxKW must be ascending` };
+    } else {
+      prev = t.maxKW;
+    }
+  }
+  const w = scheme.peakWindow;
+  if (w) {
+    if ((w.from && !w.to) || (!w.from && w.to)) return { ok: false, error: 'peakWindow: from and to must be set together' };
+    if (w.from && (!/^\d{1,2}:\d{2}$/.test(w.from) || !/^\d{1,2}:\d{2}$/.test(w.to))) return { ok: false, error: 'peakWindow: from/to must be HH:MM' };
+    if (w.months && (!Array.isArray(w.months) || w.months.some(m => !(m >= 1 && m <= 12)))) return { ok: false, error: 'peakWindow: months must be 1–12' };
+    if (w.dayTypes && (!Array.isArray(w.dayTypes) || w.dayTypes.some(d => !DAY_TYPES.includes(d)))) return { ok: false, error: 'peakWindow: dayTypes must be weekday/weekend/holiday' };
+  }
+  for (const [i, s] of (scheme.seasons || []).entries()) {
+    if (!s || !Array.isArray(s.months) || !Number.isFinite(s.priceFactor)) return { ok: false, error: `seasons[${i}]: months and priceFactor are required` };
+  }
+  return { ok: true };
+}
+
+module.exports = { evaluateScheme, guardCeilingKW, inPeakWindow, tierFor, seasonFactor, validateScheme, AGGREGATION_RULES };
@@ -0,0 +1,128 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/circuit-groups.js  —  SUB-CIRCUIT / DEVICE-GROUP LIMITS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Is the garage sub-panel over its own fuse, and does this
+// device still fit on its circuit if we turn it back on?"
+//
+// Setting circuitGroups — [{ id, name, members: [deviceId], limitA, limitW, phases }]:
+//   limitW — the group's limit in W, against the members' summed draw
+//   limitA — when no limitW: the fuse in A, checked per line like the phase
+//            limits (common/phase-guard.js). A 1-phase circuit (phases 1)
+//            carries all its members on its one line (or line pair on IT
+//            grids) at W / 230 V; a 3-phase circuit adds each member on its
+//            own lines at the grid type's per-line current, and members of
+//            unknown phase on every line — they may sit on any of them.
+//
+// A group's load is the summed live draw of its members (each device's
+// measure_power; chargers their reported charging power). Devices without
+// a reading count as 0 — a group is only as good as its members' meters.
+// Groups over their limit are shed from their own members, with the same
+// hysteresis and plan as the site limit; restores and charger ramp-ups
+// only go ahead when the device fits in every group it belongs to.
+//
+// overW is in the unit the shed plan works in: W of the members' draw for
+// W limits and 1-phase A limits, phase W (A × 230 V) on the fullest line
+// (`phase`) for 3-phase A limits.
+// ══════════════════════════════════════════════════════════════════
+
+const { phaseDrawA, wattsPerLineA, PHASES, PHASE_VOLTAGE } = require('./phase-guard');
+
+const GROUP_RESTORE_MARGIN_W = 230;     // restore / ramp only with this much left in the group
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/** Usable groups from the setting: with members and a limit (limitW wins over limitA). */
+function normalizeGroups(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter(g => g && Array.isArray(g.members) && g.members.length && (positive(g.limitW) || positive(g.limitA)))
+    .map((g, i) => {
+      const limitW = positive(g.limitW);
+      return {
+        id: String(g.id || `group${i + 1}`),
+        name: g.name || `Circuit ${i + 1}`,
+        members: g.members.slice(),
+        limitW,
+        limitA: limitW ? null : positive(g.limitA),
+        phases: Number(g.phases) === 3 ? 3 : 1,
+      };
+    });
+}
+
+/**
+ * Live load of every group.
+ * @param {Array} groups - normalizeGroups()
+ * @param {function(string): number} drawOf - live W of a device (0 when unknown)
+ * @param {function(string): (number[]|null)} [phasesOf] - lines a device sits on, null = unknown
+ * @param {string} [grid] - 'tn' | 'it'
+ * @returns {Array<{ id: string, name: string, members: string[], limitW: number|null, limitA: number|null,
+ *   loadW: number, loadA: number|null, lineA: object|null, phase: number|null, overW: number }>}
+ *   overW > 0 when over the limit; lineA per line for 3-phase A limits
+ */
+function groupLoads(groups, drawOf, phasesOf = () => null, grid) {
+  return groups.map(g => {
+    const draws = g.members.map(id => ({ id, w: Math.max(0, Number(drawOf(id)) || 0) }));
+    const loadW = Math.round(draws.reduce((sum, d) => sum + d.w, 0));
+    if (g.limitW != null) return { ...g, loadW, loadA: null, lineA: null, phase: null, overW: Math.round(loadW - g.limitW) };
+    if (g.phases !== 3) {
+      const loadA = loadW / PHASE_VOLTAGE;
+      return { ...g, loadW, loadA: round1(loadA), lineA: null, phase: null, overW: Math.round((loadA - g.limitA) * PHASE_VOLTAGE) };
+    }
+    const lineA = { 1: 0, 2: 0, 3: 0 };
+    for (const d of draws) {
+      const phases = phasesOf(d.id);
+      const a = phaseDrawA(d.w, phases, grid);
+      for (const p of phases || PHASES) lineA[p] += a;
+    }
+    const phase = PHASES.reduce((worst, p) => (lineA[p] > lineA[worst] ? p : worst), 1);
+    return {
+      ...g, loadW, loadA: round1(lineA[phase]), lineA, phase,
+      overW: Math.round((lineA[phase] - g.limitA) * PHASE_VOLTAGE),
+    };
+  });
+}
+
+/** Groups over their limit, worst first. */
+function groupOverloads(loads) {
+  return loads.filter(g => g.overW > 0).sort((a, b) => b.overW - a.overW);
+}
+
+/**
+ * Smallest room left in the groups a device belongs to, as W of that device's
+ * draw (A limits: the room on its lines, all of them when unknown); Infinity
+ * when it is in none.
+ */
+function groupRoomW(loads, deviceId, phases = null, grid) {
+  let room = Infinity;
+  for (const g of loads) {
+    if (!g.members.includes(deviceId)) continue;
+    if (g.limitW != null) {
+      room = Math.min(room, g.limitW - g.loadW);
+    } else if (!g.lineA) {
+      room = Math.min(room, (g.limitA - g.loadW / PHASE_VOLTAGE) * PHASE_VOLTAGE);
+    } else {
+      const roomA = Math.min(...(phases || PHASES).map(p => g.limitA - g.lineA[p]));
+      room = Math.min(room, roomA * wattsPerLineA(phases, grid));
+    }
+  }
+  return room;
+}
+
+/** Whether drawW more from the device fits in all its groups with GROUP_RESTORE_MARGIN_W to spare. */
+function restoreFitsGroups(loads, deviceId, drawW, phases = null, grid) {
+  return groupRoomW(loads, deviceId, phases, grid) - drawW >= GROUP_RESTORE_MARGIN_W;
+}
+
+module.exports = {
+  normalizeGroups, groupLoads, groupOverloads, groupRoomW, restoreFitsGroups,
+  GROUP_RESTORE_MARGIN_W,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/comfort.js  —  THERMOSTAT COMFORT BOUNDS & ROTATION
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "How far may this room be turned down, for how long, and
+// which room should give up heat next?"
+//
+// Priority-list entry (action 'target_temperature'), all optional:
+//   comfortMinTemp       — °C the setpoint never goes below; the room is released
+//                          when measure_temperature falls below it
+//   comfortMaxReductionC — °C below the original setpoint at most; also rules out
+//                          step 2 (switching the thermostat off)
+//   comfortMaxReducedMin — minutes a room stays reduced before it is released and
+//                          rests for as long again (REST_MIN at least)
+//
+// Rotation: thermostats share the load. Their slots in the mitigation order
+// are refilled warmest-first — the room furthest above its minimum (or
+// ROTATION_REF_C) goes first — with ROTATION_PENALTY_C subtracted for every
+// ROTATION_PENALTY_MIN it has spent reduced within ROTATION_WINDOW.
+// ══════════════════════════════════════════════════════════════════
+
+const STEP_C = 3;                       // one mitigation step
+const ABS_FLOOR_C = 5;                  // never below this, bounds or not
+const OFF_MARGIN_C = 0.5;               // step 2 (off) needs the room this far above its minimum
+const REST_MIN = 15;
+const ROTATION_REF_C = 18;              // reference when no minimum is configured
+const ROTATION_WINDOW_MS = 6 * 3600 * 1000;
+const ROTATION_PENALTY_MIN = 30;
+const ROTATION_PENALTY_C = 1;
+
+function comfortConfig(entry) {
+  const num = (v) => (v === '' || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  return {
+    minTemp: num(entry.comfortMinTemp),
+    maxReductionC: num(entry.comfortMaxReductionC),
+    maxReducedMin: num(entry.comfortMaxReducedMin),
+  };
+}
+
+/** Lowest setpoint allowed given the original (pre-mitigation) setpoint. */
+function floorTemp(cfg, originalTarget) {
+  let floor = ABS_FLOOR_C;
+  if (cfg.minTemp != null) floor = Math.max(floor, cfg.minTemp);
+  if (cfg.maxReductionC != null && Number.isFinite(originalTarget)) floor = Math.max(floor, originalTarget - cfg.maxReductionC);
+  return floor;
+}
+
+/** Next setpoint one step down, or null when already at the floor. */
+function nextSetpoint(currentTarget, floor) {
+  if (!Number.isFinite(currentTarget) || currentTarget <= floor) return null;
+  return Math.max(floor, currentTarget - STEP_C);
+}
+
+/** Whether step 2 (switching the thermostat off) stays within the bounds. */
+function allowOff(cfg, measureT) {
+  if (cfg.maxReductionC != null) return false;
+  if (cfg.minTemp == null) return true;
+  return Number.isFinite(measureT) && measureT > cfg.minTemp + OFF_MARGIN_C;
+}
+
+/**
+ * Why a reduced room must be released now, if at all.
+ * @param {object} cfg
+ * @param {{ measureT: number|null, reducedSince: number, now: number }} st
+ * @returns {'min temp'|'max time'|null}
+ */
+function releaseReason(cfg, st) {
+  if (cfg.minTemp != null && Number.isFinite(st.measureT) && st.measureT < cfg.minTemp) return 'min temp';
+  if (cfg.maxReducedMin != null && cfg.maxReducedMin > 0 && st.now - st.reducedSince >= cfg.maxReducedMin * 60000) return 'max time';
+  return null;
+}
+
+/** Rest after a release: as long as the allowed reduced time, REST_MIN at least (ms). */
+function restMs(cfg) {
+  return Math.max(REST_MIN, cfg.maxReducedMin || 0) * 60000;
+}
+
+/** ms reduced within ROTATION_WINDOW. intervals: [{ from, to|null }] (open = still reduced). */
+function reducedMsInWindow(intervals, now) {
+  const start = now - ROTATION_WINDOW_MS;
+  let ms = 0;
+  for (const iv of intervals || []) {
+    const to = iv.to == null ? now : iv.to;
+    if (to > start) ms += to - Math.max(iv.from, start);
+  }
+  return ms;
+}
+
+/** Rotation score: higher = gives up heat first. */
+function rotationScore(cfg, measureT, reducedMs) {
+  const ref = cfg.minTemp != null ? cfg.minTemp : ROTATION_REF_C;
+  const margin = Number.isFinite(measureT) ? measureT - ref : 0;
+  return margin - (reducedMs / (ROTATION_PENALTY_MIN * 60000)) * ROTATION_PENALTY_C;
+}
+
+/**
+ * Refill the thermostats' slots in the mitigation order by rotation score,
+ * leaving every other entry where it is.
+ * @param {object[]} ordered - entries in mitigation order
+ * @param {function(object): number} scoreOf
+ * @returns {object[]}
+ */
+function rotateThermostats(ordered, scoreOf) {
+  const slots = [];
+  ordered.forEach((e, i) => { if (e.action === 'target_temperature') slots.push(i); });
+  if (slots.length < 2) return ordered;
+  const rooms = slots.map(i => ordered[i]);
+  const scored = rooms.map((e, i) => ({ e, i, s: scoreOf(e) }))
+    .sort((a, b) => (b.s - a.s) || (a.i - b.i));
+  const out = ordered.slice();
+  slots.forEach((slot, k) => { out[slot] = scored[k].e; });
+  return out;
+}
+
+module.exports = {
+  comfortConfig, floorTemp, nextSetpoint, allowOff, releaseReason, restMs,
+  reducedMsInWindow, rotationScore, rotateThermostats,
+  STEP_C, ABS_FLOOR_C,
+};
@@ -4,12 +4,16 @@
 // common/constants.js  —  SHARED CONSTANTS
 // ══════════════════════════════════════════════════════════════════
 //
-//  PROFILES           — normal / strict / solar
+//  PROFILES           — normal / strict / solar (solar also dispatches surplus loads, Section 14)
 //  DEFAULT_SETTINGS   — full settings object defaults
 //  ACTIONS            — action type identifiers (target_temperature, hoiax_power, etc.)
 //  HOIAX_POWER_STEPS  — [B] Water heater step-down levels per model
 //  CHARGER_DEFAULTS   — [C] EV charger min/start current defaults
 //  EFFEKT_TIERS       — Norwegian capacity tariff tier thresholds (kW)
+//  CAPACITY_TARIFF_SCHEMES — capacity tariff presets (tiers, aggregation, interval)
+//  PRICE_ZONES        — bidding zone → country / currency / timezone
+//  PRICE_CURRENCIES   — currency → subunit and price-threshold scale
+//  GRID_TARIFF_DEFAULTS — nettleie model (energy part, fees, VAT)
 //  MITIGATION_LOG_MAX — max entries kept in mitigation log
 //
 //  ✅ STABLE — DO NOT TOUCH unless adding a new device type
@@ -41,12 +45,22 @@ const DEFAULT_SETTINGS = {
   cooldownSeconds: 30,      // min seconds between mitigation steps
   errorMarginPercent: 0,    // reduce effective limit by this % as safety buffer (0 = disabled)
   missingPowerTimeoutS: 120, // seconds with no HAN reading before forcing mitigation (0 = disabled)
+  forecastLeadMin: 2,       // mitigate when the load forecast crosses the limit this many minutes ahead (0 = disabled)
+  dutyCycleSlotMin: 15,     // rotate which heaters are held off in slots of this many minutes (0 = disabled)
   dynamicRestoreGuard: true, // scale restore cooldown with time left in the hour
   dynamicHourlyBudget: false, // allow higher power mid-hour when hourly budget allows it
   evHeadroomW: 0,           // watts to reserve for household before allowing EV ramp-up (0 = disabled)
+  tierGuardEnabled: false,  // derive the power limit from the capacity tariff target tier
+  tierGuardTargetKW: 5,     // tier boundary to stay below (monthly capacity metric, kW)
+  solarMinSurplusW: 500,    // solar profile: export left over before a surplus load is switched on
+  solarMaxImportW: 300,     // solar profile: import tolerated while surplus loads run
   voltageSystem: 'auto',   // 'auto' | '230v-1phase' | '400v-3phase'
+  gridType: 'auto',         // per-line current math: 'auto' | 'tn' (230 V to neutral) | 'it' (230 V between lines)
   phaseDistribution: 'balanced',  // charger phase distribution
   mainCircuitA: 25,               // main circuit breaker amperage
+  fuseCurve: 'off',               // main breaker trip curve for the fuse model: 'off' | 'B' | 'C'
+  limitSchedule: { enabled: false, periods: [] }, // time-of-day limits (common/limit-schedule.js)
+  circuitGroups: [],        // [{id, name, members: [deviceId], limitA, limitW, phases}] — sub-circuit limits
   priorityList: [],         // [{deviceId, name, priority, action, minRuntimeSeconds, minOffTimeSeconds}]
 };
 
@@ -57,6 +71,7 @@ const ACTIONS = {
   CHARGE_PAUSE: 'charge_pause',  // uses onoff for chargers that support it
   DYNAMIC_CURRENT: 'dynamic_current',
   HOIAX_POWER: 'hoiax_power',   // stepped power reduction for Høiax water heaters
+  BATTERY: 'battery',           // home battery setpoint — handled in app.js Section 15, not here
 };
 
 // Høiax stepped power levels: step down one level per mitigation cycle
@@ -86,6 +101,7 @@ const CHARGER_DEFAULTS = {
 // Norwegian effekttariff (capacity tariff) — tier thresholds in kW
 // Determines the monthly grid capacity charge based on average of 3 highest daily peaks.
 // Source: NVE standard thresholds used by most Norwegian DSOs.
+// Tier table of the default capacity tariff scheme (see CAPACITY_TARIFF_SCHEMES).
 const EFFEKT_TIERS = [
   { maxKW:  2, label: '0–2 kW',   index: 0 },
   { maxKW:  5, label: '2–5 kW',   index: 1 },
@@ -96,6 +112,63 @@ const EFFEKT_TIERS = [
   { maxKW: Infinity, label: '≥ 25 kW', index: 6 },
 ];
 
+// Capacity tariff schemes — evaluated by common/capacity-tariff.js.
+// Selected per installation under Homey settings key 'capacityTariff'
+// ({ schemeId, custom }); schemeId 'custom' uses the user-defined scheme.
+// Monthly prices are EXAMPLE values — replace them with your DSO's tariff.
+const _NVE_TIER_PRICES = [200, 340, 550, 810, 1070, 1330, 2200];  // NOK/month incl. VAT
+const _NVE_TIERS = EFFEKT_TIERS.map((t, i) => ({
+  maxKW: t.maxKW === Infinity ? null : t.maxKW,
+  label: t.label,
+  pricePerMonth: _NVE_TIER_PRICES[i],
+}));
+
+const CAPACITY_TARIFF_SCHEMES = {
+  nve_top3: {
+    label: 'Snitt av 3 høyeste døgnmaks (NVE-standard)',
+    currency: 'NOK',
+    intervalMinutes: 60,
+    aggregation: { rule: 'topDailyAvg', count: 3 },
+    tiers: _NVE_TIERS,
+  },
+  nve_top3_15min: {
+    label: 'Snitt av 3 høyeste døgnmaks, 15-minutters måling',
+    currency: 'NOK',
+    intervalMinutes: 15,
+    aggregation: { rule: 'topDailyAvg', count: 3 },
+    tiers: _NVE_TIERS,
+  },
+  monthly_max: {
+    label: 'Høyeste time i måneden',
+    currency: 'NOK',
+    intervalMinutes: 60,
+    aggregation: { rule: 'max' },
+    tiers: _NVE_TIERS,
+  },
+  winter_weekday_top3: {
+    label: 'Snitt av 3 døgnmaks, hverdager 07–21, vinterpris',
+    currency: 'NOK',
+    intervalMinutes: 60,
+    aggregation: { rule: 'topDailyAvg', count: 3 },
+    peakWindow: { dayTypes: ['weekday'], from: '07:00', to: '21:00', holidays: 'NO' },
+    seasons: [{ months: [4, 5, 6, 7, 8, 9, 10], priceFactor: 0.5 }],
+    tiers: _NVE_TIERS,
+  },
+};
+
+const CAPACITY_TARIFF_DEFAULTS = {
+  schemeId: 'nve_top3',
+  custom: CAPACITY_TARIFF_SCHEMES.nve_top3,  // Starting point when switching to 'custom'
+};
+
+// ── Meter topology ───────────────────────────────────────────────────────────
+// Several meters combined into one site power signal — see common/meter-topology.js.
+// Disabled = the single meter picked by _connectToHAN (auto-detect or selectedMeterDeviceId).
+const METER_TOPOLOGY_DEFAULTS = {
+  enabled: false,
+  sources: [],  // [{ deviceId, name, op: 'add'|'subtract', phaseMap?: [1,2,3], staleAfterS?, onStale? }]
+};
+
 // ── Mode engine ──────────────────────────────────────────────────────────────
 const MODES = {
   HOME:    'home',
@@ -116,22 +189,86 @@ const MODES_DEFAULTS = {
     toMM: 0,
   },
   devicePrefs: {},
+  modeLimits: {},     // mode → power limit (W) overriding the schedule; absent = no override
+};
+
+// ── Price zones & currencies ─────────────────────────────────────────────────
+// Bidding zone → country, currency and local timezone. Used when the
+// currency / timeZone fields in PRICE_DEFAULTS are left null (= follow the zone).
+const PRICE_ZONES = {
+  NO1: { country: 'NO', currency: 'NOK', timeZone: 'Europe/Oslo',      label: 'Øst-Norge' },
+  NO2: { country: 'NO', currency: 'NOK', timeZone: 'Europe/Oslo',      label: 'Sør-Norge' },
+  NO3: { country: 'NO', currency: 'NOK', timeZone: 'Europe/Oslo',      label: 'Midt-Norge' },
+  NO4: { country: 'NO', currency: 'NOK', timeZone: 'Europe/Oslo',      label: 'Nord-Norge' },
+  NO5: { country: 'NO', currency: 'NOK', timeZone: 'Europe/Oslo',      label: 'Vest-Norge' },
+  SE1: { country: 'SE', currency: 'SEK', timeZone: 'Europe/Stockholm', label: 'Luleå' },
+  SE2: { country: 'SE', currency: 'SEK', timeZone: 'Europe/Stockholm', label: 'Sundsvall' },
+  SE3: { country: 'SE', currency: 'SEK', timeZone: 'Europe/Stockholm', label: 'Stockholm' },
+  SE4: { country: 'SE', currency: 'SEK', timeZone: 'Europe/Stockholm', label: 'Malmö' },
+  DK1: { country: 'DK', currency: 'DKK', timeZone: 'Europe/Copenhagen', label: 'Vestdanmark' },
+  DK2: { country: 'DK', currency: 'DKK', timeZone: 'Europe/Copenhagen', label: 'Østdanmark' },
+};
+
+// Currency → subunit name, subunits per unit, and threshold scale.
+// The price engine's level/charge-mode thresholds were tuned in NOK øre;
+// thresholdScale converts them (≈ value of 1 NOK øre in this subunit).
+const PRICE_CURRENCIES = {
+  NOK: { subunit: 'øre',  perUnit: 100, thresholdScale: 1.0 },
+  SEK: { subunit: 'öre',  perUnit: 100, thresholdScale: 0.95 },
+  DKK: { subunit: 'øre',  perUnit: 100, thresholdScale: 0.65 },
+  EUR: { subunit: 'cent', perUnit: 100, thresholdScale: 0.085 },
 };
 
 // Spot price engine defaults
 // Changing 'enabled' to true in settings activates price-based charger capping.
 const PRICE_DEFAULTS = {
   enabled: false,          // Off by default — user must opt in
-  priceArea: 'NO4',        // NO1–NO5
+  priceArea: 'NO4',        // Bidding zone: NO1–NO5, SE1–SE4, DK1–DK2 (see PRICE_ZONES)
+  currency: null,          // NOK / SEK / DKK / EUR — null = currency of the bidding zone
+  currencySubunit: null,   // Display name of the subunit (øre/öre/cent) — null = from PRICE_CURRENCIES
+  timeZone: null,          // IANA timezone for local hours/dates — null = timezone of the bidding zone
+  thresholdScale: null,    // Override level/charge-mode threshold scale — null = from PRICE_CURRENCIES
+  // All *Ore price fields below and in the price state are in the currency's subunit per kWh
   nightDiscountOre: 12,    // Nettleie night discount subtracted from spot (øre/kWh)
   nightStartHour: 22,
   nightEndHour: 6,
   lookaheadHours: 18,      // How many hours ahead to analyse
-  cheapHoursTarget: 6,     // Number of hours counted as "cheapest" in window
+  cheapHoursTarget: 6,     // Hours counted as "cheapest" in window (covered by 60- or 15-min slots)
   capLav: 0.5,             // Charger current cap when mode=lav  (fraction of circuit limit)
   capMaks: 1.0,            // Charger current cap when mode=maks (no extra restriction)
   norgesprisEnabled: false, // Apply Norwegian Norgespris flat-rate scheme
   norgesprisFlatOre: 50,    // Fixed price you pay: 50 øre incl. VAT (40 in Nordland/Troms/Finnmark)
+  // Spot price source — see common/price-providers.js
+  priceProvider: 'hvakosterstrommen',   // hvakosterstrommen / nordpool / entsoe / tibber / file
+  priceProviderFallback: ['nordpool'],  // Tried in order when the primary fails or has no data
+  entsoeToken: '',          // ENTSO-E Transparency Platform security token
+  eurExchangeRate: 11.5,    // EUR → local currency, for ENTSO-E prices quoted in EUR/MWh
+  tibberToken: '',          // Bearer token for the Tibber-style GraphQL endpoint
+  tibberUrl: 'https://api.tibber.com/v1-beta/gql',
+  tibberHomeId: '',         // Optional — first home with a subscription is used when empty
+  priceFilePath: '/userdata/prices.json', // Local JSON/CSV price file
+};
+
+// Grid tariff (nettleie) model — stored under Homey settings key 'gridTariff'.
+// Evaluated by common/grid-tariff.js; when enabled, replaces nightDiscountOre and
+// turns adjustedOre into the all-in price. Rates are EXAMPLE values — replace them
+// with your DSO's published tariff. Amounts in the currency subunit per kWh, excl. VAT.
+const GRID_TARIFF_DEFAULTS = {
+  enabled: false,
+  dsoName: '',
+  vatPercent: 25,          // 0 in Nordland/Troms/Finnmark
+  markupOre: 0,            // Supplier påslag
+  holidays: 'NO',          // Public holiday calendar billed as holiday: NO / SE / DK / null
+  extraHolidays: [],       // Extra 'YYYY-MM-DD' dates billed as holiday
+  energyRates: [           // First matching rule wins
+    { label: 'Natt/helg', dayTypes: ['weekend', 'holiday'], ore: 28.0 },
+    { label: 'Natt/helg', from: '22:00', to: '06:00', ore: 28.0 },
+    { label: 'Dag', ore: 38.0 },
+  ],
+  fees: [
+    { label: 'Forbruksavgift', ore: 16.93 },
+    { label: 'Enova', ore: 1.0 },
+  ],
 };
 
-module.exports = { PROFILES, PROFILE_LIMIT_FACTOR, DEFAULT_SETTINGS, ACTIONS, HOIAX_POWER_STEPS, MITIGATION_LOG_MAX, CHARGER_DEFAULTS, EFFEKT_TIERS, PRICE_DEFAULTS, MODES, MODES_DEFAULTS };
+module.exports = { PROFILES, PROFILE_LIMIT_FACTOR, DEFAULT_SETTINGS, ACTIONS, HOIAX_POWER_STEPS, MITIGATION_LOG_MAX, CHARGER_DEFAULTS, EFFEKT_TIERS, CAPACITY_TARIFF_SCHEMES, CAPACITY_TARIFF_DEFAULTS, METER_TOPOLOGY_DEFAULTS, PRICE_ZONES, PRICE_CURRENCIES, PRICE_DEFAULTS, GRID_TARIFF_DEFAULTS, MODES, MODES_DEFAULTS };
@@ -0,0 +1,168 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/data-export.js  —  EXPORT / IMPORT FORMATS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+//  • toCsv()          — rows → CSV text (RFC 4180 quoting, header row)
+//  • filterByDate()   — inclusive YYYY-MM-DD range filter on any date/time field
+//  • parseMeterCsv()  — hourly / 15-minute meter data exported from Elhub
+//                       ("Mine måleverdier") or a DSO customer portal
+//
+// Meter CSV input is deliberately lenient — exports differ per portal:
+//   Fra;Til;KWH 60 Forbruk                 (Elhub, semicolon, decimal comma)
+//   01.01.2025 00:00;01.01.2025 01:00;1,234
+//   "Start","End","Consumption (kWh)"      (DSO portals, comma)
+//   2025-01-01T00:00:00+01:00,...,1.234
+// The first column whose header looks like a start time and the first
+// column whose header looks like a kWh value are used. Timestamps without
+// an offset are read in the site timezone.
+// ══════════════════════════════════════════════════════════════════
+
+const START_HEADERS = /^(fra|from|start|starttid|tidspunkt|periode|time|timestamp|dato|date|från)/i;
+const VALUE_HEADERS = /(kwh|forbruk|consumption|volum|volume|verdi|value|förbrukning|energi)/i;
+
+/**
+ * Rows → CSV text.
+ * @param {object[]} rows
+ * @param {string[]} [columns] - column order; defaults to the keys of the first row
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const cols = columns || (rows.length ? Object.keys(rows[0]) : []);
+  const cell = (v) => {
+    if (v == null) return '';
+    const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [cols.join(',')];
+  for (const row of rows) lines.push(cols.map(c => cell(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Keep rows whose field (a 'YYYY-MM-DD…' string) falls within [from, to].
+ * Missing bounds are open.
+ */
+function filterByDate(rows, field, from, to) {
+  return rows.filter(r => {
+    const day = String(r[field] || '').slice(0, 10);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  });
+}
+
+// ─── Meter CSV import ─────────────────────────────────────────────
+
+function _splitLine(line, delim) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delim) {
+      out.push(cur.trim()); cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+/** Offset (ms) of timeZone from UTC at the given instant. */
+function _tzOffsetMs(utcMs, timeZone) {
+  const p = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const get = (t) => Number(p.find(x => x.type === t).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - utcMs;
+}
+
+/** Local wall-clock time in timeZone → UTC ms (DST gaps resolve forward). */
+function _zonedToUtc(y, mo, d, h, mi, timeZone) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const first = guess - _tzOffsetMs(guess, timeZone);
+  return guess - _tzOffsetMs(first, timeZone);
+}
+
+/** Parse a timestamp cell → UTC ms, or null. */
+function _parseTime(s, timeZone) {
+  const str = s.trim();
+  if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(str) && /^\d{4}-\d{2}-\d{2}/.test(str)) {
+    const ms = Date.parse(str);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  let m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?/.exec(str);
+  if (m) return _zonedToUtc(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), timeZone);
+  m = /^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:[ T](\d{1,2})[:.](\d{2}))?/.exec(str);
+  if (m) return _zonedToUtc(+m[3], +m[2], +m[1], +(m[4] || 0), +(m[5] || 0), timeZone);
+  return null;
+}
+
+function _parseNumber(s) {
+  const cleaned = String(s).replace(/\s/g, '').replace(/"/g, '');
+  // Decimal comma ("1,234") vs thousands separator ("1.234,5")
+  const normalised = cleaned.includes(',') ? cleaned.replace(/\./g, '').replace(',', '.') : cleaned;
+  const n = Number(normalised);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a meter-data CSV export.
+ *
+ * @param {string} text
+ * @param {object} opts
+ * @param {string} opts.timeZone - IANA timezone for timestamps without offset
+ * @returns {{ intervals: Array<{ start: number, minutes: number, kWh: number }>, skipped: number, intervalMinutes: number|null }}
+ *   intervals sorted by start (UTC ms); minutes = detected resolution (60 or 15)
+ */
+function parseMeterCsv(text, opts) {
+  const lines = String(text || '').replace(/^﻿/, '').split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) throw new Error('Empty file');
+  const first = lines[0];
+  const delim = [';', '\t', ','].find(d => first.includes(d)) || ',';
+
+  // Locate header row (first row containing both a start-like and a value-like column)
+  let headerIdx = -1, startCol = -1, valueCol = -1;
+  for (let i = 0; i < Math.min(lines.length, 10) && headerIdx < 0; i++) {
+    const cells = _splitLine(lines[i], delim);
+    const s = cells.findIndex(c => START_HEADERS.test(c));
+    const v = cells.findIndex((c, idx) => idx !== s && VALUE_HEADERS.test(c));
+    if (s >= 0 && v >= 0) { headerIdx = i; startCol = s; valueCol = v; }
+  }
+  if (headerIdx < 0) throw new Error('No start-time and kWh columns found in header');
+
+  const rows = [];
+  let skipped = 0;
+  for (const line of lines.slice(headerIdx + 1)) {
+    const cells = _splitLine(line, delim);
+    const start = _parseTime(cells[startCol] || '', opts.timeZone);
+    const kWh = _parseNumber(cells[valueCol] || '');
+    if (start === null || kWh === null || kWh < 0) { skipped++; continue; }
+    rows.push({ start, kWh });
+  }
+  rows.sort((a, b) => a.start - b.start);
+
+  // Resolution = most common spacing between consecutive rows (15 or 60 min)
+  const gaps = {};
+  for (let i = 1; i < rows.length; i++) {
+    const g = Math.round((rows[i].start - rows[i - 1].start) / 60000);
+    if (g === 15 || g === 60) gaps[g] = (gaps[g] || 0) + 1;
+  }
+  const intervalMinutes = (gaps[15] || 0) > (gaps[60] || 0) ? 15 : (rows.length ? 60 : null);
+  return {
+    intervals: rows.map(r => ({ start: r.start, minutes: intervalMinutes, kWh: r.kWh })),
+    skipped,
+    intervalMinutes,
+  };
+}
+
+module.exports = { toCsv, filterByDate, parseMeterCsv };
@@ -26,10 +26,15 @@
 //              Note: Zaptec and Easee dynamic current is NOT here —
 //              those go directly to _setZaptecCurrent / _setEaseeChargerCurrent
 //                                                                  ⚠️ ACTIVE
+//
+//  [D] HOME BATTERY (ESS)                        action: battery
+//      Caps:   measure_battery + a setpoint (see common/home-battery.js)
+//      Never mitigated here — charge/discharge is set in app.js Section 15
 //  ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━//
 // ══════════════════════════════════════════════════════════════════
 
 const { ACTIONS, HOIAX_POWER_STEPS } = require('./constants');
+const { isHomeBattery } = require('./home-battery');
 
 const ACTION_CAPABILITY_MAP = {
   [ACTIONS.TURN_OFF]:    'onoff',
@@ -56,21 +61,27 @@ function getAvailableActions(capabilities) {
   if (!available.includes(ACTIONS.CHARGE_PAUSE) && capabilities.includes('toggleChargingCapability')) {
     available.push(ACTIONS.CHARGE_PAUSE);
   }
+  if (isHomeBattery(capabilities)) available.push(ACTIONS.BATTERY);
   return available;
 }
 
 function isControllable(device) {
   const caps = device.capabilities || [];
   return caps.includes('onoff') || caps.includes('dim') || caps.includes('target_temperature') || caps.includes('target_current') || caps.includes('max_power_3000') || caps.includes('max_power')
-    || caps.includes('toggleChargingCapability'); // Enua charger (on/off only — no dynamic current cap exposed)
+    || caps.includes('toggleChargingCapability') // Enua charger (on/off only — no dynamic current cap exposed)
+    || isHomeBattery(caps, device.class);
 }
 
 /**
  * [A] HEATERS & GENERIC DEVICES — applyAction
  * Handles: target_temperature (heaters), onoff/dim (generic), charge_pause (chargers),
  *          dynamic_current (legacy fallback), hoiax_power (water heater)
+ * @param {object} [opts]
+ * @param {number} [opts.floorC] - thermostats: lowest setpoint allowed (comfort bounds); default 5 °C
+ * @param {boolean} [opts.allowOff] - thermostats: false = never switch off, lower the setpoint instead
  */
-async function applyAction(device, action) {
+async function applyAction(device, action, opts = {}) {
+  const floorC = Number.isFinite(opts.floorC) ? Math.max(5, opts.floorC) : 5;
   const caps = device.capabilities || [];
   const obj = device.capabilitiesObj || {};
 
@@ -92,8 +103,8 @@ async function applyAction(device, action) {
       // Fallback: thermostat without onoff — lower temperature by 3°C to reduce heating
       if (caps.includes('target_temperature')) {
         const current = Number(obj.target_temperature?.value ?? 20);
-        if (current <= 5) return false;  // Already at minimum
-        const newTemp = Math.max(5, current - 3);
+        if (current <= floorC) return false;  // Already at minimum
+        const newTemp = Math.max(floorC, current - 3);
         // Switch to manual mode so schedule doesn't override the change (e.g. FutureHome)
         if (caps.includes('thermostat_mode')) {
           const currentMode = obj.thermostat_mode ? obj.thermostat_mode.value : null;
@@ -123,17 +134,18 @@ async function applyAction(device, action) {
     case ACTIONS.TARGET_TEMP: {
       // Adax Wi-Fi heaters use cloud polling — commands have ~20 min delay.
       // Using onoff=false is equally delayed but cuts heating harder than temp-3°C.
+      // Comfort bounds that rule out switching off (opts.allowOff=false) take the setpoint path.
       const isAdax = (device.driverId || '').toLowerCase().includes('adax');
-      if (isAdax && caps.includes('onoff')) {
+      if (isAdax && caps.includes('onoff') && opts.allowOff !== false) {
         if (obj.onoff && obj.onoff.value === false) return false;
         await device.setCapabilityValue({ capabilityId: 'onoff', value: false });
         return true; // NOTE: ~20 min cloud delay before heater responds
       }
       if (caps.includes('target_temperature')) {
         const current = Number(obj.target_temperature?.value ?? 20);
-        if (current <= 5) return false;  // Already at minimum
-        // Lower by 3°C to reduce heating, with a floor of 5°C
-        const newTemp = Math.max(5, current - 3);
+        if (current <= floorC) return false;  // Already at minimum
+        // Lower by 3°C to reduce heating, with a floor of 5°C (or the comfort floor)
+        const newTemp = Math.max(floorC, current - 3);
         // Some thermostats (e.g. FutureHome) follow a schedule — when in auto/schedule mode,
         // any target_temperature change is overridden by the cloud schedule within seconds.
         // Setting thermostat_mode='heat' (manual) before changing temp makes the change stick.
@@ -0,0 +1,91 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/duty-cycle.js  —  ROUND-ROBIN DUTY CYCLING OF HEATERS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "The house has sat near the limit for a while — which heater
+// gets its heat back now, and which running heaters take its place?"
+//
+// Without rotation the same top-priority heaters stay off until the
+// restore engine finds headroom, which near the limit may take hours.
+// With a slot length set, the heater that has been held longest is
+// released once it has been off a full slot (and its minOffTimeSeconds),
+// and running heaters are shed in its place — but only as a swap: the
+// replacements must free at least what the released heater will draw
+// (its restore draw), so the total stays under the limit.
+//
+// Replacements are running heaters that have had their heat for a full
+// slot and their minRuntimeSeconds, longest-running first; the set is
+// chosen by planShed() (common/shed-solver.js) in that order.
+//
+// Only heater-like actions rotate. EV chargers, batteries and devices shed
+// by the EV proactive path are left to their own engines.
+// ══════════════════════════════════════════════════════════════════
+
+const { planShed, SHED_MARGIN_W } = require('./shed-solver');
+
+const DUTY_ACTIONS = ['target_temperature', 'onoff', 'hoiax_power'];
+
+function isDutyAction(action) {
+  return DUTY_ACTIONS.includes(action);
+}
+
+/**
+ * The held heater whose off slot is up: held longest, for at least a slot
+ * and its own minimum off time.
+ *
+ * @param {Array<{ deviceId: string, offSince: number, minOffMs: number }>} held
+ * @param {number} now - ms
+ * @param {number} slotMs
+ * @returns {object|null}
+ */
+function dueForRelease(held, now, slotMs) {
+  let due = null;
+  for (const h of held) {
+    if (now - h.offSince < Math.max(slotMs, h.minOffMs || 0)) continue;
+    if (!due || h.offSince < due.offSince) due = h;
+  }
+  return due;
+}
+
+/**
+ * Running heaters that may take the next off slot, longest-running first.
+ * onSince is when the heater last got its heat back from Power Guard
+ * (null = not since the app started, counts as longest).
+ *
+ * @param {Array<{ deviceId: string, onSince: number|null, minRunMs: number }>} running - in mitigation order
+ * @param {number} now - ms
+ * @param {number} slotMs
+ * @returns {object[]}
+ */
+function slotCandidates(running, now, slotMs) {
+  return running
+    .map((r, i) => ({ r, i }))
+    .filter(({ r }) => r.onSince == null || now - r.onSince >= Math.max(slotMs, r.minRunMs || 0))
+    .sort((a, b) => ((a.r.onSince ?? -Infinity) - (b.r.onSince ?? -Infinity)) || (a.i - b.i))
+    .map(({ r }) => r);
+}
+
+/**
+ * Plan a swap: which candidates to shed so the released heater fits.
+ *
+ * @param {{ powerW: number, limitW: number, releaseW: number,
+ *           candidates: Array<{ deviceId: string, action: string, reliefW: number|null }> }} s
+ *   candidates in slotCandidates() order
+ * @returns {{ deviceIds: string[], coveredW: number, needW: number }|null}
+ *   null when the release fits without a swap (the restore engine's job)
+ *   or no set of candidates covers it
+ */
+function planSwap({ powerW, limitW, releaseW, candidates }) {
+  const needW = powerW + releaseW - limitW + SHED_MARGIN_W;
+  if (!(needW > 0)) return null;
+  const plan = planShed(candidates, needW);
+  if (!plan.complete || !plan.deviceIds.length) return null;
+  return { deviceIds: plan.deviceIds, coveredW: plan.coveredW, needW: Math.round(needW) };
+}
+
+module.exports = {
+  isDutyAction, dueForRelease, slotCandidates, planSwap,
+  DUTY_ACTIONS,
+};
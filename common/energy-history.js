@@ -0,0 +1,273 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/energy-history.js  —  LONG-TERM ENERGY HISTORY STORE
+// ══════════════════════════════════════════════════════════════════
+// File-backed time series, kept out of homey.settings so it can hold years.
+// No Homey/app dependencies — the app passes in a writable directory.
+//
+// Layout (under /userdata/history):
+//   hours-YYYY-MM.jsonl — append-only, one completed hour per line:
+//     { ts, date, hour, kWh, peakW, spotOre, priceOre, cost, currency, mitigationMin, source }
+//     ts = hour start (ISO, UTC); date/hour = local calendar (site timezone)
+//     spotOre/priceOre = average spot / all-in price (subunit per kWh), null if unknown
+//     cost = kWh × priceOre in the main currency unit
+//     source = 'register' (meter_power delta) | 'integrated' (measure_power) | 'import'
+//   rollups.json — { days: { 'YYYY-MM-DD': rollup }, months: { 'YYYY-MM': rollup },
+//                    compactedMonths: ['YYYY-MM', ...] }
+//     rollup = { kWh, peakW, maxHourKWh, cost, mitigationMin, hours, spotOreKWh, priceOreKWh }
+//     (spotOreKWh / priceOreKWh are kWh-weighted price sums → averages at query time)
+//
+// Compaction: once a month is closed its hour file is rewritten sorted and
+// de-duplicated (a restart can append the same hour twice) and its day/month
+// rollups are rebuilt from it. The open month's rollups are rebuilt on init.
+// ══════════════════════════════════════════════════════════════════
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+
+const RESOLUTIONS = ['hour', 'day', 'month'];
+const MAX_HOUR_QUERY_DAYS = 366;   // hour resolution reads one file per month — keep ranges bounded
+
+function _emptyRollup() {
+  return { kWh: 0, peakW: 0, maxHourKWh: 0, cost: 0, mitigationMin: 0, hours: 0, spotOreKWh: 0, priceOreKWh: 0 };
+}
+
+function _addToRollup(r, rec) {
+  r.kWh += rec.kWh || 0;
+  r.peakW = Math.max(r.peakW, rec.peakW || 0);
+  r.maxHourKWh = Math.max(r.maxHourKWh, rec.kWh || 0);
+  r.cost += rec.cost || 0;
+  r.mitigationMin += rec.mitigationMin || 0;
+  r.hours += 1;
+  if (rec.spotOre != null) r.spotOreKWh += rec.spotOre * (rec.kWh || 0);
+  if (rec.priceOre != null) r.priceOreKWh += rec.priceOre * (rec.kWh || 0);
+}
+
+/** Public shape of a rollup: rounded sums plus kWh-weighted average prices. */
+function _publishRollup(key, r) {
+  const r3 = (v) => Math.round(v * 1000) / 1000;
+  return {
+    key,
+    kWh: r3(r.kWh),
+    peakW: Math.round(r.peakW),
+    maxHourKWh: r3(r.maxHourKWh),
+    cost: Math.round(r.cost * 100) / 100,
+    mitigationMin: Math.round(r.mitigationMin * 10) / 10,
+    hours: r.hours,
+    spotOre: r.kWh > 0 && r.spotOreKWh ? Math.round((r.spotOreKWh / r.kWh) * 100) / 100 : null,
+    priceOre: r.kWh > 0 && r.priceOreKWh ? Math.round((r.priceOreKWh / r.kWh) * 100) / 100 : null,
+  };
+}
+
+function _dedupe(records) {
+  const byTs = new Map();
+  for (const rec of records) byTs.set(rec.ts, rec);  // last write wins
+  return [...byTs.values()].sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+class EnergyHistoryStore {
+  /**
+   * @param {string} dir - writable directory for history files
+   * @param {object} [opts]
+   * @param {function} [opts.log] - logger for compaction messages
+   */
+  constructor(dir, opts = {}) {
+    this.dir = dir;
+    this.log = opts.log || (() => {});
+    this.rollups = { days: {}, months: {}, compactedMonths: [] };
+    this.ready = false;
+    this._writeChain = Promise.resolve();  // serialises appends and rollup writes
+  }
+
+  /** Run fn after pending writes; a failed write does not block later ones. */
+  _enqueue(fn) {
+    const run = this._writeChain.then(fn);
+    this._writeChain = run.catch(() => {});
+    return run;
+  }
+
+  _hourFile(month) {
+    return path.join(this.dir, `hours-${month}.jsonl`);
+  }
+
+  async _readMonth(month) {
+    let text;
+    try {
+      text = await fsPromises.readFile(this._hourFile(month), 'utf8');
+    } catch (_) {
+      return [];
+    }
+    const out = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch (_) { /* torn write — skip line */ }
+    }
+    return out;
+  }
+
+  async _listMonths() {
+    const files = await fsPromises.readdir(this.dir).catch(() => []);
+    return files
+      .map(f => /^hours-(\d{4}-\d{2})\.jsonl$/.exec(f))
+      .filter(Boolean)
+      .map(m => m[1])
+      .sort();
+  }
+
+  /** Rebuild day + month rollups for one month from its hour records. */
+  _rebuildMonth(month, records) {
+    for (const key of Object.keys(this.rollups.days)) {
+      if (key.startsWith(month)) delete this.rollups.days[key];
+    }
+    const monthRollup = _emptyRollup();
+    for (const rec of records) {
+      if (!this.rollups.days[rec.date]) this.rollups.days[rec.date] = _emptyRollup();
+      _addToRollup(this.rollups.days[rec.date], rec);
+      _addToRollup(monthRollup, rec);
+    }
+    if (records.length) this.rollups.months[month] = monthRollup;
+    else delete this.rollups.months[month];
+  }
+
+  async _saveRollups() {
+    const file = path.join(this.dir, 'rollups.json');
+    await fsPromises.writeFile(`${file}.tmp`, JSON.stringify(this.rollups));
+    await fsPromises.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Create the directory, load rollups and compact closed months.
+   * @param {string} currentMonth - 'YYYY-MM' in the site timezone
+   */
+  async init(currentMonth) {
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    try {
+      const saved = JSON.parse(await fsPromises.readFile(path.join(this.dir, 'rollups.json'), 'utf8'));
+      if (saved && typeof saved === 'object') {
+        this.rollups = Object.assign({ days: {}, months: {}, compactedMonths: [] }, saved);
+      }
+    } catch (_) { /* first run */ }
+    await this.compact(currentMonth);
+    this.ready = true;
+  }
+
+  /**
+   * Compact every closed month not compacted yet and refresh the open month's rollups.
+   * @param {string} currentMonth - 'YYYY-MM'
+   */
+  compact(currentMonth) {
+    return this._enqueue(async () => {
+      const months = await this._listMonths();
+      for (const month of months) {
+        const closed = month < currentMonth;
+        if (closed && this.rollups.compactedMonths.includes(month)) continue;
+        const records = _dedupe(await this._readMonth(month));
+        this._rebuildMonth(month, records);
+        if (closed) {
+          const body = records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+          await fsPromises.writeFile(`${this._hourFile(month)}.tmp`, body);
+          await fsPromises.rename(`${this._hourFile(month)}.tmp`, this._hourFile(month));
+          this.rollups.compactedMonths.push(month);
+          this.log(`[History] Compacted ${month}: ${records.length} hours`);
+        }
+      }
+      await this._saveRollups();
+    });
+  }
+
+  /**
+   * Append one completed hour and update its day/month rollups.
+   * @param {object} rec - see file header
+   */
+  appendHour(rec) {
+    return this._enqueue(async () => {
+      const month = rec.date.slice(0, 7);
+      await fsPromises.appendFile(this._hourFile(month), JSON.stringify(rec) + '\n');
+      if (!this.rollups.days[rec.date]) this.rollups.days[rec.date] = _emptyRollup();
+      if (!this.rollups.months[month]) this.rollups.months[month] = _emptyRollup();
+      _addToRollup(this.rollups.days[rec.date], rec);
+      _addToRollup(this.rollups.months[month], rec);
+      await this._saveRollups();
+    });
+  }
+
+  /**
+   * Bulk-add hours from an external source (meter data import).
+   * Hours already stored are skipped unless overwrite is set; touched
+   * months are rebuilt and re-queued for compaction.
+   * @param {object[]} records - see file header
+   * @param {object} [opts]
+   * @param {boolean} [opts.overwrite]
+   * @returns {Promise<{ added: number, skipped: number }>}
+   */
+  importHours(records, opts = {}) {
+    return this._enqueue(async () => {
+      const byMonth = {};
+      for (const rec of records) (byMonth[rec.date.slice(0, 7)] = byMonth[rec.date.slice(0, 7)] || []).push(rec);
+      let added = 0, skipped = 0;
+      for (const [month, recs] of Object.entries(byMonth)) {
+        const existing = await this._readMonth(month);
+        const known = new Set(existing.map(r => r.ts));
+        const fresh = opts.overwrite ? recs : recs.filter(r => !known.has(r.ts));
+        skipped += recs.length - fresh.length;
+        if (!fresh.length) continue;
+        added += fresh.length;
+        // Imported rows go first so live-recorded hours win on de-duplication,
+        // unless overwrite is requested
+        const merged = _dedupe(opts.overwrite ? existing.concat(fresh) : fresh.concat(existing));
+        const body = merged.map(r => JSON.stringify(r)).join('\n') + '\n';
+        await fsPromises.writeFile(`${this._hourFile(month)}.tmp`, body);
+        await fsPromises.rename(`${this._hourFile(month)}.tmp`, this._hourFile(month));
+        this._rebuildMonth(month, merged);
+      }
+      await this._saveRollups();
+      return { added, skipped };
+    });
+  }
+
+  /**
+   * Query a date range.
+   * @param {object} q
+   * @param {string} q.from       - 'YYYY-MM-DD' (inclusive, local date)
+   * @param {string} q.to         - 'YYYY-MM-DD' (inclusive, local date)
+   * @param {string} q.resolution - 'hour' | 'day' | 'month'
+   * @returns {Promise<{ resolution: string, from: string, to: string, rows: object[] }>}
+   */
+  async query({ from, to, resolution = 'day' }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      throw new Error('from and to must be YYYY-MM-DD');
+    }
+    if (!RESOLUTIONS.includes(resolution)) throw new Error(`resolution must be one of ${RESOLUTIONS.join(', ')}`);
+    if (from > to) throw new Error('from must not be after to');
+
+    if (resolution === 'hour') {
+      const spanDays = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+      if (spanDays > MAX_HOUR_QUERY_DAYS) throw new Error(`hour resolution is limited to ${MAX_HOUR_QUERY_DAYS} days`);
+      await this._writeChain;
+      const months = (await this._listMonths()).filter(m => m >= from.slice(0, 7) && m <= to.slice(0, 7));
+      let rows = [];
+      for (const month of months) {
+        rows = rows.concat((await this._readMonth(month)).filter(r => r.date >= from && r.date <= to));
+      }
+      return { resolution, from, to, rows: _dedupe(rows) };
+    }
+
+    const table = resolution === 'day' ? this.rollups.days : this.rollups.months;
+    const lo = resolution === 'day' ? from : from.slice(0, 7);
+    const hi = resolution === 'day' ? to : to.slice(0, 7);
+    const rows = Object.keys(table)
+      .filter(k => k >= lo && k <= hi)
+      .sort()
+      .map(k => _publishRollup(k, table[k]));
+    return { resolution, from, to, rows };
+  }
+
+  /** Oldest and newest stored dates, for range pickers. */
+  range() {
+    const days = Object.keys(this.rollups.days).sort();
+    return { first: days[0] || null, last: days[days.length - 1] || null, days: days.length };
+  }
+}
+
+module.exports = { EnergyHistoryStore, RESOLUTIONS, MAX_HOUR_QUERY_DAYS };
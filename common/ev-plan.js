@@ -0,0 +1,112 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/ev-plan.js  —  PER-CHARGER PRICE PLANS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "In which price slots does each car charge, so every car is
+// ready by its own deadline and the chargers together stay under the limit?"
+//
+// Each charger with a fresh battery report gets its own plan from its own
+// hours needed (battery %, capacity, target %) and deadline
+// (common/slot-plan.js nextDeadline):
+//   chargeDeadline (priority-list entry, "HH:MM") — falls back to the
+//   global ev_ferdig_ladet_kl setting.
+//
+// Chargers are planned earliest deadline first (priority-list order breaks
+// ties). A slot's room for one more charger is its limit (the slot's own
+// limitW, else the one passed in; × FIT_MARGIN) minus the same hour
+// yesterday without the planned loads (baseline; 0 when unknown) minus what
+// chargers planned before it already take there. A charger only plans slots with room for
+// its minimum current; where the room is below its full draw, the slot
+// counts for proportionally less charging. When the cheapest slots with
+// room fall short, the rest are filled from the slots without room —
+// the dynamic current loop shares the live limit between them.
+//
+// A charger whose deadline is within its need + FORCE_MARGIN_H charges now
+// whatever the price (forced), as the shared deadline rule always did.
+// ══════════════════════════════════════════════════════════════════
+
+const { mergeWindows, FIT_MARGIN, HOUR_MS } = require('./slot-plan');
+
+const FORCE_MARGIN_H = 1;
+
+/**
+ * Plan every charger.
+ *
+ * @param {Array<{ deviceId: string, needH: number, deadline: number, powerW: number, minW: number }>} chargers
+ *   in priority-list order; needH at powerW
+ * @param {Array<{ start: number, end: number, ore: number, baselineW: number|null, limitW?: number }>} slots -
+ *   price slots (ms); limitW the limit in force in the slot
+ * @param {number} now - ms
+ * @param {number} limitW - for slots without their own
+ * @returns {Object<string, { windows: Array<{start: number, end: number}>, complete: boolean, forced: boolean,
+ *   deadline: number, needH: number }>} by deviceId; windows in time order
+ */
+function planChargers(chargers, slots, now, limitW) {
+  const usableAll = (slots || [])
+    .filter(s => s.end > now && Number.isFinite(s.ore))
+    .map(s => ({ start: Math.max(s.start, now), end: s.end, ore: s.ore, baselineW: s.baselineW, limitW: s.limitW ?? limitW, plannedW: 0 }))
+    .sort((a, b) => a.start - b.start);
+
+  const order = chargers
+    .map((c, i) => ({ c, i }))
+    .sort((a, b) => (a.c.deadline - b.c.deadline) || (a.i - b.i))
+    .map(x => x.c);
+
+  const plans = {};
+  for (const c of order) {
+    const base = { deadline: c.deadline, needH: c.needH };
+    if (!(c.needH > 0)) { plans[c.deviceId] = { ...base, windows: [], complete: true, forced: false }; continue; }
+
+    const usable = usableAll.filter(s => s.start < c.deadline);
+    const leftH = (c.deadline - now) / HOUR_MS;
+    const durH = (s) => (Math.min(s.end, c.deadline) - s.start) / HOUR_MS;
+
+    if (c.needH + FORCE_MARGIN_H >= leftH || !usable.length) {
+      for (const s of usable) s.plannedW += c.powerW;
+      plans[c.deviceId] = {
+        ...base,
+        windows: usable.length ? mergeWindows(usable.map(s => ({ start: s.start, end: Math.min(s.end, c.deadline) }))) : [{ start: now, end: c.deadline }],
+        complete: c.needH <= leftH + 1e-6,
+        forced: true,
+      };
+      continue;
+    }
+
+    const roomW = (s) => s.limitW * FIT_MARGIN - (s.baselineW || 0) - s.plannedW;
+    const byPrice = (list) => list.slice().sort((a, b) => a.ore - b.ore || a.start - b.start);
+    const withRoom = usable.filter(s => roomW(s) >= c.minW);
+    const chosen = [];
+    let covered = 0;
+    for (const s of byPrice(withRoom)) {
+      if (covered >= c.needH - 1e-6) break;
+      const w = Math.min(c.powerW, roomW(s));
+      chosen.push({ s, w });
+      covered += durH(s) * w / c.powerW;
+    }
+    for (const s of byPrice(usable.filter(s => roomW(s) < c.minW))) {
+      if (covered >= c.needH - 1e-6) break;
+      chosen.push({ s, w: c.powerW });
+      covered += durH(s);
+    }
+    for (const { s, w } of chosen) s.plannedW += w;
+    plans[c.deviceId] = {
+      ...base,
+      windows: mergeWindows(chosen.map(({ s }) => ({ start: s.start, end: Math.min(s.end, c.deadline) }))),
+      complete: covered >= c.needH - 1e-6,
+      forced: false,
+    };
+  }
+  return plans;
+}
+
+/** Whether `now` falls in one of the plan's windows. */
+function inChargePlan(plan, now) {
+  return plan.windows.some(w => w.start <= now && now < w.end);
+}
+
+module.exports = {
+  planChargers, inChargePlan,
+  FORCE_MARGIN_H,
+};
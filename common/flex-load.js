@@ -0,0 +1,112 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/flex-load.js  —  FLEXIBLE LOADS (ENERGY NEED + DEADLINE)
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "When should this dishwasher / dryer / pool pump run so it
+// is done by its deadline, in the cheapest hours that fit under the limit?"
+//
+// Priority-list entry (any device with on/off):
+//   flexLoad        — let Power Guard schedule this device
+//   flexRuntimeMin  — minutes it must run per job …
+//   flexKwh         — … or the energy it needs per job (used when no runtime is set)
+//   flexDeadline    — "HH:MM" (site time) the job must be done by, every day
+//   flexPowerW      — draw while running (default: learned on-draw, else 1000 W)
+//   flexContinuous  — must run in one go once started (dishwasher, dryer)
+//
+// A job runs from one deadline to the next. Within it, the plan is the
+// cheapest price slots before the deadline covering what is left, skipping
+// slots where the same hour yesterday (without the planned loads) plus the
+// device would come within FIT_MARGIN of the limit in force in that slot.
+// Continuous loads get the cheapest single block.
+// When what is left no longer fits before the deadline, the device runs
+// now whatever the price (forced). The live power limit applies on top:
+// the app never starts a device that would push the site over it.
+// ══════════════════════════════════════════════════════════════════
+
+const { mergeWindows, cheapestBlock, FIT_MARGIN, HOUR_MS } = require('./slot-plan');
+
+const FLEX_DEFAULTS = {
+  powerW: 1000,
+  deadline: '07:00',
+};
+
+/** Entry settings merged with defaults; learnedOnW is the load profile's on-draw, if confident. */
+function flexConfig(entry, learnedOnW) {
+  const num = (v) => (Number.isFinite(Number(v)) && v !== '' && v != null && Number(v) > 0 ? Number(v) : null);
+  const powerW = num(entry.flexPowerW) || num(learnedOnW) || FLEX_DEFAULTS.powerW;
+  const deadline = /^\d{1,2}:\d{2}$/.test(String(entry.flexDeadline || '')) ? entry.flexDeadline : FLEX_DEFAULTS.deadline;
+  return {
+    runtimeMin: num(entry.flexRuntimeMin),
+    kWh: num(entry.flexKwh),
+    powerW,
+    deadline,
+    continuous: !!entry.flexContinuous,
+  };
+}
+
+/** Hours of running left in the job: by runtime, else by energy at the device's draw. */
+function remainingH(cfg, progress) {
+  if (cfg.runtimeMin != null) return Math.max(0, cfg.runtimeMin / 60 - progress.ranMs / HOUR_MS);
+  if (cfg.kWh != null) return Math.max(0, (cfg.kWh * 1000 - progress.doneWh) / cfg.powerW);
+  return 0;
+}
+
+/**
+ * Plan the rest of a job.
+ *
+ * @param {Array<{ start: number, end: number, ore: number, baselineW: number|null, limitW?: number }>} slots -
+ *   price slots (ms); limitW the limit in force in the slot
+ * @param {number} now - ms
+ * @param {number} deadline - ms
+ * @param {number} needH - hours of running left
+ * @param {object} cfg - flexConfig()
+ * @param {number} limitW - for slots without their own
+ * @returns {{ windows: Array<{start: number, end: number}>, complete: boolean, forced: boolean }}
+ *   windows in time order; complete=false when the job cannot be finished by the deadline
+ */
+function planFlexLoad(slots, now, deadline, needH, cfg, limitW) {
+  if (!(needH > 0)) return { windows: [], complete: true, forced: false };
+  const leftH = (deadline - now) / HOUR_MS;
+  if (needH >= leftH - 1e-6) {
+    return { windows: [{ start: now, end: deadline }], complete: needH <= leftH + 1e-6, forced: true };
+  }
+
+  const usable = (slots || [])
+    .filter(s => s.end > now && s.start < deadline && Number.isFinite(s.ore))
+    .map(s => ({ start: Math.max(s.start, now), end: Math.min(s.end, deadline), ore: s.ore, baselineW: s.baselineW, limitW: s.limitW ?? limitW }))
+    .sort((a, b) => a.start - b.start);
+  // No prices: run as soon as possible
+  if (!usable.length) return { windows: [{ start: now, end: now + needH * HOUR_MS }], complete: true, forced: false };
+
+  const fits = (s) => s.baselineW == null || s.baselineW + cfg.powerW <= s.limitW * FIT_MARGIN;
+  const fitting = usable.filter(fits);
+
+  if (cfg.continuous) {
+    const block = cheapestBlock(fitting, needH, now) || cheapestBlock(usable, needH, now);
+    if (block) return { windows: [{ start: block.start, end: block.end }], complete: true, forced: false };
+    return { windows: [{ start: now, end: now + needH * HOUR_MS }], complete: false, forced: true };
+  }
+
+  // Interruptible: cheapest fitting slots first, then the rest if they fall short
+  const byPrice = (list) => list.slice().sort((a, b) => a.ore - b.ore || a.start - b.start);
+  const chosen = [];
+  let covered = 0;
+  for (const s of [...byPrice(fitting), ...byPrice(usable.filter(s => !fits(s)))]) {
+    if (covered >= needH - 1e-6) break;
+    chosen.push(s);
+    covered += (s.end - s.start) / HOUR_MS;
+  }
+  return { windows: mergeWindows(chosen), complete: covered >= needH - 1e-6, forced: false };
+}
+
+/** Whether `now` falls in one of the plan's windows. */
+function inPlan(plan, now) {
+  return plan.windows.some(w => w.start <= now && now < w.end);
+}
+
+module.exports = {
+  flexConfig, remainingH, planFlexLoad, inPlan,
+  FLEX_DEFAULTS,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/fuse-model.js  —  MAIN-FUSE TRIP-CURVE MODEL (I²t)
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "How close is the main fuse to tripping, and can this
+// overshoot wait or must it be shed now?"
+//
+// Settings:
+//   fuseCurve    — 'off' | 'B' | 'C' (IEC 60898 type of the main breaker)
+//   mainCircuitA — rated current In of the main breaker
+//
+// Each phase carries a heat value: 0 = cold, 1 = trip. Above the
+// conventional non-tripping current (NON_TRIP_X × In) it heats by
+// dt / tripSeconds(I); below it, it cools off with COOL_TAU_S. The
+// thermal curve t = K_THERMAL / (x² − NON_TRIP_X²), x = I / In, sits
+// on the fast side of the IEC 60898 band (2.55 In → 40 s, 1.45 In →
+// about 4 min). From the curve's magnetic threshold (B: 3 In, C: 5 In)
+// the breaker trips at once — nothing to model there.
+//
+// Risk:
+//   critical — trip within CRITICAL_S at this current, or heat ≥ CRITICAL_HEAT
+//              while still heating: shed now, without waiting for hysteresis
+//   warm     — heat ≥ WARM_HEAT: restores wait for it to cool
+//   ok       — short overloads may wait (tolerateOverload)
+// ══════════════════════════════════════════════════════════════════
+
+const FUSE_CURVES = {
+  B: { magneticX: 3 },
+  C: { magneticX: 5 },
+};
+
+const NON_TRIP_X = 1.13;                // IEC 60898 conventional non-tripping current
+const K_THERMAL = 210;                  // s × x²
+const COOL_TAU_S = 600;
+const MAX_STEP_S = 30;                  // longer gaps between readings count as this
+const CRITICAL_S = 60;
+const CRITICAL_HEAT = 0.5;
+const WARM_HEAT = 0.2;
+const TOLERATE_MAX_S = 600;             // a cool fuse lets an overshoot wait this long at most
+
+/** Whether a fuse curve is configured. */
+function fuseEnabled(settings) {
+  return !!FUSE_CURVES[settings.fuseCurve] && Number(settings.mainCircuitA) > 0;
+}
+
+/** Seconds to trip from cold at `amps`; Infinity below NON_TRIP_X × In, 0 from the magnetic threshold. */
+function tripSeconds(amps, ratingA, curve) {
+  const x = amps / ratingA;
+  if (!(x > NON_TRIP_X)) return Infinity;
+  if (x >= FUSE_CURVES[curve].magneticX) return 0;
+  return K_THERMAL / (x * x - NON_TRIP_X * NON_TRIP_X);
+}
+
+/** Heat after `dtS` seconds at `amps`. */
+function heatStep(heat, amps, ratingA, curve, dtS) {
+  const dt = Math.max(0, Math.min(dtS, MAX_STEP_S));
+  const t = tripSeconds(amps, ratingA, curve);
+  if (t === Infinity) return heat * Math.exp(-dt / COOL_TAU_S);
+  if (t === 0) return 1;
+  return Math.min(1, heat + dt / t);
+}
+
+/**
+ * Fold one reading into the per-phase heat (mutates `heats`).
+ * @param {{1: number, 2: number, 3: number}} heats
+ * @param {{1: number|null, 2: number|null, 3: number|null}} amps - per phase; null = no reading (keeps cooling)
+ * @param {object} settings - fuseCurve, mainCircuitA
+ * @param {number} dtS
+ */
+function updateHeat(heats, amps, settings, dtS) {
+  const ratingA = Number(settings.mainCircuitA);
+  for (const p of [1, 2, 3]) {
+    heats[p] = heatStep(heats[p] || 0, Number.isFinite(amps[p]) ? amps[p] : 0, ratingA, settings.fuseCurve, dtS);
+  }
+  return heats;
+}
+
+/**
+ * Per-phase state and the overall risk.
+ * @returns {{ risk: string, phases: Array<{ phase: number, amps: number|null, heat: number, tripInS: number|null }>,
+ *   worst: { phase: number, amps: number, overA: number }|null }}
+ *   tripInS null when not heating; worst = the phase that drives a critical risk
+ */
+function fuseState(heats, amps, settings) {
+  const ratingA = Number(settings.mainCircuitA);
+  let risk = 'ok';
+  let worst = null;
+  const phases = [1, 2, 3].map(p => {
+    const a = Number.isFinite(amps[p]) ? amps[p] : null;
+    const heat = heats[p] || 0;
+    const t = a != null ? tripSeconds(a, ratingA, settings.fuseCurve) : Infinity;
+    const tripInS = t === Infinity ? null : Math.round((1 - heat) * t);
+    const heating = tripInS != null;
+    if (heating && (tripInS <= CRITICAL_S || heat >= CRITICAL_HEAT)) {
+      risk = 'critical';
+      if (!worst || tripInS < worst.tripInS) worst = { phase: p, amps: a, overA: a - ratingA, tripInS };
+    } else if (heat >= WARM_HEAT && risk === 'ok') {
+      risk = 'warm';
+    }
+    return { phase: p, amps: a, heat: Math.round(heat * 100) / 100, tripInS };
+  });
+  return { risk, phases, worst: worst && { phase: worst.phase, amps: worst.amps, overA: worst.overA } };
+}
+
+/**
+ * Whether an overshoot of the power limit may wait: the fuse is cool, the
+ * overshoot is younger than TOLERATE_MAX_S, and the hour's projected energy
+ * stays within the limit (the capacity tariff counts the hourly average).
+ * Without a projection there is nothing to show the hour stays in budget: no wait.
+ * @param {{ risk: string }} state - fuseState()
+ * @param {number} overForS - seconds over the limit so far
+ * @param {number|null} hourKWh - projected energy this hour (common/load-forecast.js); null = unknown
+ * @param {number} limitW
+ */
+function tolerateOverload(state, overForS, hourKWh, limitW) {
+  if (!state || state.risk !== 'ok') return false;
+  if (overForS > TOLERATE_MAX_S) return false;
+  return hourKWh != null && hourKWh * 1000 <= limitW;
+}
+
+module.exports = {
+  fuseEnabled, tripSeconds, heatStep, updateHeat, fuseState, tolerateOverload,
+  FUSE_CURVES, NON_TRIP_X, TOLERATE_MAX_S,
+};
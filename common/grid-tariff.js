@@ -0,0 +1,234 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/grid-tariff.js  —  GRID TARIFF (NETTLEIE) MODEL
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "What is the all-in price per kWh at this moment?"
+//   all-in = (energy + grid energy part + fees) × (1 + VAT)
+// where energy = spot + supplier markup (or the Norgespris flat rate).
+//
+// Tariff structure (stored under homey.settings key 'gridTariff',
+// defaults in GRID_TARIFF_DEFAULTS in constants.js):
+// {
+//   enabled: true,
+//   dsoName: 'Example Nett',
+//   vatPercent: 25,
+//   markupOre: 0,                 // supplier påslag per kWh, excl. VAT
+//   holidays: 'NO',               // built-in calendar: NO / SE / DK / null
+//   extraHolidays: ['2025-12-24'],// additional 'YYYY-MM-DD' dates billed as holiday
+//   energyRates: [                // first matching rule wins — put specific rules first
+//     { label: 'Helg', dayTypes: ['weekend', 'holiday'], ore: 28.5 },
+//     { label: 'Natt', from: '22:00', to: '06:00', ore: 28.5 },
+//     { label: 'Dag vinter', months: [1, 2, 3, 11, 12], ore: 42.0 },
+//     { label: 'Dag', ore: 38.0 },
+//   ],
+//   fees: [                       // added to every kWh, excl. VAT
+//     { label: 'Forbruksavgift', ore: 16.93 },
+//     { label: 'Enova', ore: 1.0 },
+//   ],
+// }
+//
+// Rule fields (all optional, all must match):
+//   months   — [1..12] in local time (seasonal rates)
+//   dayTypes — 'weekday' | 'weekend' | 'holiday' (a holiday is never a weekday)
+//   from/to  — 'HH:MM' local time, to exclusive; from > to wraps midnight
+//
+// All amounts are in the price currency's subunit per kWh (øre/öre/cent).
+// ══════════════════════════════════════════════════════════════════
+
+const DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+
+function _toMinutes(hhmm) {
+  const parts = String(hhmm || '').split(':');
+  return parseInt(parts[0], 10) * 60 + parseInt(parts[1] || '0', 10);
+}
+
+/** Local calendar parts for `date` in timeZone. */
+function localParts(date, timeZone) {
+  const p = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  }).formatToParts(date);
+  const get = (t) => p.find(x => x.type === t).value;
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    weekday,                                     // 0 = Sunday
+    minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    dateKey: `${get('year')}-${get('month')}-${get('day')}`,
+  };
+}
+
+// ─── Public holidays ──────────────────────────────────────────────
+
+/** Easter Sunday (Gregorian) as a UTC Date — anonymous Gregorian algorithm. */
+function _easterSunday(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function _key(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function _offset(base, days) {
+  return new Date(base.getTime() + days * 86400000);
+}
+
+/** First date in [from, to] (day-of-month, inclusive) of the given month falling on weekday (0 = Sun). */
+function _weekdayBetween(year, month, from, to, weekday) {
+  for (let d = from; d <= to; d++) {
+    const date = new Date(Date.UTC(year, month - 1, d));
+    if (date.getUTCDay() === weekday) return date;
+  }
+  return null;
+}
+
+const _holidayCache = new Map();
+
+/**
+ * National public holidays billed at holiday rates.
+ * @param {string} country - 'NO' | 'SE' | 'DK'
+ * @param {number} year
+ * @returns {Set<string>} 'YYYY-MM-DD' keys
+ */
+function publicHolidays(country, year) {
+  const cacheKey = `${country}-${year}`;
+  if (_holidayCache.has(cacheKey)) return _holidayCache.get(cacheKey);
+  const easter = _easterSunday(year);
+  const fixed = (m, d) => new Date(Date.UTC(year, m - 1, d));
+  let dates = [];
+  if (country === 'NO') {
+    dates = [
+      fixed(1, 1), _offset(easter, -3), _offset(easter, -2), easter, _offset(easter, 1),
+      fixed(5, 1), fixed(5, 17), _offset(easter, 39), _offset(easter, 49), _offset(easter, 50),
+      fixed(12, 25), fixed(12, 26),
+    ];
+  } else if (country === 'SE') {
+    dates = [
+      fixed(1, 1), fixed(1, 6), _offset(easter, -2), easter, _offset(easter, 1),
+      fixed(5, 1), _offset(easter, 39), _offset(easter, 49), fixed(6, 6),
+      _weekdayBetween(year, 6, 19, 25, 5),   // Midsommarafton (Friday)
+      _weekdayBetween(year, 6, 20, 26, 6),   // Midsommardagen (Saturday)
+      _weekdayBetween(year, 10, 31, 31, 6) || _weekdayBetween(year, 11, 1, 6, 6),  // Alla helgons dag
+      fixed(12, 24), fixed(12, 25), fixed(12, 26), fixed(12, 31),
+    ];
+  } else if (country === 'DK') {
+    dates = [
+      fixed(1, 1), _offset(easter, -3), _offset(easter, -2), easter, _offset(easter, 1),
+      _offset(easter, 39), _offset(easter, 49), _offset(easter, 50), fixed(6, 5),
+      fixed(12, 24), fixed(12, 25), fixed(12, 26),
+    ];
+  }
+  const set = new Set(dates.filter(Boolean).map(_key));
+  _holidayCache.set(cacheKey, set);
+  return set;
+}
+
+/** 'weekday' | 'weekend' | 'holiday' for the local date described by `parts`. */
+function dayType(parts, tariff) {
+  const extra = Array.isArray(tariff.extraHolidays) ? tariff.extraHolidays : [];
+  if (extra.includes(parts.dateKey)) return 'holiday';
+  if (tariff.holidays && publicHolidays(tariff.holidays, parts.year).has(parts.dateKey)) return 'holiday';
+  if (parts.weekday === 0 || parts.weekday === 6) return 'weekend';
+  return 'weekday';
+}
+
+// ─── Rule matching ────────────────────────────────────────────────
+
+function _ruleMatches(rule, parts, type) {
+  if (Array.isArray(rule.months) && rule.months.length && !rule.months.includes(parts.month)) return false;
+  if (Array.isArray(rule.dayTypes) && rule.dayTypes.length && !rule.dayTypes.includes(type)) return false;
+  if (rule.from && rule.to) {
+    const from = _toMinutes(rule.from), to = _toMinutes(rule.to);
+    const inWindow = from <= to
+      ? parts.minutes >= from && parts.minutes < to
+      : parts.minutes >= from || parts.minutes < to;  // wraps midnight
+    if (!inWindow) return false;
+  }
+  return true;
+}
+
+/**
+ * Grid energy-part rate for a moment in time.
+ * @returns {{ ore: number, label: string|null }}
+ */
+function gridRateAt(date, tariff, timeZone) {
+  const parts = localParts(date, timeZone);
+  const type = dayType(parts, tariff);
+  for (const rule of tariff.energyRates || []) {
+    if (rule && typeof rule.ore === 'number' && _ruleMatches(rule, parts, type)) {
+      return { ore: rule.ore, label: rule.label || null };
+    }
+  }
+  return { ore: 0, label: null };
+}
+
+/** Sum of per-kWh fees applying at this moment (fees may be seasonal via months). */
+function feesAt(date, tariff, timeZone) {
+  const parts = localParts(date, timeZone);
+  const type = dayType(parts, tariff);
+  return (tariff.fees || [])
+    .filter(f => f && typeof f.ore === 'number' && _ruleMatches(f, parts, type))
+    .reduce((sum, f) => sum + f.ore, 0);
+}
+
+/**
+ * All-in price breakdown for one price slot.
+ *
+ * @param {number}      spotOre        - raw spot price (subunit/kWh, excl. VAT)
+ * @param {Date}        date           - slot start
+ * @param {object}      tariff         - tariff definition (see header)
+ * @param {object}      opts
+ * @param {string}      opts.timeZone
+ * @param {number|null} opts.flatOre   - flat energy price incl. VAT (Norgespris) replacing spot + markup, or null
+ * @returns {{ energyOre: number, gridOre: number, gridLabel: string|null, feesOre: number, vatOre: number, totalOre: number }}
+ */
+function priceBreakdown(spotOre, date, tariff, opts) {
+  const vat = Math.max(0, Number(tariff.vatPercent) || 0) / 100;
+  const energyOre = opts.flatOre != null
+    ? opts.flatOre / (1 + vat)
+    : spotOre + (Number(tariff.markupOre) || 0);
+  const grid = gridRateAt(date, tariff, opts.timeZone);
+  const feesOre = feesAt(date, tariff, opts.timeZone);
+  const exVat = energyOre + grid.ore + feesOre;
+  const vatOre = exVat * vat;
+  return { energyOre, gridOre: grid.ore, gridLabel: grid.label, feesOre, vatOre, totalOre: exVat + vatOre };
+}
+
+/**
+ * Validate a tariff definition.
+ * Returns { ok: true } or { ok: false, error: "..." }
+ */
+function validateTariff(tariff) {
+  if (!tariff || typeof tariff !== 'object') return { ok: false, error: 'Not an object' };
+  const vat = Number(tariff.vatPercent);
+  if (tariff.vatPercent != null && (!Number.isFinite(vat) || vat < 0 || vat > 100)) return { ok: false, error: 'vatPercent out of range (0–100)' };
+  const checkRules = (list, name) => {
+    if (list == null) return null;
+    if (!Array.isArray(list)) return `${name} must be an array`;
+    for (const [i, r] of list.entries()) {
+      if (!r || typeof r.ore !== 'number' || !Number.isFinite(r.ore)) return `${name}[${i}]: ore must be a number`;
+      if ((r.from && !r.to) || (!r.from && r.to)) return `${name}[${i}]: from and to must be set together`;
+      if (r.from && (!/^\d{1,2}:\d{2}$/.test(r.from) || !/^\d{1,2}:\d{2}$/.test(r.to))) return `${name}[${i}]: from/to must be HH:MM`;
+      if (r.months && (!Array.isArray(r.months) || r.months.some(m => !(m >= 1 && m <= 12)))) return `${name}[${i}]: months must be 1–12`;
+      if (r.dayTypes && (!Array.isArray(r.dayTypes) || r.dayTypes.some(d => !DAY_TYPES.includes(d)))) return `${name}[${i}]: dayTypes must be weekday/weekend/holiday`;
+    }
+    return null;
+  };
+  const err = checkRules(tariff.energyRates, 'energyRates') || checkRules(tariff.fees, 'fees');
+  if (err) return { ok: false, error: err };
+  if (tariff.holidays && !['NO', 'SE', 'DK'].includes(tariff.holidays)) return { ok: false, error: 'holidays must be NO, SE, DK or empty' };
+  return { ok: true };
+}
+
+module.exports = { priceBreakdown, gridRateAt, feesAt, dayType, publicHolidays, localParts, validateTariff, DAY_TYPES };
@@ -0,0 +1,134 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/home-battery.js  —  HOME BATTERY (ESS) PLANNING
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "What should each home battery charge or discharge right now?"
+//
+// Sign convention (Homey home batteries): measure_power and setpoints are
+// positive while charging, negative while discharging.
+//
+// Priority-list entry (action 'battery'):
+//   batteryMinSoc / batteryMaxSoc     — % window Power Guard may use (default 10 / 95)
+//   batteryMaxChargeW / batteryMaxDischargeW — setpoint ceilings (default 3000 W)
+//   batteryCapacityKwh                — usable capacity, sizes the cheap-hour window
+//   batteryCheapCharge                — charge in the cheapest price slots
+//   batterySetpointCap                — capability override; default: first of BATTERY_SETPOINT_CAPS
+//   batteryInvertSign                 — device expects positive = discharge
+//   flowControlled                    — fire the battery flow trigger instead of writing a capability
+//
+// Per reading, in priority-list order:
+//   1. shave  — site load above the limit (minus margin): discharge the excess
+//   2. charge — inside the cheap window: charge with the headroom left under the limit
+//   3. idle   — release the battery to its own control (setpoint null)
+// The limit is the effective limit, so the tier guard's hourly budget applies.
+// ══════════════════════════════════════════════════════════════════
+
+/** Setpoint capabilities seen on battery apps, in order of preference. */
+const BATTERY_SETPOINT_CAPS = ['target_power', 'battery_setpoint', 'target_battery_power', 'charge_discharge_power'];
+
+const BATTERY_DEFAULTS = {
+  minSoc: 10,
+  maxSoc: 95,
+  maxChargeW: 3000,
+  maxDischargeW: 3000,
+};
+
+const SHAVE_MARGIN_W = 200;   // discharge down to this far below the limit
+const MIN_SETPOINT_W = 100;   // smaller setpoints release the battery instead
+const SOC_HYSTERESIS = 3;     // % below maxSoc before cheap charging starts again
+
+function findSetpointCap(caps) {
+  return BATTERY_SETPOINT_CAPS.find(c => (caps || []).includes(c)) || null;
+}
+
+/** A home battery Power Guard can command: reports SoC and has a setpoint (or is class battery). */
+function isHomeBattery(caps, deviceClass) {
+  return (caps || []).includes('measure_battery') && (!!findSetpointCap(caps) || deviceClass === 'battery');
+}
+
+/** Entry settings merged with defaults. */
+function batteryConfig(entry) {
+  const num = (v, fb) => (Number.isFinite(Number(v)) && v !== '' && v != null ? Number(v) : fb);
+  return {
+    minSoc: num(entry.batteryMinSoc, BATTERY_DEFAULTS.minSoc),
+    maxSoc: num(entry.batteryMaxSoc, BATTERY_DEFAULTS.maxSoc),
+    maxChargeW: num(entry.batteryMaxChargeW, BATTERY_DEFAULTS.maxChargeW),
+    maxDischargeW: num(entry.batteryMaxDischargeW, BATTERY_DEFAULTS.maxDischargeW),
+    capacityKwh: num(entry.batteryCapacityKwh, null),
+  };
+}
+
+/**
+ * Hours of charging needed to reach maxSoc, rounded up to a quarter hour.
+ * @returns {number|null} null when capacity or SoC is unknown
+ */
+function hoursToFill(cfg, soc) {
+  if (!(cfg.capacityKwh > 0) || !Number.isFinite(soc) || !(cfg.maxChargeW > 0)) return null;
+  const kWh = Math.max(0, cfg.maxSoc - soc) / 100 * cfg.capacityKwh;
+  return Math.ceil(kWh / (cfg.maxChargeW / 1000) * 4) / 4;
+}
+
+/**
+ * Whether now falls in the cheapest price slots covering `hours`.
+ * @param {Array<{start: string, end: string, ore: number}>} entries - price engine slots
+ * @param {number} now - ms
+ * @param {number} hours
+ */
+function inCheapWindow(entries, now, hours) {
+  if (!(hours > 0)) return false;
+  const ahead = (entries || [])
+    .map(e => ({ start: Date.parse(e.start), end: Date.parse(e.end), ore: e.ore }))
+    .filter(e => e.end > now && Number.isFinite(e.ore))
+    .sort((a, b) => a.ore - b.ore);
+  let covered = 0;
+  for (const e of ahead) {
+    if (covered >= hours - 1e-6) break;
+    if (e.start <= now && now < e.end) return true;
+    covered += (e.end - Math.max(e.start, now)) / 3600000;
+  }
+  return false;
+}
+
+/**
+ * Plan setpoints for all batteries.
+ *
+ * @param {Array<{ deviceId: string, soc: number|null, powerW: number|null, cfg: object, cheap: boolean, prevReason: string|null }>} batteries
+ *   in priority order; powerW is the measured battery power (+ charging)
+ * @param {{ gridW: number, limitW: number }} site - gridW signed (export < 0), battery included
+ * @returns {Array<{ deviceId: string, setpointW: number|null, reason: string }>}
+ *   setpointW null = release to the battery's own control
+ */
+function planBatteries(batteries, site) {
+  const batteryW = batteries.reduce((s, b) => s + (Number.isFinite(b.powerW) ? b.powerW : 0), 0);
+  const siteLoadW = site.gridW - batteryW;
+  const targetW = site.limitW - SHAVE_MARGIN_W;
+  let excessW = siteLoadW - targetW;
+  let headroomW = -excessW;
+
+  return batteries.map(b => {
+    const { cfg } = b;
+    if (!Number.isFinite(b.soc)) return { deviceId: b.deviceId, setpointW: null, reason: 'soc unknown' };
+    if (excessW >= MIN_SETPOINT_W) {
+      if (b.soc <= cfg.minSoc) return { deviceId: b.deviceId, setpointW: null, reason: 'empty' };
+      const d = Math.min(cfg.maxDischargeW, excessW);
+      excessW -= d;
+      return { deviceId: b.deviceId, setpointW: -Math.round(d), reason: 'shave' };
+    }
+    if (b.cheap) {
+      const full = b.prevReason === 'charge' ? b.soc >= cfg.maxSoc : b.soc >= cfg.maxSoc - SOC_HYSTERESIS;
+      if (full) return { deviceId: b.deviceId, setpointW: null, reason: 'full' };
+      const c = Math.min(cfg.maxChargeW, headroomW);
+      if (c < MIN_SETPOINT_W) return { deviceId: b.deviceId, setpointW: null, reason: 'no headroom' };
+      headroomW -= c;
+      return { deviceId: b.deviceId, setpointW: Math.round(c), reason: 'charge' };
+    }
+    return { deviceId: b.deviceId, setpointW: null, reason: 'idle' };
+  });
+}
+
+module.exports = {
+  findSetpointCap, isHomeBattery, batteryConfig, hoursToFill, inCheapWindow, planBatteries,
+  BATTERY_SETPOINT_CAPS, BATTERY_DEFAULTS, MIN_SETPOINT_W,
+};
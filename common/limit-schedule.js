@@ -0,0 +1,77 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/limit-schedule.js  —  TIME-OF-DAY POWER LIMIT SCHEDULE
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Which power limit applies right now — 5 kW on weekday
+// daytime, 8 kW at night, 10 kW at the weekend?"
+//
+// Setting limitSchedule — { enabled, periods: [{ days, from, to, limitW }] }:
+//   days   — weekdays the period starts on, 0 = Sunday … 6 = Saturday
+//   from   — "HH:MM" (site time); to — "HH:MM", exclusive
+//   A period with to ≤ from runs past midnight into the next day; from = to
+//   covers the whole day. The first period covering the moment wins.
+//
+// Mode override — modeSettings.modeLimits: { home, night, away, holiday } in W,
+// empty = no override.
+//
+// Resolution: the active mode's override → the schedule → powerLimitW.
+// Profiles, the safety buffer and the tier guard apply on top (app.js).
+// ══════════════════════════════════════════════════════════════════
+
+const LIMIT_SCHEDULE_DEFAULTS = {
+  enabled: false,
+  periods: [],
+};
+
+/** Minutes since midnight of "HH:MM"; null when malformed. */
+function parseHHMM(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function validLimit(w) {
+  return Number.isFinite(Number(w)) && Number(w) > 0 && w !== '' && w != null;
+}
+
+/** Whether a period covers the moment (weekday 0 = Sunday, minutes since local midnight). */
+function periodCovers(period, weekday, minutes) {
+  const from = parseHHMM(period.from);
+  const to = parseHHMM(period.to);
+  const days = Array.isArray(period.days) ? period.days.map(Number) : [];
+  if (from == null || to == null || !days.length) return false;
+  if (from < to) return days.includes(weekday) && minutes >= from && minutes < to;
+  // Past midnight (or the whole day): today's part from `from`, yesterday's part until `to`
+  if (days.includes(weekday) && minutes >= from) return true;
+  return days.includes((weekday + 6) % 7) && minutes < to;
+}
+
+/**
+ * The schedule's limit at a moment.
+ * @returns {{ limitW: number, index: number }|null} index into schedule.periods; null = no period
+ */
+function scheduledLimit(schedule, weekday, minutes) {
+  if (!schedule || !schedule.enabled || !Array.isArray(schedule.periods)) return null;
+  const index = schedule.periods.findIndex(p => p && validLimit(p.limitW) && periodCovers(p, weekday, minutes));
+  return index >= 0 ? { limitW: Number(schedule.periods[index].limitW), index } : null;
+}
+
+/**
+ * The limit in force before profiles and margins.
+ * @param {{ powerLimitW: number, schedule: object, mode: string, modeLimits: object, weekday: number, minutes: number }} input
+ * @returns {{ limitW: number, source: 'mode'|'schedule'|'setting', index: number|null }}
+ */
+function resolveLimit({ powerLimitW, schedule, mode, modeLimits, weekday, minutes }) {
+  const override = modeLimits ? modeLimits[mode] : null;
+  if (validLimit(override)) return { limitW: Number(override), source: 'mode', index: null };
+  const sched = scheduledLimit(schedule, weekday, minutes);
+  if (sched) return { limitW: sched.limitW, source: 'schedule', index: sched.index };
+  return { limitW: Number(powerLimitW), source: 'setting', index: null };
+}
+
+module.exports = {
+  parseHHMM, periodCovers, scheduledLimit, resolveLimit,
+  LIMIT_SCHEDULE_DEFAULTS,
+};
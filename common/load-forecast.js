@@ -0,0 +1,179 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/load-forecast.js  —  SHORT-HORIZON LOAD FORECAST
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Where will site power be in 1–5 minutes, and how many kWh
+// will this hour end on?"
+//
+// Samples are accepted meter readings with the summed draw of the
+// devices Power Guard tracks at that moment: { t, w, knownW }.
+//
+//   known   — tracked device draws. They change in steps (a heater
+//             switching, a charger stepping) and are carried forward as-is.
+//   residual — w − knownW, the load Power Guard cannot see per device.
+//             Its trend is extrapolated, damped with TREND_TAU so a ramp
+//             flattens out instead of running away.
+//
+// The trend is the median pairwise slope (Theil–Sen) over FIT_WINDOW, and
+// must agree with the one over the last RECENT_WINDOW — the smaller of the
+// two wins. A single step (an oven switching on) is a level change, not a
+// ramp: it barely moves the median, and the recent window is flat again
+// soon after it.
+//
+// Idle heaters (known peak, drawing nothing now, not mitigated) may cycle
+// on at any moment; their peaks are reported as riskW, not added to the
+// forecast.
+//
+// End of hour: accumulated Wh + the 5-minute forecast for the next 5 minutes
+// + the rest of the hour at the 5-minute level, pulled towards the average
+// of the recent completed hours the longer the remainder is.
+// ══════════════════════════════════════════════════════════════════
+
+const HORIZONS_MIN = [1, 2, 3, 4, 5];
+const FIT_WINDOW_MS = 3 * 60 * 1000;    // residual trend is fitted over this window
+const RECENT_WINDOW_MS = 60 * 1000;     // trend must hold over the last minute too
+const LEVEL_WINDOW_MS = 30 * 1000;      // "now" = mean of the last 30 s
+const MIN_SAMPLES = 8;
+const MIN_SPAN_MS = 60 * 1000;          // less history than this = no trend
+const TREND_TAU_MIN = 3;                // trend contribution saturates at slope × TAU
+const MIN_TREND_W_PER_MIN = 100;        // flatter trends never trigger early mitigation
+const HISTORY_HOURS = 3;                // completed hours averaged for the end-of-hour tail
+const KEEP_MS = 10 * 60 * 1000;         // samples kept by the app
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+/** Median pairwise slope of y over x (Theil–Sen); 0 with fewer than two distinct x. */
+function medianSlope(points) {
+  const slopes = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dx = points[j].x - points[i].x;
+      if (dx !== 0) slopes.push((points[j].y - points[i].y) / dx);
+    }
+  }
+  if (!slopes.length) return 0;
+  slopes.sort((a, b) => a - b);
+  const mid = slopes.length >> 1;
+  return slopes.length % 2 ? slopes[mid] : (slopes[mid - 1] + slopes[mid]) / 2;
+}
+
+/** W/min trend of the residual: both windows must agree in sign; the smaller one wins. */
+function residualTrend(samples, now) {
+  const pts = samples.map(s => ({ x: (s.t - now) / 60000, y: s.w - (s.knownW || 0) }));
+  const full = medianSlope(pts);
+  const recent = medianSlope(pts.filter(p => p.x >= -RECENT_WINDOW_MS / 60000));
+  if (Math.sign(full) !== Math.sign(recent)) return 0;
+  return Math.abs(full) < Math.abs(recent) ? full : recent;
+}
+
+/** Damped trend contribution after `minutes`: slope × τ × (1 − e^(−t/τ)). */
+function trendOffset(wPerMin, minutes) {
+  return wPerMin * TREND_TAU_MIN * (1 - Math.exp(-minutes / TREND_TAU_MIN));
+}
+
+/** Drop samples older than KEEP_MS (mutates and returns the array). */
+function trimSamples(samples, now) {
+  while (samples.length && now - samples[0].t > KEEP_MS) samples.shift();
+  return samples;
+}
+
+/**
+ * Forecast site power for the next minutes.
+ *
+ * @param {Array<{t: number, w: number, knownW: number}>} samples - oldest first
+ * @param {number} now - ms
+ * @param {{ knownW: number, riskW?: number }} loads - tracked draw now; idle heater peaks
+ * @returns {{ ok: boolean, levelW: number|null, trendWPerMin: number, knownW: number, riskW: number,
+ *             points: Array<{minutes: number, w: number}> }}
+ *   ok=false (no trend, flat points) until MIN_SAMPLES over MIN_SPAN_MS are available.
+ */
+function forecastPower(samples, now, loads) {
+  const knownW = Math.max(0, loads.knownW || 0);
+  const riskW = Math.max(0, loads.riskW || 0);
+  const recent = samples.filter(s => now - s.t <= FIT_WINDOW_MS);
+  if (!recent.length) return { ok: false, levelW: null, trendWPerMin: 0, knownW, riskW, points: [] };
+
+  const lastLevel = recent.filter(s => now - s.t <= LEVEL_WINDOW_MS);
+  const level = lastLevel.length ? lastLevel : recent.slice(-1);
+  const residualLevel = mean(level.map(s => s.w - (s.knownW || 0)));
+  const levelW = Math.max(0, residualLevel + knownW);
+
+  const ok = recent.length >= MIN_SAMPLES && recent[recent.length - 1].t - recent[0].t >= MIN_SPAN_MS;
+  const trendWPerMin = ok ? residualTrend(recent, now) : 0;
+
+  const points = HORIZONS_MIN.map(minutes => ({
+    minutes,
+    w: Math.max(0, Math.round(levelW + trendOffset(trendWPerMin, minutes))),
+  }));
+  return { ok, levelW: Math.round(levelW), trendWPerMin: Math.round(trendWPerMin), knownW: Math.round(knownW), riskW: Math.round(riskW), points };
+}
+
+/** Forecast W at `minutes` ahead (interpolated between horizons, clamped to 1–5). */
+function forecastAt(forecast, minutes) {
+  const pts = forecast.points;
+  if (!pts.length) return null;
+  const m = Math.min(Math.max(minutes, pts[0].minutes), pts[pts.length - 1].minutes);
+  for (let i = 1; i < pts.length; i++) {
+    if (m <= pts[i].minutes) {
+      const a = pts[i - 1], b = pts[i];
+      return Math.round(a.w + (b.w - a.w) * (m - a.minutes) / (b.minutes - a.minutes));
+    }
+  }
+  return pts[0].w;
+}
+
+/**
+ * Whether the forecast crosses the limit within `leadMin` while power is still below it.
+ * Only a confident, rising trend counts — a flat level above the limit is
+ * already handled by the normal over-limit path.
+ */
+function forecastBreach(forecast, limitW, leadMin) {
+  if (!forecast.ok || !(leadMin > 0)) return false;
+  if (forecast.trendWPerMin < MIN_TREND_W_PER_MIN) return false;
+  const w = forecastAt(forecast, leadMin);
+  return w != null && w > limitW;
+}
+
+/**
+ * Project the kWh the current hour will end on.
+ *
+ * @param {{ accumulatedWh: number, msIntoHour: number, history: Array<{kWh: number}> }} hour
+ * @param {object} forecast - forecastPower() result
+ * @returns {number|null} kWh, null without a forecast level
+ */
+function projectHourKWh(hour, forecast) {
+  if (forecast.levelW == null) return null;
+  const remainingMin = Math.max(0, (3600000 - hour.msIntoHour) / 60000);
+  const nearMin = Math.min(remainingMin, HORIZONS_MIN[HORIZONS_MIN.length - 1]);
+
+  // Next minutes: trapezoids over the forecast points
+  let wh = 0;
+  let prev = { minutes: 0, w: forecast.levelW };
+  for (const p of forecast.points) {
+    if (prev.minutes >= nearMin) break;
+    const end = Math.min(p.minutes, nearMin);
+    const endW = forecastAt(forecast, end);
+    wh += (prev.w + endW) / 2 * (end - prev.minutes) / 60;
+    prev = { minutes: end, w: endW };
+  }
+
+  // Rest of the hour: the 5-minute level, pulled towards recent hours
+  const tailMin = remainingMin - nearMin;
+  if (tailMin > 0) {
+    const tailW = forecastAt(forecast, nearMin) ?? forecast.levelW;
+    const recent = (hour.history || []).slice(-HISTORY_HOURS).map(h => Number(h.kWh)).filter(Number.isFinite);
+    const historyW = recent.length ? mean(recent) * 1000 : tailW;
+    const pull = Math.min(0.5, tailMin / 120);
+    wh += (tailW * (1 - pull) + historyW * pull) * tailMin / 60;
+  }
+  return Math.round(((hour.accumulatedWh || 0) + wh)) / 1000;
+}
+
+module.exports = {
+  forecastPower, forecastAt, forecastBreach, projectHourKWh, trimSamples,
+  HORIZONS_MIN, MIN_TREND_W_PER_MIN, KEEP_MS,
+};
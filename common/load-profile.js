@@ -0,0 +1,135 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/load-profile.js  —  PER-DEVICE LOAD-PROFILE LEARNING
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "What does this device draw when it runs, how often does it
+// run, and how hard does it kick when it starts?"
+//
+// Fed with each device's live draw (from _powerConsumptionData) on every
+// meter reading. All averages are time-weighted, so the reading rate does
+// not matter:
+//
+//   onW       — draw while on (above ON_MIN_W / ON_FRACTION of onW), EWMA over ON_TAU of on-time
+//   dutyCycle — fraction of time on, EWMA over DUTY_TAU (~ a day) of observed time
+//   surgeW    — highest draw in the first SURGE_WINDOW after an off→on edge, EWMA over starts
+//   starts    — off→on edges seen
+//
+// Time while Power Guard holds the device down (mitigated) is not observed —
+// it says nothing about the device's own behaviour.
+//
+// A profile is `confident` after MIN_OBSERVED_MS of observation with at
+// least MIN_ON_MS of it on; only then do restore and ordering decisions use it.
+// ══════════════════════════════════════════════════════════════════
+
+const ON_MIN_W = 50;                      // below this a device is off / idle
+const ON_FRACTION = 0.2;                  // … or below this share of its learned on-draw
+const ON_TAU_MS = 6 * 3600 * 1000;        // on-draw adapts over ~6 h of on-time
+const DUTY_TAU_MS = 24 * 3600 * 1000;     // duty cycle adapts over ~a day
+const SURGE_WINDOW_MS = 60 * 1000;        // restart surge = peak in the first minute
+const SURGE_WEIGHT = 0.2;                 // EWMA weight per start
+const MAX_STEP_MS = 60 * 1000;            // a longer gap between readings is not observed
+const MIN_OBSERVED_MS = 2 * 3600 * 1000;
+const MIN_ON_MS = 10 * 60 * 1000;
+const LOW_RELIEF_W = 100;                 // mitigating a device freeing less than this is pointless
+
+function emptyProfile() {
+  return {
+    onW: 0, dutyCycle: 0, surgeW: 0, starts: 0,
+    observedMs: 0, onMs: 0,
+    lastOn: null, lastAt: null, surgeUntil: null, surgePeakW: 0,
+  };
+}
+
+/** Whether `w` counts as on for this profile. */
+function isOn(profile, w) {
+  return w >= Math.max(ON_MIN_W, (profile.onW || 0) * ON_FRACTION);
+}
+
+/** Time-weighted EWMA step. */
+function ewma(prev, value, dtMs, tauMs) {
+  const a = 1 - Math.exp(-dtMs / tauMs);
+  return prev + (value - prev) * a;
+}
+
+/**
+ * Fold one live reading into a profile (mutates and returns it).
+ *
+ * @param {object} profile - from emptyProfile() or storage
+ * @param {number} w - device draw now (W)
+ * @param {number} now - ms
+ * @param {boolean} [held] - device is held down by Power Guard: not observed
+ */
+function observe(profile, w, now, held) {
+  const p = profile;
+  if (!Number.isFinite(w)) return p;
+  const dt = p.lastAt == null ? 0 : now - p.lastAt;
+  p.lastAt = now;
+  if (held) { p.lastOn = null; p.surgeUntil = null; return p; }
+  const on = isOn(p, w);
+
+  // Restart surge: track the peak in the window after an off→on edge
+  if (on && p.lastOn === false) {
+    p.starts++;
+    p.surgeUntil = now + SURGE_WINDOW_MS;
+    p.surgePeakW = w;
+  } else if (p.surgeUntil != null) {
+    if (now <= p.surgeUntil && on) {
+      p.surgePeakW = Math.max(p.surgePeakW, w);
+    } else {
+      p.surgeW = p.surgeW > 0 ? p.surgeW + (p.surgePeakW - p.surgeW) * SURGE_WEIGHT : p.surgePeakW;
+      p.surgeUntil = null;
+    }
+  }
+
+  if (dt > 0 && dt <= MAX_STEP_MS) {
+    p.observedMs += dt;
+    p.dutyCycle = ewma(p.dutyCycle, on ? 1 : 0, dt, Math.min(DUTY_TAU_MS, Math.max(p.observedMs, dt)));
+    if (on) {
+      p.onMs += dt;
+      // Until the first ON_TAU of on-time, a plain running mean converges faster
+      p.onW = p.onW > 0 ? ewma(p.onW, w, dt, Math.min(ON_TAU_MS, p.onMs)) : w;
+    }
+  }
+  p.lastOn = on;
+  return p;
+}
+
+function isConfident(profile) {
+  return !!profile && profile.observedMs >= MIN_OBSERVED_MS && profile.onMs >= MIN_ON_MS && profile.onW > 0;
+}
+
+/** W to expect when the device is switched back on: on-draw or its restart surge, whichever is higher. */
+function restoreDrawW(profile) {
+  if (!isConfident(profile)) return null;
+  return Math.round(Math.max(profile.onW, profile.surgeW || 0));
+}
+
+/**
+ * W mitigating the device frees over its next cycle: the live draw while it
+ * runs, otherwise its average draw (on-draw × duty cycle).
+ * @returns {number|null} null when neither the live draw nor a confident profile says anything
+ */
+function expectedReliefW(profile, liveW) {
+  if (Number.isFinite(liveW) && liveW > 0 && isOn(profile || emptyProfile(), liveW)) return liveW;
+  if (!isConfident(profile)) return null;
+  return Math.round(profile.onW * profile.dutyCycle);
+}
+
+/** Public shape for status and the settings page. */
+function summarize(profile) {
+  return {
+    onW: Math.round(profile.onW),
+    dutyCycle: Math.round(profile.dutyCycle * 1000) / 1000,
+    surgeW: Math.round(profile.surgeW),
+    starts: profile.starts,
+    observedH: Math.round(profile.observedMs / 360000) / 10,
+    confident: isConfident(profile),
+  };
+}
+
+module.exports = {
+  emptyProfile, observe, isConfident, restoreDrawW, expectedReliefW, summarize,
+  ON_MIN_W, LOW_RELIEF_W,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/meter-register.js  —  CUMULATIVE METER REGISTER (meter_power)
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "How many kWh did the meter itself count between two instants?"
+//
+// Integrating measure_power loses energy whenever readings are missed or
+// the app restarts. Most HAN dongles also report the meter's cumulative
+// import register (meter_power, kWh). The register value at each period
+// boundary (every 15 min) is interpolated from the two readings straddling
+// it; the energy of a period is then the difference of two boundaries.
+//
+// Boundary record: { kWh, gapMs } — gapMs is the distance between the two
+// readings it was interpolated from. Callers pass the largest gap they
+// accept: meters sending list 3 once an hour (Aidon/Kaifa at hh:00:10) are
+// exact enough for hourly periods but not for 15-minute ones.
+// ══════════════════════════════════════════════════════════════════
+
+/** Capabilities carrying the import register, in order of preference. */
+const REGISTER_CAPABILITIES = ['meter_power.imported', 'meter_power.import', 'meter_power'];
+
+const BOUNDARY_MS = 15 * 60000;           // boundaries are kept at 15-minute resolution
+const MAX_BRIDGE_MS = 70 * 60000;         // longer gaps are not interpolated across
+const KEEP_BOUNDARIES_MS = 3 * 3600000;   // enough for a pending hour plus restarts
+const MAX_PLAUSIBLE_KW = 250;             // register jumps above this are treated as resets
+
+class MeterRegister {
+  constructor() {
+    this.last = null;            // { kWh, time } — latest reading
+    this.boundaries = new Map(); // boundaryMs → { kWh, gapMs }
+    this.resets = 0;             // register went backwards or jumped (meter swap, dongle reset)
+  }
+
+  /**
+   * Feed a register reading. Boundaries crossed since the previous reading are
+   * interpolated. A decrease or implausible jump drops the previous reading.
+   * @param {number} kWh
+   * @param {number} time - ms
+   * @returns {number[]} boundary timestamps recorded by this reading
+   */
+  update(kWh, time) {
+    const prev = this.last;
+    this.last = { kWh, time };
+    if (!prev || time <= prev.time) return [];
+    const gapMs = time - prev.time;
+    const delta = kWh - prev.kWh;
+    if (delta < 0 || delta > MAX_PLAUSIBLE_KW * gapMs / 3600000 + 0.01) {
+      this.resets++;
+      return [];
+    }
+    if (gapMs > MAX_BRIDGE_MS) return [];
+    const recorded = [];
+    for (let b = Math.floor(prev.time / BOUNDARY_MS) * BOUNDARY_MS + BOUNDARY_MS; b <= time; b += BOUNDARY_MS) {
+      this.boundaries.set(b, { kWh: prev.kWh + delta * (b - prev.time) / gapMs, gapMs });
+      recorded.push(b);
+    }
+    this.prune(time - KEEP_BOUNDARIES_MS);
+    return recorded;
+  }
+
+  /** Drop boundaries older than beforeMs. */
+  prune(beforeMs) {
+    for (const b of this.boundaries.keys()) {
+      if (b < beforeMs) this.boundaries.delete(b);
+    }
+  }
+
+  /** Whether the boundary at ms is known and was interpolated across at most maxGapMs. */
+  hasBoundary(ms, maxGapMs) {
+    const b = this.boundaries.get(ms);
+    return !!b && b.gapMs <= maxGapMs;
+  }
+
+  /**
+   * Energy counted by the meter between two boundaries.
+   * @param {number} startMs
+   * @param {number} endMs
+   * @param {number} maxGapMs - largest reading gap accepted at either boundary
+   * @returns {number|null} kWh, or null when either boundary is missing or too coarse
+   */
+  deltaKWh(startMs, endMs, maxGapMs) {
+    if (!this.hasBoundary(startMs, maxGapMs) || !this.hasBoundary(endMs, maxGapMs)) return null;
+    const kWh = this.boundaries.get(endMs).kWh - this.boundaries.get(startMs).kWh;
+    return kWh >= 0 ? kWh : null;
+  }
+
+  /** Plain object for homey.settings. */
+  toJSON() {
+    return { last: this.last, boundaries: [...this.boundaries.entries()], resets: this.resets };
+  }
+
+  static fromJSON(saved) {
+    const reg = new MeterRegister();
+    if (saved && typeof saved === 'object') {
+      if (saved.last && Number.isFinite(saved.last.kWh) && Number.isFinite(saved.last.time)) reg.last = saved.last;
+      if (Array.isArray(saved.boundaries)) reg.boundaries = new Map(saved.boundaries);
+      reg.resets = saved.resets || 0;
+    }
+    return reg;
+  }
+}
+
+module.exports = { MeterRegister, REGISTER_CAPABILITIES, BOUNDARY_MS, MAX_BRIDGE_MS };
@@ -0,0 +1,149 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/meter-topology.js  —  MULTI-METER SITE POWER
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "What does the site draw, given several meters?"
+//
+// Topology (stored under homey.settings key 'meterTopology'):
+// {
+//   enabled: true,
+//   sources: [
+//     { deviceId: 'abc', name: 'Supply A', op: 'add' },
+//     { deviceId: 'def', name: 'Supply B', op: 'add', phaseMap: [2, 3, 1] },
+//     { deviceId: 'ghi', name: 'Solar inverter', op: 'subtract', onStale: 'zero' },
+//   ],
+// }
+//
+//   op        — 'add' | 'subtract'; site W = Σ add − Σ subtract
+//   phaseMap  — site phase (1–3, 0 = ignore) fed by the source's L1/L2/L3;
+//               default [1, 2, 3]. Use it when a supply or inverter is
+//               rotated against the main meter.
+//   staleAfterS — no reading for this long = stale (default 30 s)
+//   onStale   — 'hold' : keep the last value
+//               'zero' : count it as 0 W
+//               'fail' : the site signal is unusable until it recovers
+//               Default: 'hold' for added sources, 'zero' for subtracted ones —
+//               both err towards a higher site power.
+// ══════════════════════════════════════════════════════════════════
+
+const OPS = ['add', 'subtract'];
+const STALE_POLICIES = ['hold', 'zero', 'fail'];
+const DEFAULT_STALE_AFTER_S = 30;
+const MAX_SOURCES = 8;
+
+/** Source phase 1–3 → per-phase current capability ids, in order of preference. */
+const PHASE_CURRENT_CAPS = {
+  1: ['measure_current.phase_a', 'measure_current.L1'],
+  2: ['measure_current.phase_b', 'measure_current.L2'],
+  3: ['measure_current.phase_c', 'measure_current.L3'],
+};
+
+function staleAfterMs(source) {
+  return (Number(source.staleAfterS) || DEFAULT_STALE_AFTER_S) * 1000;
+}
+
+function stalePolicy(source) {
+  return STALE_POLICIES.includes(source.onStale) ? source.onStale : (source.op === 'subtract' ? 'zero' : 'hold');
+}
+
+/**
+ * Combine the latest per-source readings into one site reading.
+ *
+ * @param {object} topology
+ * @param {object} states - deviceId → { powerW, time, phases: { 1: A, 2: A, 3: A } } (missing = never read)
+ * @param {number} now - ms
+ * @returns {{ ok: boolean, powerW: number|null, phaseCurrents: {1: number, 2: number, 3: number}|null,
+ *             stale: string[], failed: string[], contributions: Array<{deviceId, name, op, powerW, stale}> }}
+ *   ok=false when a 'fail' source is stale, or no source has reported yet.
+ *   phaseCurrents is null unless every source with a non-ignored phase reports all of them.
+ */
+function combineReadings(topology, states, now) {
+  let powerW = 0;
+  let anyFresh = false;
+  const stale = [], failed = [], contributions = [];
+  const phaseSum = { 1: 0, 2: 0, 3: 0 };
+  let phasesComplete = true;
+
+  for (const src of topology.sources || []) {
+    const st = states[src.deviceId];
+    const sign = src.op === 'subtract' ? -1 : 1;
+    const isStale = !st || st.time == null || now - st.time > staleAfterMs(src);
+    let value = st && Number.isFinite(st.powerW) ? st.powerW : null;
+    if (isStale) {
+      stale.push(src.deviceId);
+      const policy = stalePolicy(src);
+      if (policy === 'fail' || (policy === 'hold' && value === null)) failed.push(src.deviceId);
+      if (policy === 'zero') value = 0;
+    } else {
+      anyFresh = true;
+    }
+    contributions.push({ deviceId: src.deviceId, name: src.name || src.deviceId, op: src.op || 'add', powerW: value, stale: isStale });
+    if (value !== null) powerW += sign * value;
+
+    // Per-phase currents, rotated into site phases
+    const map = Array.isArray(src.phaseMap) && src.phaseMap.length === 3 ? src.phaseMap : [1, 2, 3];
+    if (isStale && stalePolicy(src) === 'zero') continue;
+    for (let p = 1; p <= 3; p++) {
+      const sitePhase = map[p - 1];
+      if (!sitePhase) continue;
+      const amps = st && st.phases ? st.phases[p] : null;
+      if (!Number.isFinite(amps)) { phasesComplete = false; continue; }
+      phaseSum[sitePhase] += sign * amps;
+    }
+  }
+
+  const ok = failed.length === 0 && anyFresh;
+  return {
+    ok,
+    powerW: ok ? powerW : null,
+    phaseCurrents: ok && phasesComplete ? { 1: Math.max(0, phaseSum[1]), 2: Math.max(0, phaseSum[2]), 3: Math.max(0, phaseSum[3]) } : null,
+    stale,
+    failed,
+    contributions,
+  };
+}
+
+/** Read a source's phase currents (1–3 → A) from a capability value lookup. */
+function readPhaseCurrents(getValue) {
+  const phases = {};
+  for (const [phase, caps] of Object.entries(PHASE_CURRENT_CAPS)) {
+    for (const cap of caps) {
+      const v = getValue(cap);
+      if (v != null && Number.isFinite(Number(v))) { phases[phase] = Number(v); break; }
+    }
+  }
+  return phases;
+}
+
+/**
+ * Validate a topology definition.
+ * Returns { ok: true } or { ok: false, error: "..." }
+ */
+function validateTopology(topology) {
+  if (!topology || typeof topology !== 'object') return { ok: false, error: 'Not an object' };
+  if (!Array.isArray(topology.sources)) return { ok: false, error: 'sources must be an array' };
+  if (topology.sources.length > MAX_SOURCES) return { ok: false, error: `At most ${MAX_SOURCES} sources` };
+  const seen = new Set();
+  for (const [i, s] of topology.sources.entries()) {
+    if (!s || typeof s.deviceId !== 'string' || !s.deviceId) return { ok: false, error: `sources[${i}]: deviceId is required` };
+    if (seen.has(s.deviceId)) return { ok: false, error: `sources[${i}]: meter listed twice` };
+    seen.add(s.deviceId);
+    if (s.op != null && !OPS.includes(s.op)) return { ok: false, error: `sources[${i}]: op must be add or subtract` };
+    if (s.onStale != null && !STALE_POLICIES.includes(s.onStale)) return { ok: false, error: `sources[${i}]: onStale must be hold, zero or fail` };
+    if (s.staleAfterS != null && !(Number(s.staleAfterS) >= 5 && Number(s.staleAfterS) <= 600)) return { ok: false, error: `sources[${i}]: staleAfterS must be 5–600` };
+    if (s.phaseMap != null && !(Array.isArray(s.phaseMap) && s.phaseMap.length === 3 && s.phaseMap.every(p => [0, 1, 2, 3].includes(p)))) {
+      return { ok: false, error: `sources[${i}]: phaseMap must be three site phases (1–3, 0 = ignore)` };
+    }
+  }
+  if (topology.enabled && !topology.sources.some(s => s.op !== 'subtract')) {
+    return { ok: false, error: 'At least one meter must be added' };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  combineReadings, readPhaseCurrents, validateTopology, stalePolicy, staleAfterMs,
+  OPS, STALE_POLICIES, PHASE_CURRENT_CAPS, DEFAULT_STALE_AFTER_S, MAX_SOURCES,
+};
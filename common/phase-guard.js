@@ -0,0 +1,133 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/phase-guard.js  —  PER-PHASE CURRENT LIMITS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Is one phase over its fuse while the total is fine, what
+// do we shed for it, and is there room on the phase to restore?"
+//
+// Limits are phase1LimitA / phase2LimitA / phase3LimitA (0 = off); the
+// currents are the HAN meter's per-phase readings (L1–L3).
+//
+// Which phases a device sits on:
+//   [1] / [2] / [3] — the entry's phase (set by the user, or inferred —
+//                     common/phase-infer.js)
+//   [1, 2] / [2, 3] / [1, 3] — 1-phase devices across two lines (IT grids,
+//                     entry phase 'L1-L2' etc.)
+//   [1, 2, 3] — 3-phase devices (entry phase '3ph', chargers with 3
+//               detected/configured phases)
+//   null      — unknown: may sit on any phase
+//
+// Grid type ('tn' | 'it') sets the line-to-line voltage: 400 V on TN,
+// 230 V on IT. A device of drawW puts on each of its lines:
+//   one line         drawW / 230 V
+//   two lines        drawW / line-to-line V
+//   three lines      drawW / (√3 × line-to-line V)
+// Shedding for a phase works in "phase W" — A on that phase × 230 V.
+//
+// Shedding for an overloaded phase plans over the devices known to sit on
+// it; devices of unknown phase only count when none of those are left —
+// they may well be on it. Devices known to sit elsewhere never count.
+// ══════════════════════════════════════════════════════════════════
+
+const PHASES = [1, 2, 3];
+const PHASE_VOLTAGE = 230;
+const LINE_VOLTAGE = { tn: 400, it: 230 };
+const PHASE_SHED_MARGIN_A = 1;          // shed to this far below the phase limit
+const PHASE_RESTORE_MARGIN_A = 1;       // restore / ramp only with this much left on the phase
+
+/** Per-phase limits in A from settings; null where off. */
+function phaseLimits(settings) {
+  const out = {};
+  for (const p of PHASES) {
+    const v = Number(settings[`phase${p}LimitA`]);
+    out[p] = Number.isFinite(v) && v > 0 ? v : null;
+  }
+  return out;
+}
+
+function anyPhaseLimit(limits) {
+  return PHASES.some(p => limits[p] != null);
+}
+
+/**
+ * Phases over their limit, worst first.
+ * @param {{1: number, 2: number, 3: number}|null} currents - A
+ * @param {object} limits - phaseLimits()
+ * @returns {Array<{ phase: number, amps: number, limitA: number, overA: number }>}
+ */
+function phaseOverloads(currents, limits) {
+  if (!currents) return [];
+  return PHASES
+    .filter(p => limits[p] != null && Number.isFinite(currents[p]) && currents[p] > limits[p])
+    .map(p => ({ phase: p, amps: currents[p], limitA: limits[p], overA: currents[p] - limits[p] }))
+    .sort((a, b) => b.overA - a.overA);
+}
+
+/** Smallest room (A) left on the given phases (null = all); Infinity without limits or readings. */
+function phaseRoomA(currents, limits, phases) {
+  let room = Infinity;
+  if (!currents) return room;
+  for (const p of phases || PHASES) {
+    if (limits[p] == null || !Number.isFinite(currents[p])) continue;
+    room = Math.min(room, limits[p] - currents[p]);
+  }
+  return room;
+}
+
+/** W per A on each line for a device on `phases` (unknown phase: a single line). */
+function wattsPerLineA(phases, grid) {
+  const n = phases ? phases.length : 1;
+  const lineV = LINE_VOLTAGE[grid] || LINE_VOLTAGE.tn;
+  if (n === 1) return PHASE_VOLTAGE;
+  return n === 2 ? lineV : Math.sqrt(3) * lineV;
+}
+
+/** A drawn on each of the device's lines by drawW (unknown phase: all of it on one). */
+function phaseDrawA(drawW, phases, grid) {
+  return drawW / wattsPerLineA(phases, grid);
+}
+
+/** Phase W (A × 230 V) that drawW puts on each of the device's lines. */
+function phaseShareW(drawW, phases, grid) {
+  return phaseDrawA(drawW, phases, grid) * PHASE_VOLTAGE;
+}
+
+/** Whether drawW fits on the device's phases with PHASE_RESTORE_MARGIN_A to spare. */
+function restoreFitsPhases(currents, limits, phases, drawW, grid) {
+  return phaseRoomA(currents, limits, phases) - phaseDrawA(drawW, phases, grid) >= PHASE_RESTORE_MARGIN_A;
+}
+
+/**
+ * W to shed to get a phase PHASE_SHED_MARGIN_A below its limit: in phase W by
+ * default (what phaseCandidates() plans in), or as the draw of a device on
+ * `phases` — e.g. the total when the load is spread over all three.
+ */
+function phaseNeedW(overload, phases = null, grid) {
+  return (overload.overA + PHASE_SHED_MARGIN_A) * wattsPerLineA(phases, grid);
+}
+
+/**
+ * Shed candidates for one phase, in the form planShed() takes: reliefW is
+ * what the device frees on that phase, in phase W.
+ *
+ * @param {Array<{ deviceId: string, action: string, reliefW: number|null, phases: number[]|null }>} candidates
+ *   in mitigation order
+ * @param {number} phase
+ * @param {string} [grid] - 'tn' | 'it'
+ * @returns {{ candidates: object[], known: boolean }} known=false when falling back to unknown phases
+ */
+function phaseCandidates(candidates, phase, grid) {
+  const onPhase = candidates
+    .filter(c => c.phases && c.phases.includes(phase))
+    .map(c => ({ ...c, reliefW: c.reliefW != null ? phaseShareW(c.reliefW, c.phases, grid) : null }));
+  if (onPhase.length) return { candidates: onPhase, known: true };
+  return { candidates: candidates.filter(c => !c.phases), known: false };
+}
+
+module.exports = {
+  phaseLimits, anyPhaseLimit, phaseOverloads, phaseRoomA, wattsPerLineA, phaseDrawA, phaseShareW, restoreFitsPhases,
+  phaseNeedW, phaseCandidates,
+  PHASES, PHASE_VOLTAGE, LINE_VOLTAGE, PHASE_RESTORE_MARGIN_A,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/phase-infer.js  —  DEVICE-TO-PHASE INFERENCE
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Which phase is this heater on?" — from the meter, without
+// the user opening the fuse box.
+//
+// Every time a device's measure_power steps by STEP_MIN_W or more, the
+// HAN phase currents just before the step (BEFORE_MS) are compared with
+// those just after it (SETTLE_MS … AFTER_MS). The hypotheses depend on the
+// grid type (common/phase-guard.js phaseDrawA):
+//   TN — a 1-phase device of ΔW moves one phase by ΔW / 230 V; a 3-phase
+//        device moves all three by ΔW / 690 V
+//   IT — a 1-phase device sits across two lines and moves both by
+//        ΔW / 230 V; a 3-phase device moves all three by ΔW / 400 V
+// The hypothesis closest to the observed jump gets a vote, when it is
+// within MATCH_TOL of the step and clearly ahead of the next. Steps with
+// another device stepping close by are thrown away.
+//
+// Priority-list entry:
+//   phase — 'L1' | 'L2' | 'L3' | 'L1-L2' | 'L2-L3' | 'L1-L3' | '3ph' set
+//           (or confirmed) by the user; empty = use the inference once it
+//           is confident (USE_CONFIDENCE over MIN_EVENTS steps or more)
+// ══════════════════════════════════════════════════════════════════
+
+const { phaseDrawA, PHASE_VOLTAGE } = require('./phase-guard');
+
+const HYPOTHESES = {
+  tn: ['L1', 'L2', 'L3', '3ph'],
+  it: ['L1-L2', 'L2-L3', 'L1-L3', '3ph'],
+};
+const STEP_MIN_W = 400;
+const BEFORE_MS = 10000;
+const SETTLE_MS = 4000;                 // meter lag after the step
+const AFTER_MS = 15000;
+const QUIET_MS = 15000;                 // no other step this close
+const SAMPLE_KEEP_MS = 60000;
+const MATCH_TOL = 0.35;                 // residual at most 35 % of the single-phase step
+const AMBIGUOUS = 0.15;                 // runner-up must be this much further off
+const MIN_EVENTS = 3;
+const USE_CONFIDENCE = 0.7;
+
+const PHASE_SETS = {
+  'L1': [1], 'L2': [2], 'L3': [3],
+  'L1-L2': [1, 2], 'L2-L3': [2, 3], 'L1-L3': [1, 3],
+  '3ph': [1, 2, 3],
+};
+
+/** Phases of a phase value: [1], [1, 2], [1, 2, 3], …; null when unset. */
+function phasesOf(value) {
+  return PHASE_SETS[value] ? PHASE_SETS[value].slice() : null;
+}
+
+/** Append a phase-current snapshot (mutates); drops samples older than SAMPLE_KEEP_MS. */
+function recordSample(samples, t, amps) {
+  if (!amps || [1, 2, 3].some(p => !Number.isFinite(amps[p]))) return samples;
+  samples.push({ t, a: { 1: amps[1], 2: amps[2], 3: amps[3] } });
+  while (samples.length && samples[0].t < t - SAMPLE_KEEP_MS) samples.shift();
+  return samples;
+}
+
+/** Mean current per phase over [from, to); null without samples. */
+function meanAmps(samples, from, to) {
+  const win = samples.filter(s => s.t >= from && s.t < to);
+  if (!win.length) return null;
+  const out = { 1: 0, 2: 0, 3: 0 };
+  for (const s of win) for (const p of [1, 2, 3]) out[p] += s.a[p] / win.length;
+  return out;
+}
+
+/**
+ * The hypothesis that explains a step, if any.
+ * @param {number} deltaW - device step (signed)
+ * @param {{1: number, 2: number, 3: number}} deltaA - phase current change (signed)
+ * @param {string} [grid] - 'tn' | 'it'
+ * @returns {string|null} one of HYPOTHESES[grid]
+ */
+function classifyStep(deltaW, deltaA, grid) {
+  const scale = Math.abs(deltaW) / PHASE_VOLTAGE;
+  const scored = (HYPOTHESES[grid] || HYPOTHESES.tn).map(h => {
+    const phases = phasesOf(h);
+    let sq = 0;
+    for (const p of [1, 2, 3]) {
+      const exp = phases.includes(p) ? phaseDrawA(deltaW, phases, grid) : 0;
+      sq += (deltaA[p] - exp) ** 2;
+    }
+    return { h, r: Math.sqrt(sq) };
+  }).sort((a, b) => a.r - b.r);
+  if (scored[0].r > MATCH_TOL * scale) return null;
+  if (scored[1].r - scored[0].r < AMBIGUOUS * scale) return null;
+  return scored[0].h;
+}
+
+/**
+ * Judge a step once AFTER_MS has passed.
+ * @param {{ deviceId: string, t: number, deltaW: number }} step
+ * @param {Array<{ t: number, a: object }>} samples
+ * @param {Array<{ deviceId: string, t: number }>} steps - all recent steps (any device)
+ * @param {string} [grid] - 'tn' | 'it'
+ * @returns {{ hyp: string|null, reason: string }}
+ */
+function judgeStep(step, samples, steps, grid) {
+  if (steps.some(o => o !== step && o.deviceId !== step.deviceId && Math.abs(o.t - step.t) < QUIET_MS)) {
+    return { hyp: null, reason: 'overlap' };
+  }
+  const before = meanAmps(samples, step.t - BEFORE_MS, step.t);
+  const after = meanAmps(samples, step.t + SETTLE_MS, step.t + AFTER_MS);
+  if (!before || !after) return { hyp: null, reason: 'no phase data' };
+  const hyp = classifyStep(step.deltaW, { 1: after[1] - before[1], 2: after[2] - before[2], 3: after[3] - before[3] }, grid);
+  return { hyp, reason: hyp ? 'match' : 'no fit' };
+}
+
+/** Fold a judged step into a device's tally (mutates; creates it when missing). */
+function tally(st, hyp, now) {
+  const out = st || { votes: {}, events: 0, rejected: 0 };
+  if (hyp) {
+    out.votes[hyp] = (out.votes[hyp] || 0) + 1;
+    out.events++;
+  } else {
+    out.rejected++;
+  }
+  out.updatedAt = now;
+  return out;
+}
+
+/**
+ * Inferred phase with its confidence: the leading hypothesis's share of the
+ * matched steps, discounted for few steps (votes / (events + 1)). Votes for
+ * hypotheses of another grid type (grid setting changed) are left out.
+ * @param {object} st - tally()
+ * @param {string} [grid] - 'tn' | 'it'
+ * @returns {{ phase: string, confidence: number, events: number, usable: boolean }|null}
+ */
+function inference(st, grid) {
+  const hyps = HYPOTHESES[grid] || HYPOTHESES.tn;
+  const votes = st ? Object.entries(st.votes).filter(([h]) => hyps.includes(h)) : [];
+  if (!votes.length) return null;
+  const events = votes.reduce((sum, [, n]) => sum + n, 0);
+  const [phase, top] = votes.sort((a, b) => b[1] - a[1])[0];
+  const confidence = Math.round(top / (events + 1) * 100) / 100;
+  return { phase, confidence, events, usable: events >= MIN_EVENTS && confidence >= USE_CONFIDENCE };
+}
+
+module.exports = {
+  phasesOf, recordSample, meanAmps, classifyStep, judgeStep, tally, inference,
+  HYPOTHESES, STEP_MIN_W, AFTER_MS, QUIET_MS, MIN_EVENTS, USE_CONFIDENCE,
+};
@@ -0,0 +1,418 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/price-providers.js  —  SPOT PRICE PROVIDERS
+// ══════════════════════════════════════════════════════════════════
+// Pure fetch/parse module — no Homey/app dependencies.
+// Used by the price engine (app.js SECTION 12) to pull day-ahead prices
+// from whichever source is configured, with a fallback chain.
+//
+// Provider interface (one object per backend in PRICE_PROVIDERS):
+// {
+//   id:           'nordpool',
+//   label:        'Nord Pool',
+//   areas:        ['NO1', ...] | null,      // null = any area / decided by the source
+//   isConfigured: (cfg) => boolean,         // false → skipped in the chain (e.g. missing token)
+//   fetchDay:     async (day, ctx) => rows, // one local calendar day
+// }
+//
+//   day  = { year: '2025', month: '01', day: '31' }   (local date in ctx.timeZone)
+//   ctx  = { area, currency, timeZone, cfg }
+//   rows = [{ start: ISO string, end: ISO string, pricePerKwh: number, currency: 'NOK' }]
+//
+// pricePerKwh is the raw spot price in the main currency unit per kWh
+// (excl. VAT and nettleie) — all adjustments happen in _priceParseRows.
+// An empty array means "no data for this day yet" (e.g. tomorrow before ~13:00).
+//
+// Adding a provider: implement the interface above and add it to PRICE_PROVIDERS.
+// ══════════════════════════════════════════════════════════════════
+
+const https = require('https');
+const fs    = require('fs');
+
+const HTTP_TIMEOUT_MS = 15000;
+
+// ENTSO-E bidding zone EIC codes
+const ENTSOE_AREA_CODES = {
+  NO1: '10YNO-1--------2',
+  NO2: '10YNO-2--------T',
+  NO3: '10YNO-3--------J',
+  NO4: '10YNO-4--------9',
+  NO5: '10Y1001A1001A48H',
+  SE1: '10Y1001A1001A44P',
+  SE2: '10Y1001A1001A45N',
+  SE3: '10Y1001A1001A46L',
+  SE4: '10Y1001A1001A47J',
+  DK1: '10YDK-1--------W',
+  DK2: '10YDK-2--------M',
+  FI:  '10YFI-1--------U',
+};
+
+const NORDPOOL_AREAS = ['NO1', 'NO2', 'NO3', 'NO4', 'NO5', 'SE1', 'SE2', 'SE3', 'SE4', 'DK1', 'DK2', 'FI', 'EE', 'LV', 'LT'];
+
+// ─── Shared helpers ───────────────────────────────────────────────
+
+/**
+ * Minimal https request that resolves with the response body as text.
+ * Any non-2xx status rejects. Secrets in the query string are masked in errors.
+ */
+function _request(url, { method = 'GET', headers = {}, body = null, timeoutMs = HTTP_TIMEOUT_MS } = {}) {
+  const safeUrl = String(url).replace(/(securityToken=)[^&]+/i, '$1***');
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers }, (res) => {
+      let raw = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { raw += chunk; });
+      res.on('end', () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`HTTP ${res.statusCode} for ${safeUrl}`));
+          return;
+        }
+        resolve(raw);
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`Timeout after ${timeoutMs}ms for ${safeUrl}`)));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+/** Offset (ms) between the wall clock in timeZone and UTC at the given instant. */
+function _tzOffsetMs(date, timeZone) {
+  const p = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(date);
+  const get = (t) => Number(p.find(x => x.type === t).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * UTC window [from, to) covering one local calendar day in timeZone.
+ * Handles 23h/25h DST days.
+ */
+function dayWindow(day, timeZone) {
+  const localMidnight = (y, m, d) => {
+    const guess = Date.UTC(y, m - 1, d);
+    let ts = guess - _tzOffsetMs(new Date(guess), timeZone);
+    ts = guess - _tzOffsetMs(new Date(ts), timeZone);  // second pass settles DST edges
+    return new Date(ts);
+  };
+  const y = Number(day.year), m = Number(day.month), d = Number(day.day);
+  const next = new Date(Date.UTC(y, m - 1, d + 1));
+  return {
+    from: localMidnight(y, m, d),
+    to:   localMidnight(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate()),
+  };
+}
+
+/** Local calendar date parts of `date` in timeZone → { year, month, day } (zero-padded strings). */
+function toDateParts(date, timeZone) {
+  const p = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(date);
+  return { year: p.find(x => x.type === 'year').value, month: p.find(x => x.type === 'month').value, day: p.find(x => x.type === 'day').value };
+}
+
+/**
+ * Fill in missing `end` values from the next row's start.
+ * The last row reuses the previous slot length (or 60 min if there is only one row).
+ */
+function _fillEnds(rows) {
+  const sorted = rows.slice().sort((a, b) => new Date(a.start) - new Date(b.start));
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].end) continue;
+    const startMs = new Date(sorted[i].start).getTime();
+    let slotMs = 3600000;
+    if (i + 1 < sorted.length) slotMs = new Date(sorted[i + 1].start).getTime() - startMs;
+    else if (i > 0) slotMs = startMs - new Date(sorted[i - 1].start).getTime();
+    sorted[i].end = new Date(startMs + slotMs).toISOString();
+  }
+  return sorted;
+}
+
+/** Keep only rows whose start falls inside the local day window. */
+function _filterToDay(rows, day, timeZone) {
+  const { from, to } = dayWindow(day, timeZone);
+  return rows.filter(r => {
+    const t = new Date(r.start).getTime();
+    return t >= from.getTime() && t < to.getTime();
+  });
+}
+
+// ─── hvakosterstrommen.no ─────────────────────────────────────────
+// Free JSON API for Norwegian areas. Prices are already in NOK/kWh.
+
+const hvakosterstrommen = {
+  id: 'hvakosterstrommen',
+  label: 'hvakosterstrommen.no',
+  areas: ['NO1', 'NO2', 'NO3', 'NO4', 'NO5'],
+  isConfigured: () => true,
+  async fetchDay(day, ctx) {
+    const url = `https://www.hvakosterstrommen.no/api/v1/prices/${day.year}/${day.month}-${day.day}_${ctx.area}.json`;
+    const data = JSON.parse(await _request(url));
+    if (!Array.isArray(data)) throw new Error(`Unexpected response: ${JSON.stringify(data).slice(0, 120)}`);
+    const key = `${ctx.currency}_per_kWh`;
+    return data
+      .filter(r => r && typeof r[key] === 'number' && r.time_start)
+      .map(r => ({ start: r.time_start, end: r.time_end, pricePerKwh: r[key], currency: ctx.currency }));
+  },
+};
+
+// ─── ENTSO-E Transparency Platform ────────────────────────────────
+// Day-ahead prices (documentType A44) as XML, quoted in EUR/MWh.
+// Requires a free security token (cfg.entsoeToken).
+
+/**
+ * Parse an ENTSO-E Publication_MarketDocument into rows (EUR/MWh).
+ * Curve type A03 may omit positions whose price equals the previous one —
+ * those gaps are filled forward.
+ */
+function parseEntsoeXml(xml) {
+  if (/<Acknowledgement_MarketDocument/.test(xml)) {
+    const reason = (xml.match(/<text>([^<]*)<\/text>/) || [])[1] || 'no data';
+    // "No matching data found" is the normal answer before tomorrow is published
+    if (/no matching data/i.test(reason)) return [];
+    throw new Error(`ENTSO-E: ${reason}`);
+  }
+  const rows = [];
+  const periods = xml.match(/<Period>[\s\S]*?<\/Period>/g) || [];
+  for (const period of periods) {
+    const interval = period.match(/<timeInterval>\s*<start>([^<]+)<\/start>\s*<end>([^<]+)<\/end>/);
+    const res = period.match(/<resolution>PT(\d+)M<\/resolution>/);
+    if (!interval || !res) continue;
+    const startMs = new Date(interval[1]).getTime();
+    const endMs   = new Date(interval[2]).getTime();
+    const slotMs  = Number(res[1]) * 60000;
+    if (isNaN(startMs) || isNaN(endMs) || !slotMs) continue;
+    const byPos = new Map();
+    for (const m of period.matchAll(/<Point>\s*<position>(\d+)<\/position>\s*<price\.amount>([-\d.]+)<\/price\.amount>/g)) {
+      byPos.set(Number(m[1]), Number(m[2]));
+    }
+    const slots = Math.round((endMs - startMs) / slotMs);
+    let last = null;
+    for (let pos = 1; pos <= slots; pos++) {
+      if (byPos.has(pos)) last = byPos.get(pos);
+      if (last === null) continue;
+      const s = startMs + (pos - 1) * slotMs;
+      rows.push({ start: new Date(s).toISOString(), end: new Date(s + slotMs).toISOString(), eurPerMwh: last });
+    }
+  }
+  return rows;
+}
+
+const entsoe = {
+  id: 'entsoe',
+  label: 'ENTSO-E',
+  areas: Object.keys(ENTSOE_AREA_CODES),
+  isConfigured: (cfg) => !!(cfg && cfg.entsoeToken),
+  async fetchDay(day, ctx) {
+    const eic = ENTSOE_AREA_CODES[ctx.area];
+    if (!eic) throw new Error(`Area ${ctx.area} not supported by ENTSO-E`);
+    const { from, to } = dayWindow(day, ctx.timeZone);
+    const fmt = (d) => d.toISOString().slice(0, 16).replace(/[-:T]/g, '');  // yyyyMMddHHmm (UTC)
+    const url = 'https://web-api.tp.entsoe.eu/api'
+      + `?securityToken=${encodeURIComponent(ctx.cfg.entsoeToken)}`
+      + `&documentType=A44&in_Domain=${eic}&out_Domain=${eic}`
+      + `&periodStart=${fmt(from)}&periodEnd=${fmt(to)}`;
+    const rows = parseEntsoeXml(await _request(url));
+    // EUR/MWh → main currency per kWh
+    const rate = ctx.currency === 'EUR' ? 1 : Number(ctx.cfg.eurExchangeRate) || 0;
+    if (!rate) throw new Error(`No EUR→${ctx.currency} exchange rate configured`);
+    return _filterToDay(rows, day, ctx.timeZone)
+      .map(r => ({ start: r.start, end: r.end, pricePerKwh: (r.eurPerMwh / 1000) * rate, currency: ctx.currency }));
+  },
+};
+
+// ─── Nord Pool data portal ────────────────────────────────────────
+// Public day-ahead JSON. Prices are returned in the requested currency per MWh.
+// A 204 / empty body means the day has not been published yet.
+
+const nordpool = {
+  id: 'nordpool',
+  label: 'Nord Pool',
+  areas: NORDPOOL_AREAS,
+  isConfigured: () => true,
+  async fetchDay(day, ctx) {
+    const url = 'https://dataportal-api.nordpoolgroup.com/api/DayAheadPrices'
+      + `?date=${day.year}-${day.month}-${day.day}&market=DayAhead`
+      + `&deliveryArea=${encodeURIComponent(ctx.area)}&currency=${encodeURIComponent(ctx.currency)}`;
+    const raw = await _request(url);
+    if (!raw || !raw.trim()) return [];
+    const data = JSON.parse(raw);
+    const entries = (data && data.multiAreaEntries) || [];
+    return entries
+      .filter(e => e && e.deliveryStart && e.entryPerArea && typeof e.entryPerArea[ctx.area] === 'number')
+      .map(e => ({ start: e.deliveryStart, end: e.deliveryEnd, pricePerKwh: e.entryPerArea[ctx.area] / 1000, currency: ctx.currency }));
+  },
+};
+
+// ─── Tibber-style GraphQL ─────────────────────────────────────────
+// Any endpoint speaking Tibber's priceInfo schema (api.tibber.com or a
+// self-hosted stand-in). Only today/tomorrow are available, so the
+// requested day is filtered out of both. `energy` is the spot part, excl. tax.
+
+const TIBBER_QUERY = '{ viewer { homes { id currentSubscription { priceInfo { '
+  + 'today { startsAt energy currency } tomorrow { startsAt energy currency } } } } } }';
+
+const tibber = {
+  id: 'tibber',
+  label: 'Tibber (GraphQL)',
+  areas: null,
+  isConfigured: (cfg) => !!(cfg && cfg.tibberToken),
+  async fetchDay(day, ctx) {
+    const url = ctx.cfg.tibberUrl || 'https://api.tibber.com/v1-beta/gql';
+    const body = JSON.stringify({ query: TIBBER_QUERY });
+    const raw = await _request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        Authorization: `Bearer ${ctx.cfg.tibberToken}`,
+      },
+      body,
+    });
+    const data = JSON.parse(raw);
+    if (data.errors && data.errors.length) throw new Error(`GraphQL: ${data.errors[0].message}`);
+    const homes = (data.data && data.data.viewer && data.data.viewer.homes) || [];
+    const home = homes.find(h => ctx.cfg.tibberHomeId ? h.id === ctx.cfg.tibberHomeId : h.currentSubscription)
+      || null;
+    if (!home || !home.currentSubscription) throw new Error('No home with an active subscription');
+    const info = home.currentSubscription.priceInfo || {};
+    const rows = [].concat(info.today || [], info.tomorrow || [])
+      .filter(p => p && p.startsAt && typeof p.energy === 'number')
+      .map(p => ({ start: new Date(p.startsAt).toISOString(), end: null, pricePerKwh: p.energy, currency: p.currency || ctx.currency }));
+    return _filterToDay(_fillEnds(rows), day, ctx.timeZone);
+  },
+};
+
+// ─── Local file (JSON / CSV) ──────────────────────────────────────
+// For offline installs, testing, or prices pushed by another system.
+//
+// JSON: array of { start, end?, price } — also accepts time_start/time_end,
+//       startsAt, pricePerKwh and <CUR>_per_kWh field names.
+// CSV:  header row with start[,end],price  (',' or ';' separated).
+// Prices are main currency per kWh. Missing `end` is derived from the next row.
+
+function parsePriceFile(text, currency) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+  const pickPrice = (o) => {
+    for (const k of ['price', 'pricePerKwh', `${currency}_per_kWh`, 'energy', 'value']) {
+      if (o[k] !== undefined && o[k] !== '' && !isNaN(Number(o[k]))) return Number(o[k]);
+    }
+    return null;
+  };
+  let objects;
+  if (trimmed[0] === '[' || trimmed[0] === '{') {
+    const data = JSON.parse(trimmed);
+    objects = Array.isArray(data) ? data : (data.prices || data.entries || []);
+  } else {
+    const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+    const sep = lines[0].includes(';') ? ';' : ',';
+    const header = lines[0].split(sep).map(h => h.trim().replace(/^"|"$/g, ''));
+    objects = lines.slice(1).map(line => {
+      const cells = line.split(sep).map(c => c.trim().replace(/^"|"$/g, ''));
+      const o = {};
+      header.forEach((h, i) => { o[h] = sep === ';' ? String(cells[i] || '').replace(',', '.') : cells[i]; });
+      return o;
+    });
+  }
+  const rows = objects
+    .map(o => {
+      if (!o) return null;
+      const start = new Date(o.start || o.time_start || o.startsAt);
+      const price = pickPrice(o);
+      if (isNaN(start.getTime()) || price === null) return null;
+      const endRaw = o.end || o.time_end || null;
+      const end = endRaw ? new Date(endRaw) : null;
+      return {
+        start: start.toISOString(),
+        end: end && !isNaN(end.getTime()) ? end.toISOString() : null,
+        pricePerKwh: price,
+        currency,
+      };
+    })
+    .filter(Boolean);
+  return _fillEnds(rows);
+}
+
+const file = {
+  id: 'file',
+  label: 'Local file',
+  areas: null,
+  isConfigured: (cfg) => !!(cfg && cfg.priceFilePath),
+  async fetchDay(day, ctx) {
+    const text = await fs.promises.readFile(ctx.cfg.priceFilePath, 'utf8');
+    return _filterToDay(parsePriceFile(text, ctx.currency), day, ctx.timeZone);
+  },
+};
+
+// ─── Registry & fallback chain ────────────────────────────────────
+
+const PRICE_PROVIDERS = { hvakosterstrommen, entsoe, nordpool, tibber, file };
+
+function getProvider(id) {
+  return PRICE_PROVIDERS[id] || null;
+}
+
+/** Provider metadata for the settings UI. */
+function listProviders(cfg) {
+  return Object.values(PRICE_PROVIDERS).map(p => ({
+    id: p.id,
+    label: p.label,
+    areas: p.areas,
+    configured: p.isConfigured(cfg || {}),
+  }));
+}
+
+/**
+ * Ordered, de-duplicated provider ids to try: primary first, then the fallback list.
+ * Unknown ids are dropped; an empty result falls back to hvakosterstrommen.
+ */
+function resolveChain(cfg) {
+  const fallback = Array.isArray(cfg.priceProviderFallback) ? cfg.priceProviderFallback : [];
+  const ids = [cfg.priceProvider, ...fallback].filter(id => id && PRICE_PROVIDERS[id]);
+  const chain = [...new Set(ids)];
+  return chain.length ? chain : ['hvakosterstrommen'];
+}
+
+/**
+ * Try each provider in `chain` until one returns rows for `day`.
+ * Providers that are unconfigured or do not cover ctx.area are skipped.
+ *
+ * @param {object}   day    - { year, month, day }
+ * @param {object}   ctx    - { area, currency, timeZone, cfg }
+ * @param {string[]} chain  - provider ids in order
+ * @returns {Promise<{ rows: object[], providerId: string|null, errors: {id: string, error: string}[] }>}
+ */
+async function fetchDayWithFallback(day, ctx, chain) {
+  const errors = [];
+  for (const id of chain) {
+    const provider = PRICE_PROVIDERS[id];
+    if (!provider) continue;
+    if (!provider.isConfigured(ctx.cfg)) { errors.push({ id, error: 'not configured' }); continue; }
+    if (provider.areas && !provider.areas.includes(ctx.area)) { errors.push({ id, error: `area ${ctx.area} not supported` }); continue; }
+    try {
+      const rows = await provider.fetchDay(day, ctx);
+      if (Array.isArray(rows) && rows.length) return { rows, providerId: id, errors };
+      errors.push({ id, error: 'no rows' });
+    } catch (err) {
+      errors.push({ id, error: err.message });
+    }
+  }
+  return { rows: [], providerId: null, errors };
+}
+
+module.exports = {
+  PRICE_PROVIDERS,
+  ENTSOE_AREA_CODES,
+  getProvider,
+  listProviders,
+  resolveChain,
+  fetchDayWithFallback,
+  dayWindow,
+  toDateParts,
+  parseEntsoeXml,
+  parsePriceFile,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/shed-solver.js  —  MULTI-DEVICE SHEDDING PLAN
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "We are N W over — which devices do we shed together to get
+// back under in one cycle?"
+//
+// Candidates are priority-list entries not yet mitigated, in mitigation
+// order, each with the W it is known to free (live draw or learned profile;
+// unknown draws never count). The plan is the subset whose draw covers the
+// overshoot at the lowest cost:
+//
+//   cost(device) = DEVICE_COST + rank + COMFORT_WEIGHT × comfort(action)
+//
+//   DEVICE_COST — every extra device costs, so small sets win
+//   rank        — 0 for the first candidate in mitigation order, 1 for the next …
+//                 so the user's order still decides between similar sets
+//   comfort     — how much the action is felt (COMFORT_COST)
+//
+// At most MAX_CANDIDATES are searched exhaustively (2^12 subsets). When no
+// subset covers the overshoot, every candidate with a known draw is shed.
+//
+// Slow devices (cloud heaters such as Adax) take minutes to drop after the
+// command; their relief stays pending for SLOW_RAMP_MS and is subtracted
+// from the overshoot so the next cycle does not shed on top of it.
+// Local devices settle within FAST_SETTLE_MS (meter lag).
+// ══════════════════════════════════════════════════════════════════
+
+const MAX_CANDIDATES = 12;
+const DEVICE_COST = 3;
+const COMFORT_WEIGHT = 2;
+const SHED_MARGIN_W = 200;              // aim this far below the limit
+const SLOW_RAMP_MS = 3 * 60 * 1000;
+const FAST_SETTLE_MS = 15 * 1000;
+
+/** Comfort cost per action: lowering a setpoint or a power step is felt less than switching off. */
+const COMFORT_COST = {
+  target_temperature: 1,
+  hoiax_power: 1,
+  dim: 1,
+  onoff: 2,
+  charge_pause: 2,
+};
+
+function costOf(candidate, rank) {
+  const comfort = COMFORT_COST[candidate.action] != null ? COMFORT_COST[candidate.action] : 2;
+  return DEVICE_COST + rank + COMFORT_WEIGHT * comfort;
+}
+
+/**
+ * Choose the devices to shed this cycle.
+ *
+ * @param {Array<{ deviceId: string, action: string, reliefW: number|null }>} candidates - in mitigation order
+ * @param {number} needW - W to shed (overshoot + margin − pending relief)
+ * @returns {{ deviceIds: string[], coveredW: number, complete: boolean }}
+ *   deviceIds empty when needW ≤ 0 or no candidate has a known draw;
+ *   complete=false when even all of them fall short.
+ */
+function planShed(candidates, needW) {
+  if (!(needW > 0)) return { deviceIds: [], coveredW: 0, complete: true };
+  const known = candidates
+    .map((c, rank) => ({ c, rank }))
+    .filter(x => Number.isFinite(x.c.reliefW) && x.c.reliefW > 0)
+    .slice(0, MAX_CANDIDATES);
+  if (!known.length) return { deviceIds: [], coveredW: 0, complete: false };
+
+  let best = null;
+  for (let mask = 1; mask < (1 << known.length); mask++) {
+    let w = 0, cost = 0;
+    for (let i = 0; i < known.length; i++) {
+      if (!(mask & (1 << i))) continue;
+      w += known[i].c.reliefW;
+      cost += costOf(known[i].c, known[i].rank);
+    }
+    if (w < needW) continue;
+    // Lowest cost; ties go to the set freeing less (less over-shedding)
+    if (!best || cost < best.cost || (cost === best.cost && w < best.w)) best = { mask, w, cost };
+  }
+
+  const pick = best ? known.filter((_, i) => best.mask & (1 << i)) : known;
+  return {
+    deviceIds: pick.map(x => x.c.deviceId),
+    coveredW: Math.round(pick.reduce((s, x) => s + x.c.reliefW, 0)),
+    complete: !!best,
+  };
+}
+
+/**
+ * Relief commanded but not yet visible on the meter. Drops expired entries (mutates).
+ *
+ * @param {object} pending - deviceId → { reliefW, appliedAt, slow }
+ * @param {number} now - ms
+ * @returns {number} W
+ */
+function pendingReliefW(pending, now) {
+  let w = 0;
+  for (const [id, p] of Object.entries(pending)) {
+    if (now - p.appliedAt >= (p.slow ? SLOW_RAMP_MS : FAST_SETTLE_MS)) {
+      delete pending[id];
+      continue;
+    }
+    w += p.reliefW;
+  }
+  return w;
+}
+
+module.exports = {
+  planShed, pendingReliefW,
+  COMFORT_COST, SHED_MARGIN_W, SLOW_RAMP_MS, FAST_SETTLE_MS, MAX_CANDIDATES,
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/slot-plan.js  —  PRICE-SLOT PLANNING HELPERS
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Shared by the planners that place load in price slots: water heaters
+// (common/water-heater.js), flexible loads (common/flex-load.js) and
+// chargers (common/ev-plan.js).
+//
+// Slots are { start, end, ore } in ms, in time order; a gap between two
+// slots (missing price data) breaks a block. Planners may add the slot's
+// baselineW and limitW.
+// ══════════════════════════════════════════════════════════════════
+
+const FIT_MARGIN = 0.9;                 // planned draw within 90 % of the limit
+const HOUR_MS = 3600000;
+
+/**
+ * Next time the clock shows `hhmm` in the site timezone.
+ * @param {number} now - ms
+ * @param {string} hhmm
+ * @param {number} localMinutes - minutes since local midnight at `now`
+ * @returns {number|null} ms; null when hhmm is not "HH:MM"
+ */
+function nextDeadline(now, hhmm, localMinutes) {
+  if (!/^\d{1,2}:\d{2}$/.test(String(hhmm || ''))) return null;
+  const [hh, mm] = hhmm.split(':').map(Number);
+  const diff = ((hh * 60 + mm - Math.floor(localMinutes)) % 1440 + 1440) % 1440 || 1440;
+  return Math.floor(now / 60000) * 60000 + diff * 60000;
+}
+
+/** Merge touching windows ({ start, end }). */
+function mergeWindows(windows) {
+  const out = [];
+  for (const w of windows.slice().sort((a, b) => a.start - b.start)) {
+    const last = out[out.length - 1];
+    if (last && w.start <= last.end) last.end = Math.max(last.end, w.end);
+    else out.push({ start: w.start, end: w.end });
+  }
+  return out;
+}
+
+/**
+ * Cheapest run of consecutive slots lasting `needH`, ending by `deadline`.
+ * Slots that started before `now` count from `now`.
+ * @returns {{ from: number, to: number, start: number, end: number, avg: number }|null}
+ *   from/to index into slots; start/end the block itself; null when none fits
+ */
+function cheapestBlock(slots, needH, now = -Infinity, deadline = Infinity) {
+  let best = null;
+  for (let i = 0; i < slots.length; i++) {
+    const start = Math.max(slots[i].start, now);
+    let h = 0, cost = 0;
+    for (let j = i; j < slots.length; j++) {
+      if (j > i && slots[j].start !== slots[j - 1].end) break;
+      if (slots[j].end > deadline) break;
+      const dur = Math.min((slots[j].end - Math.max(slots[j].start, now)) / HOUR_MS, needH - h);
+      h += dur;
+      cost += dur * slots[j].ore;
+      if (h >= needH - 1e-6) {
+        if (!best || cost / h < best.avg) best = { from: i, to: j, start, end: start + needH * HOUR_MS, avg: cost / h };
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  nextDeadline, mergeWindows, cheapestBlock,
+  FIT_MARGIN, HOUR_MS,
+};
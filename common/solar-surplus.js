@@ -0,0 +1,162 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/solar-surplus.js  —  SOLAR SURPLUS DISPATCH
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "The site is exporting — which load should soak it up next?"
+//
+// Priority-list entries opt in with surplusPriority (1 = first). Per entry:
+//   surplusPriority   — order in which loads get the surplus (0/unset = not a surplus load)
+//   surplusW          — expected draw when boosted (W); falls back to the observed peak
+//   surplusTargetTemp — boost setpoint for thermostats (°C); default current + 3 °C
+//
+// Site thresholds (settings):
+//   solarMinSurplusW  — export always left over before a load is switched on
+//                       (self-consumption margin for fridges, pumps, clouds)
+//   solarMaxImportW   — grid import tolerated while surplus loads run; above it
+//                       the lowest-priority load is switched back
+//
+// EV chargers (dynamic_current) are continuous loads: they follow the surplus
+// in 1 A steps inside _adjustEVChargersForPower using evSurplusBudget(). The
+// on/off loads are dispatched here, one step at a time:
+//   • on  — the first inactive load whose W fits in the surplus for ON_DELAY
+//   • off — the last active load when import stays above solarMaxImportW for OFF_DELAY
+// Chargers ranked below a load count their current above minimum as
+// available (they step down to make room); loads ranked below a charger
+// count as displaceable for the charger.
+// ══════════════════════════════════════════════════════════════════
+
+const SURPLUS_ACTIONS = ['onoff', 'target_temperature', 'hoiax_power', 'dynamic_current'];
+
+const ON_DELAY_MS = 60 * 1000;        // surplus must cover the load this long before switching on
+const OFF_DELAY_MS = 30 * 1000;       // import must exceed the threshold this long before switching off
+const SWITCH_GAP_MS = 60 * 1000;      // let the meter settle between two switch actions
+const DEFAULT_LOAD_W = 2000;          // assumed draw when neither surplusW nor a peak is known
+const BOOST_DELTA_C = 3;              // thermostat boost when no surplusTargetTemp is set
+
+/** Priority-list entries taking part in surplus dispatch, in surplus order. */
+function surplusLoads(priorityList) {
+  return (priorityList || [])
+    .filter(e => e && e.enabled !== false && Number(e.surplusPriority) > 0 && SURPLUS_ACTIONS.includes(e.action))
+    .sort((a, b) => (Number(a.surplusPriority) - Number(b.surplusPriority)) || ((a.priority || 0) - (b.priority || 0)));
+}
+
+/**
+ * Decide the next on/off step.
+ *
+ * @param {Array<object>} loads - in surplus order:
+ *   { deviceId, isEV, estW, active, eligible, canStop, flexW, charging, hungry }
+ *   active   — switched on by surplus dispatch (EV: charging)
+ *   eligible — may be switched on now (not mitigated, min off-time passed)
+ *   canStop  — min runtime passed
+ *   flexW    — EV only: W above minimum current the charger can give back
+ *   hungry   — EV only: charging below its max current
+ * @param {{ gridW: number, minSurplusW: number, maxImportW: number }} site - gridW < 0 = export
+ * @param {{ onSince?: number, onCandidate?: string, importSince?: number, lastSwitchAt?: number }} state
+ * @param {number} now - ms
+ * @returns {{ action: 'on'|'off'|null, deviceId: string|null, reservedW: number, reservedFor: string|null,
+ *             availableW: number, state: object }}
+ *   reservedW/reservedFor — a load about to be switched on; chargers ranked below it leave this much alone.
+ */
+function planSurplusStep(loads, site, state, now) {
+  const next = Object.assign({}, state);
+  const exportW = -site.gridW;
+  const gapOk = now - (state.lastSwitchAt || 0) >= SWITCH_GAP_MS;
+  const result = { action: null, deviceId: null, reservedW: 0, reservedFor: null, availableW: exportW - site.minSurplusW, state: next };
+
+  // ── Off: import above threshold → drop the lowest-priority active load
+  if (site.gridW > site.maxImportW) {
+    if (next.importSince == null) next.importSince = now;
+    for (let i = loads.length - 1; i >= 0; i--) {
+      const l = loads[i];
+      if (l.isEV || !l.active) continue;
+      // Chargers ranked below this load step down and pause first
+      if (loads.slice(i + 1).some(o => o.isEV && o.charging)) break;
+      if (l.canStop && now - next.importSince >= OFF_DELAY_MS && gapOk) {
+        result.action = 'off';
+        result.deviceId = l.deviceId;
+        next.importSince = null;
+        next.lastSwitchAt = now;
+      }
+      break;  // only the lowest active load — wait out its min runtime rather than drop a higher one
+    }
+  } else {
+    next.importSince = null;
+  }
+
+  // ── On: first inactive load that fits
+  let candidate = -1;
+  for (let i = 0; i < loads.length; i++) {
+    const l = loads[i];
+    if (l.isEV) {
+      if (l.hungry) break;  // a higher-ranked charger still soaks up the surplus
+      continue;
+    }
+    if (!l.active && l.eligible) { candidate = i; break; }
+  }
+  if (candidate < 0 || result.action) {
+    if (candidate < 0) { next.onSince = null; next.onCandidate = null; }
+    return result;
+  }
+  const c = loads[candidate];
+  const flexBelow = loads.slice(candidate + 1).reduce((s, o) => s + (o.isEV ? (o.flexW || 0) : 0), 0);
+  const availableW = exportW - site.minSurplusW + flexBelow;
+  result.availableW = availableW;
+  if (availableW < c.estW) {
+    next.onSince = null;
+    next.onCandidate = null;
+    return result;
+  }
+  if (next.onCandidate !== c.deviceId || next.onSince == null) {
+    next.onCandidate = c.deviceId;
+    next.onSince = now;
+  }
+  result.reservedW = c.estW;
+  result.reservedFor = c.deviceId;
+  if (now - next.onSince >= ON_DELAY_MS && gapOk) {
+    result.action = 'on';
+    result.deviceId = c.deviceId;
+    next.onSince = null;
+    next.onCandidate = null;
+    next.lastSwitchAt = now;
+  }
+  return result;
+}
+
+/**
+ * Budget for a surplus-following charger, replacing the grid limit in the step logic.
+ *
+ * @param {Array<object>} loads - as for planSurplusStep
+ * @param {string} deviceId - the charger
+ * @param {{ gridW: number, minSurplusW: number, maxImportW: number }} site
+ * @param {{ reservedW: number, reservedFor: string|null }} [plan] - latest planSurplusStep result
+ * @returns {{ limitW: number, headroomW: number }|null} null when the charger is not a surplus load
+ *   limitW    — gridW above this = over limit (step down / pause)
+ *   headroomW — W available for resume / ramp-up
+ */
+function evSurplusBudget(loads, deviceId, site, plan) {
+  const idx = loads.findIndex(l => l.deviceId === deviceId);
+  if (idx < 0) return null;
+  // Loads ranked below the charger give way to it
+  const displaceableW = loads.slice(idx + 1).reduce((s, l) => s + (!l.isEV && l.active ? l.estW : 0), 0);
+  // A load ranked above the charger about to be switched on keeps its share
+  const reservedIdx = plan && plan.reservedFor ? loads.findIndex(l => l.deviceId === plan.reservedFor) : -1;
+  const reservedW = reservedIdx >= 0 && reservedIdx < idx ? plan.reservedW : 0;
+  return {
+    limitW: site.maxImportW + displaceableW,
+    headroomW: -site.gridW - site.minSurplusW + displaceableW - reservedW,
+  };
+}
+
+/** Boost setpoint for a thermostat entry given its current target. */
+function boostTargetTemp(entry, currentTarget) {
+  const t = Number(entry.surplusTargetTemp);
+  if (Number.isFinite(t) && t > 0) return t;
+  return Number.isFinite(currentTarget) ? currentTarget + BOOST_DELTA_C : null;
+}
+
+module.exports = {
+  surplusLoads, planSurplusStep, evSurplusBudget, boostTargetTemp,
+  SURPLUS_ACTIONS, ON_DELAY_MS, OFF_DELAY_MS, SWITCH_GAP_MS, DEFAULT_LOAD_W,
+};
@@ -0,0 +1,186 @@
+'use strict';
+
+// ══════════════════════════════════════════════════════════════════
+// common/water-heater.js  —  WATER-HEATER PRE-HEATING SCHEDULE
+// ══════════════════════════════════════════════════════════════════
+// Pure logic module — no Homey/app dependencies.
+// Answers: "Should this water heater run at full power, as normal,
+// stepped down or off in this price slot?"
+//
+// Priority-list entry (action 'hoiax_power' or 'onoff'):
+//   waterHeaterSchedule     — let the scheduler run this heater
+//   waterHeaterKwhPerDay    — daily energy need (default 6 kWh)
+//   waterHeaterRatedW       — draw at full power (default: learned on-draw, else 2000 W)
+//   waterHeaterLegionellaH  — hours of uninterrupted full power per 24 h (default 2)
+//
+// Modes per price slot (price engine entries, next 24 h):
+//   full    — the cheapest slots covering the energy need, and the
+//             legionella block: the cheapest run of consecutive slots of
+//             waterHeaterLegionellaH that ends before the last one is 24 h old
+//   reduced — 'dyr' slots: lowest Høiax power step (onoff heaters: off)
+//   off     — 'ekstremt dyr' slots
+//   normal  — everything else: the heater's own setting
+// Reduced and off never run longer than MAX_HOLD_H in a row — the tank
+// gets its heat back in between whatever the prices say.
+//
+// Peak risk (site load near the limit, with hysteresis) switches the heater
+// off live, except while the legionella block is due. It is a hold like the
+// others: after MAX_HOLD_H off in a row the heater gets PEAK_RECOVER_H of
+// heat before peak risk may hold it again (peakHoldAllowed).
+// ══════════════════════════════════════════════════════════════════
+
+const { cheapestBlock } = require('./slot-plan');
+
+const WATER_HEATER_DEFAULTS = {
+  kWhPerDay: 6,
+  ratedW: 2000,
+  legionellaH: 2,
+};
+
+const HORIZON_H = 24;
+const LEGIONELLA_PERIOD_MS = 24 * 3600 * 1000;
+const MAX_HOLD_H = 8;                   // reduced/off at most this long in a row
+const PEAK_RISK_ON = 0.85;              // share of the limit that starts peak risk …
+const PEAK_RISK_OFF = 0.7;              // … and where it ends again
+const PEAK_RECOVER_H = 1;               // heat this long after a peak-risk hold hit MAX_HOLD_H
+
+/** Entry settings merged with defaults; learnedOnW is the load profile's on-draw, if confident. */
+function waterHeaterConfig(entry, learnedOnW) {
+  const num = (v, fb) => (Number.isFinite(Number(v)) && v !== '' && v != null && Number(v) > 0 ? Number(v) : fb);
+  return {
+    kWhPerDay: num(entry.waterHeaterKwhPerDay, WATER_HEATER_DEFAULTS.kWhPerDay),
+    ratedW: num(entry.waterHeaterRatedW, num(learnedOnW, WATER_HEATER_DEFAULTS.ratedW)),
+    legionellaH: num(entry.waterHeaterLegionellaH, WATER_HEATER_DEFAULTS.legionellaH),
+  };
+}
+
+/** Høiax power-level capability, as used by common/devices.js. */
+function hoiaxPowerCap(caps) {
+  return ['max_power_3000', 'max_power_2000', 'max_power'].find(c => (caps || []).includes(c)) || null;
+}
+
+/**
+ * Plan modes for the next HORIZON_H.
+ *
+ * @param {Array<{start: string, end: string, ore: number, level: string}>} entries - price engine slots
+ * @param {number} now - ms
+ * @param {object} cfg - waterHeaterConfig()
+ * @param {{ lastLegionellaAt: number|null, legionellaFrom: number|null, heldSince: number|null }} st
+ *   lastLegionellaAt null = no deadline yet (the app starts the clock when it takes the heater over)
+ * @returns {Array<{ start: number, end: number, mode: string, reason: string }>} time order
+ */
+function planWaterHeater(entries, now, cfg, st) {
+  const slots = (entries || [])
+    .map(e => ({ start: Date.parse(e.start), end: Date.parse(e.end), ore: e.ore, level: e.level }))
+    .filter(e => e.end > now && e.start < now + HORIZON_H * 3600000 && Number.isFinite(e.ore))
+    .sort((a, b) => a.start - b.start);
+  if (!slots.length) return [];
+  const plan = slots.map(s => ({ start: s.start, end: s.end, mode: 'normal', reason: 'normal' }));
+  const durH = (s) => (s.end - Math.max(s.start, now)) / 3600000;
+
+  // Price levels first; the energy need and the legionella block override them
+  slots.forEach((s, i) => {
+    if (s.level === 'ekstremt dyr') Object.assign(plan[i], { mode: 'off', reason: 'extreme price' });
+    else if (s.level === 'dyr') Object.assign(plan[i], { mode: 'reduced', reason: 'expensive' });
+  });
+
+  // Energy need, scaled to the hours of price data available
+  const horizonH = slots.reduce((sum, s) => sum + durH(s), 0);
+  const needH = cfg.kWhPerDay / (cfg.ratedW / 1000) * Math.min(1, horizonH / HORIZON_H);
+  let covered = 0;
+  for (const i of slots.map((_, i) => i).sort((a, b) => slots[a].ore - slots[b].ore || a - b)) {
+    if (covered >= needH - 1e-6) break;
+    Object.assign(plan[i], { mode: 'full', reason: 'cheap' });
+    covered += durH(slots[i]);
+  }
+
+  // Legionella: a block already under way runs to its end; otherwise the cheapest block before the deadline
+  if (st.legionellaFrom != null && now - st.legionellaFrom < cfg.legionellaH * 3600000) {
+    const until = st.legionellaFrom + cfg.legionellaH * 3600000;
+    plan.forEach(p => { if (p.start < until) Object.assign(p, { mode: 'full', reason: 'legionella' }); });
+  } else {
+    const deadline = st.lastLegionellaAt != null ? st.lastLegionellaAt + LEGIONELLA_PERIOD_MS : Infinity;
+    // Deadline too close for a whole block: start now
+    const block = cheapestBlock(slots, cfg.legionellaH, now, deadline) || { from: 0, to: slots.length - 1 };
+    const fullRun = plan.slice(block.from, block.to + 1).every(p => p.mode === 'full');
+    if (!fullRun) {
+      let h = 0;
+      for (let i = block.from; i <= block.to && h < cfg.legionellaH - 1e-6; i++) {
+        Object.assign(plan[i], { mode: 'full', reason: 'legionella' });
+        h += durH(slots[i]);
+      }
+    }
+  }
+
+  // Never hold the tank down longer than MAX_HOLD_H in a row
+  let heldFrom = st.heldSince != null ? Math.min(st.heldSince, now) : null;
+  for (const p of plan) {
+    const held = p.mode === 'reduced' || p.mode === 'off';
+    if (!held) { heldFrom = null; continue; }
+    const from = Math.max(p.start, now);
+    if (heldFrom == null) heldFrom = from;
+    if (p.end - heldFrom > MAX_HOLD_H * 3600000) {
+      Object.assign(p, { mode: 'normal', reason: 'hold limit' });
+      heldFrom = null;
+    }
+  }
+  return plan;
+}
+
+/** The planned mode at `now` ({ mode: 'normal', reason: 'no prices' } without a plan). */
+function modeAt(plan, now) {
+  const p = plan.find(x => x.start <= now && now < x.end);
+  return p ? { mode: p.mode, reason: p.reason } : { mode: 'normal', reason: 'no prices' };
+}
+
+/** Peak risk with hysteresis: starts at PEAK_RISK_ON of the limit, ends below PEAK_RISK_OFF. */
+function peakRisk(prev, powerW, limitW) {
+  if (!(limitW > 0) || !Number.isFinite(powerW)) return false;
+  const f = powerW / limitW;
+  return prev ? f >= PEAK_RISK_OFF : f >= PEAK_RISK_ON;
+}
+
+/**
+ * Whether peak risk may hold the heater off now (mutates st.recoverUntil): once
+ * the heater has been held MAX_HOLD_H in a row, it heats PEAK_RECOVER_H first.
+ */
+function peakHoldAllowed(st, now) {
+  if (st.recoverUntil != null && now < st.recoverUntil) return false;
+  if (st.reason === 'peak risk' && st.heldSince != null && now - st.heldSince >= MAX_HOLD_H * 3600000) {
+    st.recoverUntil = now + PEAK_RECOVER_H * 3600000;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Fold the mode the heater actually ran in since the last tick into its
+ * state (mutates): full-power run start, legionella block under way and
+ * completed (any uninterrupted full run of legionellaH counts), start of
+ * the current hold.
+ */
+function trackMode(st, mode, reason, now, cfg) {
+  if (mode === 'full') {
+    if (st.fullSince == null) st.fullSince = now;
+    if (reason === 'legionella' && st.legionellaFrom == null) st.legionellaFrom = st.fullSince;
+    if (now - st.fullSince >= cfg.legionellaH * 3600000) {
+      st.lastLegionellaAt = now;
+      st.fullSince = null;
+      st.legionellaFrom = null;
+    }
+  } else {
+    st.fullSince = null;
+    st.legionellaFrom = null;
+  }
+  if (mode === 'reduced' || mode === 'off') {
+    if (st.heldSince == null) st.heldSince = now;
+  } else {
+    st.heldSince = null;
+  }
+  return st;
+}
+
+module.exports = {
+  waterHeaterConfig, hoiaxPowerCap, planWaterHeater, modeAt, peakRisk, peakHoldAllowed, trackMode,
+  WATER_HEATER_DEFAULTS, MAX_HOLD_H,
+};
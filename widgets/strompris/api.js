@@ -10,7 +10,10 @@ module.exports = {
       spotOre:    state.spotOre    != null ? state.spotOre    : null,
       nextOre:    state.nextOre    != null ? state.nextOre    : null,
       chargeModes: state.chargeModes || {},
-      entries:    (state.entries   || []).slice(0, 24),
+      // Hourly averages for the chart; raw slots (15/60 min) for anything finer
+      entries:    (state.hourly || state.entries || []).slice(0, 24),
+      slotMinutes: state.slotMinutes || 60,
+      subunit:    state.subunit    || 'øre',
       stats:      state.stats      || null,
     };
   },